@@ -0,0 +1,229 @@
+/**
+ * Access policies
+ *
+ * Where a viewer may watch from, checked at /proxy, /cdn and /license:
+ *
+ *   binding   sessions and CDN tokens tied to the client address —
+ *             "ip" (exact) or "subnet" (IPv4 /24, IPv6 /64) — so a
+ *             token copied to another network stops working
+ *   CIDR      per channel "access": { "allow": [...], "deny": [...] };
+ *             deny wins, a non-empty allow list admits only its ranges
+ *   geo       per channel "access": { "countries": { "allow" | "deny": ["LK"] } },
+ *             looked up in a local IP-range CSV (no external service):
+ *
+ *               1.0.0.0,1.0.0.255,AU       start,end,country (DB-IP / IP2Location
+ *               "16777216","16777471","US"  lite exports, integer IPv4 too)
+ *               203.0.113.0/24,LK          cidr,country
+ *
+ *             Addresses the database does not know pass, unless the
+ *             channel says "unknown": "deny".
+ *
+ * Denials carry a stable code: ip_denied · ip_not_allowed · geo_blocked · geo_unknown
+ */
+
+'use strict';
+
+const fs  = require('fs');
+const net = require('net');
+
+const MODES = ['ip', 'subnet'];
+
+// ══════════════════════════════════════════════════════════
+// ADDRESSES
+// ══════════════════════════════════════════════════════════
+
+/** "::ffff:1.2.3.4" → "1.2.3.4", zone ids dropped */
+function normalizeIp(ip) {
+  const s = String(ip || '').replace(/%.*$/, '');
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(s);
+  return mapped ? mapped[1] : s;
+}
+
+/** Address → { v: 4 | 6, n: BigInt }, or null if it is not one */
+function parseIp(ip) {
+  const s = normalizeIp(ip);
+  if (net.isIPv4(s)) return { v: 4, n: s.split('.').reduce((n, p) => (n << 8n) + BigInt(p), 0n) };
+  if (!net.isIPv6(s)) return null;
+
+  // A dotted IPv4 tail ("64:ff9b::1.2.3.4") is the last two hextets
+  let text = s;
+  const v4 = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(s);
+  if (v4) {
+    const [a, b, c, d] = v4.slice(1).map(Number);
+    text = s.slice(0, v4.index) + `${(a * 256 + b).toString(16)}:${(c * 256 + d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const parts = head ? head.split(':') : [];
+  const rest  = tail !== undefined ? (tail ? tail.split(':') : []) : null;
+  const groups = rest ? [...parts, ...Array(8 - parts.length - rest.length).fill('0'), ...rest] : parts;
+  return { v: 6, n: groups.reduce((n, g) => (n << 16n) + BigInt(parseInt(g, 16)), 0n) };
+}
+
+const WIDTH = { 4: 32n, 6: 128n };
+
+function formatIp({ v, n }) {
+  if (v === 4) return [24n, 16n, 8n, 0n].map(s => String((n >> s) & 255n)).join('.');
+  const groups = [];
+  for (let s = 112n; s >= 0n; s -= 16n) groups.push(((n >> s) & 0xffffn).toString(16));
+  return groups.join(':');   // uncompressed: one spelling per network
+}
+
+const maskOf = (v, bits) => ((1n << WIDTH[v]) - 1n) ^ ((1n << (WIDTH[v] - BigInt(bits))) - 1n);
+
+/** "10.0.0.0/8" (or a bare address) → { v, n, bits }. Throws on bad input */
+function parseCidr(text) {
+  const [addr, len] = String(text).split('/');
+  const ip = parseIp(addr);
+  const bits = len === undefined ? Number(WIDTH[ip ? ip.v : 4]) : Number(len);
+  if (!ip || !Number.isInteger(bits) || bits < 0 || bits > Number(WIDTH[ip.v]) || (len !== undefined && !/^\d+$/.test(len)))
+    throw new Error(`invalid CIDR "${text}"`);
+  return { v: ip.v, n: ip.n & maskOf(ip.v, bits), bits };
+}
+
+function inCidr(ip, cidr) {
+  return !!ip && ip.v === cidr.v && (ip.n & maskOf(ip.v, cidr.bits)) === cidr.n;
+}
+
+/**
+ * What a binding compares: the address itself ("ip") or its network
+ * ("subnet": "1.2.3.0/24", "2001:db8:0:1:0:0:0:0/64").  Null without a mode.
+ */
+function bindKey(ip, mode) {
+  if (!mode) return null;
+  const addr = parseIp(ip);
+  if (!addr || mode === 'ip') return normalizeIp(ip);
+  const bits = addr.v === 4 ? 24 : 64;
+  return `${formatIp({ v: addr.v, n: addr.n & maskOf(addr.v, bits) })}/${bits}`;
+}
+
+/** true / "1" → "ip"; false / "" / "0" → null; "ip" | "subnet" as they are */
+function normalizeMode(mode) {
+  if (mode === true || mode === '1') return 'ip';
+  if (!mode || mode === '0') return null;
+  if (!MODES.includes(mode)) throw new Error(`IP binding must be one of ${MODES.join(', ')} (got "${mode}")`);
+  return mode;
+}
+
+// ══════════════════════════════════════════════════════════
+// GEO DATABASE
+// ══════════════════════════════════════════════════════════
+
+/** One CSV line's address: dotted, IPv6 or an integer IPv4 */
+function parseRangeIp(text) {
+  return /^\d+$/.test(text) ? { v: 4, n: BigInt(text) } : parseIp(text);
+}
+
+/**
+ * Load an IP-range CSV (see the top of this file).  Returns
+ * { lookup(ip) → "LK" | null, size, file }.  Throws naming the first bad line.
+ */
+function loadGeoDb(file) {
+  let text;
+  try { text = fs.readFileSync(file, 'utf8'); }
+  catch (err) { throw new Error(`geo: cannot load ${file}: ${err.message}`); }
+
+  const ranges = { 4: [], 6: [] };
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.startsWith('#')) return;
+    const cols = line.split(',').map(c => c.trim().replace(/^"|"$/g, ''));
+    let from, to, country;
+    if (cols[0].includes('/')) {
+      let cidr;
+      try { cidr = parseCidr(cols[0]); }
+      catch { throw new Error(`geo: ${file}:${i + 1}: invalid CIDR "${cols[0]}"`); }
+      from = { v: cidr.v, n: cidr.n };
+      to   = { v: cidr.v, n: cidr.n | ((1n << (WIDTH[cidr.v] - BigInt(cidr.bits))) - 1n) };
+      country = cols[1];
+    } else {
+      from = parseRangeIp(cols[0]);
+      to   = parseRangeIp(cols[1] || '');
+      country = cols[2];
+    }
+    if (!from || !to || from.v !== to.v || to.n < from.n) throw new Error(`geo: ${file}:${i + 1}: bad address range`);
+    if (!/^[A-Za-z]{2}$/.test(country || '')) return;   // "-": unassigned, no country
+    ranges[from.v].push({ from: from.n, to: to.n, country: country.toUpperCase() });
+  });
+  for (const list of Object.values(ranges)) list.sort((a, b) => (a.from < b.from ? -1 : a.from > b.from ? 1 : 0));
+
+  /** Country of an address, or null when no range holds it */
+  function lookup(ip) {
+    const addr = parseIp(ip);
+    if (!addr) return null;
+    const list = ranges[addr.v];
+    let lo = 0, hi = list.length - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (addr.n < list[mid].from) hi = mid - 1;
+      else if (addr.n > list[mid].to) lo = mid + 1;
+      else return list[mid].country;
+    }
+    return null;
+  }
+
+  return { lookup, size: ranges[4].length + ranges[6].length, file };
+}
+
+// ══════════════════════════════════════════════════════════
+// CHANNEL RULES
+// ══════════════════════════════════════════════════════════
+
+/** A channel's "access" block → normalized rules, or null when open. Throws on bad input */
+function normalizeRules(cfg) {
+  if (!cfg) return null;
+  const list = (v, name) => {
+    if (v === undefined) return [];
+    if (!Array.isArray(v)) throw new Error(`access.${name} must be an array`);
+    return v;
+  };
+  const countries = cfg.countries || {};
+  const cc = (v, name) => list(v, `countries.${name}`).map(c => {
+    if (!/^[A-Za-z]{2}$/.test(c)) throw new Error(`access.countries.${name}: "${c}" is not a two-letter country code`);
+    return c.toUpperCase();
+  });
+  const unknown = cfg.unknown || 'allow';
+  if (unknown !== 'allow' && unknown !== 'deny') throw new Error(`access.unknown must be "allow" or "deny" (got "${unknown}")`);
+
+  const rules = {
+    allow:     list(cfg.allow, 'allow').map(parseCidr),
+    deny:      list(cfg.deny, 'deny').map(parseCidr),
+    countries: { allow: cc(countries.allow, 'allow'), deny: cc(countries.deny, 'deny') },
+    unknown,
+    source:    cfg
+  };
+  rules.geo = rules.countries.allow.length > 0 || rules.countries.deny.length > 0;
+  return rules;
+}
+
+/**
+ * Check an address against a channel's rules (geo: loadGeoDb result,
+ * needed only by rules with countries).  Returns { ok, country } or
+ * { ok: false, code, reason, country }.
+ */
+function checkAccess(rules, ip, geo) {
+  if (!rules) return { ok: true, country: null };
+  const addr = parseIp(ip);
+  const shown = normalizeIp(ip);
+
+  if (rules.deny.some(c => inCidr(addr, c)))
+    return { ok: false, code: 'ip_denied', reason: `address ${shown} is on the channel's deny list`, country: null };
+  if (rules.allow.length && !rules.allow.some(c => inCidr(addr, c)))
+    return { ok: false, code: 'ip_not_allowed', reason: `address ${shown} is not on the channel's allow list`, country: null };
+  if (!rules.geo) return { ok: true, country: null };
+
+  const country = geo ? geo.lookup(shown) : null;
+  if (!country) {
+    return rules.unknown === 'deny'
+      ? { ok: false, code: 'geo_unknown', reason: `no country known for ${shown}`, country: null }
+      : { ok: true, country: null };
+  }
+  const { allow, deny } = rules.countries;
+  if (deny.includes(country) || (allow.length && !allow.includes(country)))
+    return { ok: false, code: 'geo_blocked', reason: `not available in ${country}`, country };
+  return { ok: true, country };
+}
+
+module.exports = {
+  normalizeIp, parseIp, parseCidr, inCidr, bindKey, normalizeMode,
+  loadGeoDb, normalizeRules, checkAccess, MODES
+};
@@ -0,0 +1,359 @@
+/**
+ * Server-side ad insertion (SSAI)
+ *
+ * Ads are clips of clear catalog channels, spliced into a channel's MPD
+ * as their own Periods between the content Periods.  The pool and the
+ * per-channel schedules come from ads.json (or ADS_FILE):
+ *
+ *   {
+ *     "pool": {
+ *       "promo-a": { "name": "Promo A", "asset": "Ch200", "start": "PT0S", "duration": "PT8S" }
+ *     },
+ *     "schedules": {
+ *       "Ch120": {
+ *         "preroll":  ["promo-a"],
+ *         "midrolls": [{ "at": "PT30S", "ads": ["*", "*"] }],
+ *         "postroll": ["promo-a"],
+ *         "rotation": ["promo-a", "promo-b"],           (optional, what "*" draws from)
+ *         "packages": { "premium": { "preroll": ["*"] }, "vip": null }
+ *       }
+ *     }
+ *   }
+ *
+ * "*" picks an ad from the rotation (default: the whole pool), stable per
+ * session so a reloaded MPD keeps its ads.  Which schedule a user gets:
+ * a per-user override (admin API), else the first of the user's packages
+ * the channel lists (null = ad-free), else the channel's own.
+ *
+ * Ad segment requests are tracked server-side: impression and start on
+ * the first media segment, the quartiles and complete as the segments
+ * that reach them are fetched — once per session and ad Period.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { parseDuration } = require('./channels');
+
+const EVENTS = [
+  ['impression', 0], ['start', 0], ['firstQuartile', 0.25],
+  ['midpoint', 0.5], ['thirdQuartile', 0.75], ['complete', 1]
+];
+
+/** Seconds from a number or an ISO 8601 duration, NaN if neither */
+const seconds = v => (typeof v === 'number' ? v : parseDuration(v));
+
+/** Small stable string hash (FNV-1a) for the per-session rotation */
+function hash(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+}
+
+/** Pool entry → ad. Throws on anything an ad Period cannot be built from */
+function normalizeAd(id, def, channels) {
+  const fail = msg => { throw new Error(`ads: pool ${id}: ${msg}`); };
+  const asset = channels.get(def && def.asset);
+  if (!asset) fail(`asset must be a catalog channel (got ${JSON.stringify(def && def.asset)})`);
+  if (asset.drm) fail(`${asset.id} is encrypted — ad periods are clear`);
+  if (asset.live || asset.manifest) fail(`${asset.id} must be an on-demand catalog channel`);
+
+  const start    = seconds(def.start || 0);
+  const duration = seconds(def.duration || asset.duration);
+  if (!(start >= 0) || !(duration > 0)) fail('start and duration must be ISO 8601 durations or seconds');
+  if (start + duration > asset.durationSec + 0.001) fail(`start + duration runs past the end of ${asset.id}`);
+
+  return {
+    id,
+    name: def.name || id,
+    asset,
+    start,
+    duration,
+    sets: asset.adaptationSets.filter(s => s.contentType !== 'text')
+  };
+}
+
+/**
+ * Validate a schedule against the pool.  Returns the normalized
+ * schedule; throws with `where` in the message.  Package overrides are
+ * only allowed at the top level.
+ */
+function normalizeSchedule(spec, pool, where, nested = false) {
+  const fail = msg => { throw new Error(`ads: ${where}: ${msg}`); };
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) fail('schedule must be an object');
+
+  const ads = (list, name) => {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) fail(`${name} must be an array of ad ids`);
+    for (const id of list) if (id !== '*' && !pool.has(id)) fail(`${name}: unknown ad ${id}`);
+    return list;
+  };
+
+  const midrolls = (spec.midrolls || []).map((m, i) => {
+    const at = seconds(m && m.at);
+    if (!(at > 0)) fail(`midrolls[${i}].at must be a positive ISO 8601 duration or seconds`);
+    return { at, ads: ads(m.ads, `midrolls[${i}].ads`) };
+  }).sort((a, b) => a.at - b.at);
+
+  const rotation = ads(spec.rotation, 'rotation');
+  if (spec.rotation && !rotation.length) fail('rotation must not be empty');
+
+  let packages = {};
+  if (spec.packages) {
+    if (nested) fail('package overrides cannot be nested');
+    packages = Object.fromEntries(Object.entries(spec.packages).map(([pkg, s]) =>
+      [pkg, s === null ? null : normalizeSchedule(s, pool, `${where} packages.${pkg}`, true)]));
+  }
+
+  return {
+    preroll:  ads(spec.preroll, 'preroll'),
+    midrolls,
+    postroll: ads(spec.postroll, 'postroll'),
+    rotation: rotation.includes('*') ? [] : rotation,
+    packages
+  };
+}
+
+/** Reason a channel cannot carry ads, or null */
+function channelError(channel) {
+  if (!channel) return 'unknown channel';
+  if (channel.live) return 'live channels cannot carry ad breaks';
+  if (channel.manifest) return 'upstream-manifest channels cannot carry ad breaks';
+  return null;
+}
+
+/**
+ * Read ADS_FILE (or take an already parsed { pool, schedules }).
+ * Returns { pool: Map<id, ad>, schedules: Map<channelId, schedule> };
+ * a missing file or null means no ads.
+ */
+function loadAds(source, channels) {
+  if (!source || (typeof source === 'string' && !fs.existsSync(source))) return { pool: new Map(), schedules: new Map() };
+  let raw = source;
+  if (typeof source === 'string') {
+    try { raw = JSON.parse(fs.readFileSync(source, 'utf8')); }
+    catch (err) { throw new Error(`ads: cannot load ${source}: ${err.message}`); }
+  }
+
+  const pool = new Map(Object.entries(raw.pool || {}).map(([id, def]) => [id, normalizeAd(id, def, channels)]));
+  const schedules = new Map();
+  for (const [id, spec] of Object.entries(raw.schedules || {})) {
+    const err = channelError(channels.get(id));
+    if (err) throw new Error(`ads: schedules.${id}: ${err}`);
+    schedules.set(id, normalizeSchedule(spec, pool, `schedules.${id}`));
+  }
+  return { pool, schedules };
+}
+
+/** opts: { pool, schedules } from loadAds */
+function createAdDecisions({ pool, schedules }) {
+  const overrides = new Map();   // "user:channel" (channel "*" = every channel) → schedule | null
+
+  /** { schedule, source } for a user on a channel; schedule null = no ads */
+  function scheduleFor(channelId, user) {
+    const userId = user && user.username;
+    for (const key of [`${userId}:${channelId}`, `${userId}:*`]) {
+      if (overrides.has(key)) return { schedule: overrides.get(key), source: 'user' };
+    }
+    const s = schedules.get(channelId);
+    if (!s) return { schedule: null, source: 'none' };
+    const pkg = ((user && user.packages) || []).find(p => p in s.packages);
+    if (pkg) return { schedule: s.packages[pkg], source: `package:${pkg}` };
+    return { schedule: s, source: 'channel' };
+  }
+
+  /**
+   * The ad breaks for one playback: { source, breaks: [{ id, at, ads }] }
+   * or null.  `sid` seeds the "*" rotation.
+   */
+  function plan(channel, user, sid) {
+    if (channelError(channel)) return null;
+    const { schedule, source } = scheduleFor(channel.id, user);
+    if (!schedule) return null;
+
+    const base = schedules.get(channel.id);
+    const rotation = schedule.rotation.length ? schedule.rotation
+      : base && base.rotation.length ? base.rotation : [...pool.keys()];
+    const pick = (ids, breakId) => {
+      const offset = hash(`${sid}:${breakId}`);
+      return ids.map((id, i) => pool.get(id === '*' ? rotation[(offset + i) % rotation.length] : id)).filter(Boolean);
+    };
+
+    const breaks = [];
+    if (schedule.preroll.length) breaks.push({ id: 'pre', at: 0, ads: pick(schedule.preroll, 'pre') });
+    schedule.midrolls.forEach((m, i) => {
+      if (m.at < channel.durationSec) breaks.push({ id: `mid${i + 1}`, at: m.at, ads: pick(m.ads, `mid${i + 1}`) });
+    });
+    if (schedule.postroll.length) breaks.push({ id: 'post', at: channel.durationSec, ads: pick(schedule.postroll, 'post') });
+    const used = breaks.filter(b => b.ads.length);
+    return used.length ? { source, breaks: used } : null;
+  }
+
+  /**
+   * Is `adId` this playback's ad Period `periodId` ("mid1-2": break
+   * mid1, second ad — the ids layoutPeriods gives)?  The plan is
+   * deterministic per sid, so ad segment URLs are checked against the
+   * same breaks the MPD was built from.
+   */
+  function isScheduled(channel, user, sid, periodId, adId) {
+    const p = plan(channel, user, sid);
+    return !!p && p.breaks.some(br => br.ads.some((ad, i) => `${br.id}-${i + 1}` === periodId && ad.id === adId));
+  }
+
+  /** Replace a channel's schedule (null → no ads). Returns { ok, reason } */
+  function setChannelSchedule(channel, spec) {
+    const err = channelError(channel);
+    if (err) return { ok: false, reason: err };
+    if (spec === null) { schedules.delete(channel.id); return { ok: true }; }
+    try { schedules.set(channel.id, normalizeSchedule(spec, pool, `schedules.${channel.id}`)); }
+    catch (e) { return { ok: false, reason: e.message }; }
+    return { ok: true };
+  }
+
+  /** Per-user override for one channel or "*"; spec null = ad-free. Returns { ok, reason } */
+  function setUserSchedule(userId, channelId, spec) {
+    let schedule = null;
+    if (spec !== null) {
+      try { schedule = normalizeSchedule(spec, pool, `user ${userId}`, true); }
+      catch (e) { return { ok: false, reason: e.message }; }
+    }
+    overrides.set(`${userId}:${channelId || '*'}`, schedule);
+    return { ok: true };
+  }
+
+  /** Drop a user's overrides (one channel, or all). Returns how many */
+  function clearUserSchedule(userId, channelId) {
+    if (channelId) return overrides.delete(`${userId}:${channelId}`) ? 1 : 0;
+    let n = 0;
+    for (const key of [...overrides.keys()]) if (key.startsWith(`${userId}:`)) n += overrides.delete(key) ? 1 : 0;
+    return n;
+  }
+
+  function describe() {
+    return {
+      pool: [...pool.values()].map(a => ({ id: a.id, name: a.name, asset: a.asset.id, start: a.start, duration: a.duration })),
+      schedules: Object.fromEntries(schedules),
+      overrides: [...overrides].map(([key, schedule]) => {
+        const i = key.lastIndexOf(':');
+        return { user: key.slice(0, i), channel: key.slice(i + 1), schedule };
+      })
+    };
+  }
+
+  return { plan, isScheduled, scheduleFor, setChannelSchedule, setUserSchedule, clearUserSchedule, describe, pool };
+}
+
+/**
+ * Lay a channel's content and ad breaks out as Periods.  Mid-rolls snap
+ * to the nearest video segment boundary so content Periods split
+ * cleanly.  Returns { periods, duration } with
+ *   { type: 'content', id, start, from, to }
+ *   { type: 'ad', id, break, ad, start, from, to }
+ * where start is the Period start and [from, to) the slice of the asset
+ * (seconds).
+ */
+function layoutPeriods(channel, breaks) {
+  const D     = channel.durationSec;
+  const video = channel.adaptationSets.find(s => s.contentType === 'video') || channel.adaptationSets[0];
+  const seg   = video.segmentDuration / video.timescale;
+
+  const periods = [];
+  let t = 0;      // presentation time
+  let pos = 0;    // position in the content
+  let part = 0;
+  const content = to => {
+    if (to - pos < 0.001) return;
+    periods.push({ type: 'content', id: `main-${part++}`, start: t, from: pos, to });
+    t += to - pos;
+    pos = to;
+  };
+
+  for (const br of breaks) {
+    content(br.id === 'post' ? D : Math.min(D, Math.round(br.at / seg) * seg));
+    br.ads.forEach((ad, i) => {
+      periods.push({ type: 'ad', id: `${br.id}-${i + 1}`, break: br.id, ad, start: t, from: ad.start, to: ad.start + ad.duration });
+      t += ad.duration;
+    });
+  }
+  content(D);
+  return { periods, duration: t };
+}
+
+/** Regex matching a representation's $Number$ media URL, capturing the number */
+function mediaPattern(set, rep) {
+  const esc = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const src = esc((set.baseUrl || '') + rep.media)
+    .replace(/\\\$Number(?:%0\d+d)?\\\$/g, '(\\d+)')
+    .replace(/\\\$RepresentationID\\\$/g, esc(rep.id))
+    .replace(/\\\$Bandwidth\\\$/g, String(rep.bandwidth));
+  return new RegExp(`^${src}$`);
+}
+
+/**
+ * How far into an ad a segment request reaches (0..1), or null for init
+ * segments and tracks that do not drive tracking (only the video set does,
+ * or the first set of an audio-only ad).
+ */
+function adProgress(ad, segPath) {
+  const set = ad.sets.find(s => s.contentType === 'video') || ad.sets[0];
+  if (!set) return null;
+  for (const rep of set.representations) {
+    const m = mediaPattern(set, rep).exec(segPath);
+    if (!m) continue;
+    const end = (+m[1] * set.segmentDuration) / set.timescale;   // $Number$ 1 covers [0, d)
+    return Math.max(0, Math.min(1, (end - ad.start) / ad.duration));
+  }
+  return null;
+}
+
+/** opts: { now, maxSessions } — the oldest sessions are forgotten past maxSessions */
+function createAdTracker({ now = Date.now, maxSessions = 1000 } = {}) {
+  const sessions = new Map();   // sid → { sid, user, channel, periods: Map<periodId, record> }
+
+  /**
+   * Record an ad segment fetch.  ctx: { sid, user, channel, period, ad, segPath }.
+   * Returns the events it fired (usually none).
+   */
+  function segment({ sid, user, channel, period, ad, segPath }) {
+    const progress = adProgress(ad, segPath);
+    if (progress === null) return [];
+
+    let s = sessions.get(sid);
+    if (!s) {
+      s = { sid, user, channel, periods: new Map() };
+      sessions.set(sid, s);
+      if (sessions.size > maxSessions) sessions.delete(sessions.keys().next().value);
+    }
+    let rec = s.periods.get(period);
+    if (!rec) s.periods.set(period, rec = { period, ad: ad.id, channel, progress: 0, events: {} });
+
+    rec.progress = Math.max(rec.progress, progress);
+    const fired = [];
+    for (const [event, at] of EVENTS) {
+      if (rec.events[event] || rec.progress < at - 1e-6) continue;
+      rec.events[event] = new Date(now()).toISOString();
+      fired.push(event);
+    }
+    return fired;
+  }
+
+  /** Sessions with their ad Periods, optionally filtered by { user, session, channel } */
+  function list({ user, session, channel } = {}) {
+    return [...sessions.values()]
+      .filter(s => (!user || s.user === user) && (!session || s.sid === session))
+      .map(s => ({
+        session: s.sid,
+        user: s.user,
+        ads: [...s.periods.values()]
+          .filter(r => !channel || r.channel === channel)
+          .map(r => ({ ...r, progress: +r.progress.toFixed(3) }))
+      }))
+      .filter(s => s.ads.length);
+  }
+
+  return { segment, list, size: () => sessions.size };
+}
+
+module.exports = {
+  loadAds, createAdDecisions, createAdTracker, layoutPeriods, adProgress, EVENTS
+};
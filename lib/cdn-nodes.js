@@ -0,0 +1,158 @@
+/**
+ * Simulated multi-node CDN
+ *
+ * Each node is an edge of its own: a private edge cache, a health flag
+ * and an artificial latency.  /proxy asks the pool for a node; the MPD
+ * lists every healthy node as a BaseURL so players can fail over when
+ * one dies mid-playback.
+ *
+ * Node: { id, weight, latencyMs, healthy, reason, changedAt, cache,
+ *         requests, errors }
+ *
+ * Strategies:
+ *   round-robin      healthy nodes in turn
+ *   weighted         random, proportional to weight
+ *   consistent-hash  hash ring keyed by session — a viewer keeps hitting
+ *                    the node whose cache already holds their segments,
+ *                    and only the sessions of a node that goes down move
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const STRATEGIES = ['round-robin', 'weighted', 'consistent-hash'];
+const VNODES_PER_WEIGHT = 40;   // ring points per unit of weight
+
+function hash32(s) {
+  return crypto.createHash('sha1').update(s).digest().readUInt32BE(0);
+}
+
+/**
+ * opts: {
+ *   nodes: [{ id, weight?, latencyMs? }],
+ *   strategy,
+ *   createCache(nodeId) → edge cache for that node
+ *   random, now
+ * }
+ */
+function createCdnPool({ nodes, strategy, createCache, random = Math.random, now = Date.now }) {
+  if (!nodes || !nodes.length) throw new Error('cdn-nodes: at least one node is required');
+  if (!STRATEGIES.includes(strategy)) throw new Error(`cdn-nodes: strategy must be one of ${STRATEGIES.join(', ')} (got "${strategy}")`);
+
+  const pool = new Map(nodes.map(n => [n.id, {
+    id:        n.id,
+    weight:    n.weight ?? 1,
+    latencyMs: n.latencyMs ?? 0,
+    healthy:   true,
+    reason:    null,
+    changedAt: now(),
+    cache:     createCache(n.id),
+    requests:  0,
+    errors:    0
+  }]));
+
+  let current = strategy;
+  let rrNext  = 0;
+  let ring    = [];
+
+  /** Rebuild the hash ring — called whenever weights change. Weight 0 keeps a node off it */
+  function buildRing() {
+    ring = [];
+    for (const n of pool.values()) {
+      if (!(n.weight > 0)) continue;
+      for (let i = 0; i < Math.max(1, Math.round(n.weight * VNODES_PER_WEIGHT)); i++)
+        ring.push({ point: hash32(`${n.id}#${i}`), id: n.id });
+    }
+    ring.sort((a, b) => a.point - b.point);
+  }
+  buildRing();
+
+  /** Every node in ring order starting at `key`'s point (each node once) */
+  function ringOrder(key) {
+    const p = hash32(String(key));
+    let i = ring.findIndex(r => r.point >= p);
+    if (i < 0) i = 0;
+    const seen = [];
+    for (let k = 0; k < ring.length && seen.length < pool.size; k++) {
+      const id = ring[(i + k) % ring.length].id;
+      if (!seen.includes(id)) seen.push(id);
+    }
+    return seen.map(id => pool.get(id));
+  }
+
+  const healthy = () => [...pool.values()].filter(n => n.healthy);
+
+  /** Choose a node for a new stream. affinityKey = session id. Null when every node is down */
+  function pick(affinityKey) {
+    const up = healthy();
+    if (!up.length) return null;
+
+    if (current === 'consistent-hash') return ringOrder(affinityKey).find(n => n.healthy) || null;
+
+    if (current === 'weighted') {
+      const total = up.reduce((sum, n) => sum + n.weight, 0);
+      let r = random() * total;
+      for (const n of up) { if ((r -= n.weight) < 0) return n; }
+      return up[up.length - 1];
+    }
+
+    const all = [...pool.values()];
+    for (let k = 0; k < all.length; k++) {
+      const n = all[(rrNext + k) % all.length];
+      if (n.healthy) { rrNext = (rrNext + k + 1) % all.length; return n; }
+    }
+    return null;
+  }
+
+  /** Healthy nodes for an MPD's BaseURL list: `primary` first, then ring order */
+  function failoverOrder(primaryId, affinityKey) {
+    const rest = ringOrder(affinityKey).filter(n => n.healthy && n.id !== primaryId);
+    const primary = pool.get(primaryId);
+    return primary && primary.healthy ? [primary, ...rest] : rest;
+  }
+
+  function setHealth(id, up, reason) {
+    const n = pool.get(id);
+    if (!n) return null;
+    n.healthy   = !!up;
+    n.reason    = up ? null : (reason || 'taken down by admin');
+    n.changedAt = now();
+    return n;
+  }
+
+  function configure(id, { weight, latencyMs }) {
+    const n = pool.get(id);
+    if (!n) return null;
+    if (weight !== undefined)    n.weight    = weight;
+    if (latencyMs !== undefined) n.latencyMs = latencyMs;
+    if (weight !== undefined) buildRing();
+    return n;
+  }
+
+  function setStrategy(s) {
+    if (!STRATEGIES.includes(s)) return false;
+    current = s;
+    return true;
+  }
+
+  /** Node as JSON (cache summarised) */
+  function describe(n) {
+    const c = n.cache.stats();
+    return {
+      id: n.id, weight: n.weight, latencyMs: n.latencyMs,
+      healthy: n.healthy, reason: n.reason, changedAt: new Date(n.changedAt).toISOString(),
+      requests: n.requests, errors: n.errors,
+      cache: { hitRatio: c.hitRatio, hits: c.hits, misses: c.misses, entries: c.memory.entries, bytes: c.memory.bytes }
+    };
+  }
+
+  return {
+    pick, failoverOrder, setHealth, configure, setStrategy, describe,
+    get:      id => pool.get(id) || null,
+    list:     () => [...pool.values()],
+    strategy: () => current
+  };
+}
+
+module.exports = { createCdnPool, STRATEGIES };
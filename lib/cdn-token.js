@@ -0,0 +1,147 @@
+/**
+ * Stateless signed CDN tokens  (Akamai EdgeAuth / BroadPeak style)
+ *
+ * Everything the edge needs is inside the token, signed with
+ * HMAC-SHA256, so any process that knows the secret can validate it —
+ * no shared token store, nothing lost on restart:
+ *
+ *   kid=k1~exp=1729350060~ch=Ch120~cdn=cs5~uid=demo~sid=3f9a…~ip=1.2.3.4
+ *     ~acl=/manifest.mpd!/seg/*!/license~hmac=<hex>
+ *
+ *   kid  which secret signed it (rotation: old and new are both accepted
+ *        during a grace window)
+ *   exp  expiry, unix seconds
+ *   st   issued at, unix seconds
+ *   ch   channel, cdn  CDN node, uid  user
+ *   sid  session reference (HMAC of the session id — stable across refreshes)
+ *   ip   optional client IP (or its subnet, "1.2.3.0/24") the token is bound to
+ *   acl  paths under /cdn/<token> the token may fetch ("*" suffix = prefix)
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const FIELD_ORDER = ['kid', 'exp', 'st', 'ch', 'cdn', 'uid', 'sid', 'ip', 'acl'];
+
+/** Percent-escape only the separators (~ = !) and % itself, so paths stay readable */
+function esc(v) {
+  return String(v).replace(/[%~=!]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+/** Constant-time compare of two hex strings */
+function sameHex(a, b) {
+  const x = Buffer.from(a, 'hex');
+  const y = Buffer.from(b, 'hex');
+  return x.length === y.length && x.length > 0 && crypto.timingSafeEqual(x, y);
+}
+
+/** Does `path` match one ACL entry ("/seg/*" is a prefix match) */
+function aclAllows(acl, path) {
+  return acl.some(rule => rule.endsWith('*') ? path.startsWith(rule.slice(0, -1)) : path === rule);
+}
+
+/**
+ * Create a signer/verifier.
+ *
+ *   keys: [{ id, secret, until? }]   first key signs; the rest only verify,
+ *                                    each until its `until` (ms epoch)
+ *   ttl:  token lifetime in ms
+ *   refSecret: secret for session references (stable across key rotation)
+ *   now:  clock (defaults to Date.now)
+ */
+function createCdnTokenSigner({ keys, ttl, refSecret, now = Date.now }) {
+  if (!keys || !keys.length) throw new Error('cdn-token: at least one signing key is required');
+  const signing = keys[0];
+
+  /**
+   * Short reference to a session (safe to put in URLs), from its store
+   * id — not the access token, which /token/refresh replaces — so QoE,
+   * ad tracking, impairments and watermarks follow one session throughout.
+   */
+  function sessionRef(sessionId) {
+    return hmac(refSecret || signing.secret, `sid:${sessionId}`).slice(0, 16);
+  }
+
+  /** claims: { channel, cdnServer, userId, sessionId, ip?, acl[] } */
+  function sign(claims) {
+    const t = now();
+    const fields = {
+      kid: signing.id,
+      exp: Math.floor((t + ttl) / 1000),
+      st:  Math.floor(t / 1000),
+      ch:  claims.channel,
+      cdn: claims.cdnServer,
+      uid: claims.userId,
+      sid: sessionRef(claims.sessionId),
+      ip:  claims.ip,
+      acl: claims.acl && claims.acl.length ? claims.acl.map(esc).join('!') : null
+    };
+    const body = FIELD_ORDER
+      .filter(k => fields[k] != null)
+      .map(k => `${k}=${k === 'acl' ? fields[k] : esc(fields[k])}`)
+      .join('~');
+    return `${body}~hmac=${hmac(signing.secret, body)}`;
+  }
+
+  /**
+   * Validate a token for a request.
+   *   opts.path  path below /cdn/<token> (or "/license")
+   *   opts.ip    client IP, checked only if the token carries one
+   * Returns { ok, reason, code } or { ok, data, secsLeft }.  code is a
+   * stable label for metrics: malformed · unknown_key · bad_signature ·
+   * key_retired · expired · path_not_allowed · ip_mismatch
+   */
+  function verify(token, { path, ip } = {}) {
+    const at = typeof token === 'string' ? token.lastIndexOf('~hmac=') : -1;
+    if (at < 0) return { ok: false, reason: 'malformed CDN token', code: 'malformed' };
+
+    const body = token.slice(0, at);
+    const sig  = token.slice(at + 6);
+    const f = {};
+    for (const part of body.split('~')) {
+      const eq = part.indexOf('=');
+      if (eq < 1) return { ok: false, reason: 'malformed CDN token', code: 'malformed' };
+      f[part.slice(0, eq)] = part.slice(eq + 1);
+    }
+
+    const key = keys.find(k => k.id === f.kid);
+    if (!key) return { ok: false, reason: `unknown signing key id "${f.kid}"`, code: 'unknown_key' };
+    if (!sameHex(sig, hmac(key.secret, body))) return { ok: false, reason: 'bad signature', code: 'bad_signature' };
+    if (key !== signing && key.until && now() > key.until)
+      return { ok: false, reason: `signing key "${key.id}" retired (grace window over)`, code: 'key_retired' };
+
+    const expiresAt = Number(f.exp) * 1000;
+    if (!(expiresAt > now())) return { ok: false, reason: `CDN token expired (${Math.round(ttl / 1000)}s limit reached)`, code: 'expired' };
+
+    const acl = f.acl ? f.acl.split('!').map(decodeURIComponent) : ['*'];
+    if (path != null && !aclAllows(acl, path)) return { ok: false, reason: `path not allowed (${path})`, code: 'path_not_allowed' };
+
+    const boundIp = f.ip ? decodeURIComponent(f.ip) : null;
+    if (boundIp && ip && boundIp !== ip) return { ok: false, reason: `IP mismatch (token for ${boundIp}, request from ${ip})`, code: 'ip_mismatch' };
+
+    return {
+      ok: true,
+      data: {
+        keyId:      f.kid,
+        channel:    decodeURIComponent(f.ch || ''),
+        cdnServer:  decodeURIComponent(f.cdn || ''),
+        userId:     f.uid ? decodeURIComponent(f.uid) : null,
+        sessionRef: f.sid || null,
+        ip:         boundIp,
+        acl,
+        createdAt:  Number(f.st) * 1000,
+        expiresAt
+      },
+      secsLeft: Math.round((expiresAt - now()) / 1000)
+    };
+  }
+
+  return { sign, verify, sessionRef };
+}
+
+module.exports = { createCdnTokenSigner };
@@ -0,0 +1,295 @@
+/**
+ * Channel catalog
+ *
+ * Loads the channel definitions from channels.json (or CHANNELS_FILE).
+ * Each channel declares where its segments live upstream, which
+ * representations the MPD should advertise, and its ClearKey keys.
+ *
+ *   {
+ *     "channels": {
+ *       "Ch120": {
+ *         "name": "Angel One",
+ *         "origin": "https://storage.googleapis.com",
+ *         "basePath": "/shaka-demo-assets/angel-one-clearkey",
+ *         "drm": true,
+ *         "keys": { "<kid hex>": "<key hex>" },     (seeds the key store)
+ *         "duration": "PT1M14.167S",
+ *         "adaptationSets": [ { "contentType": "video", ..., "representations": [...] } ]
+ *       }
+ *     }
+ *   }
+ *
+ * "origin": "local" serves the channel from disk instead (see
+ * local-origin.js); "contentDir" defaults to <CONTENT_DIR>/<channel id>.
+ *
+ * "manifest": { "source": "upstream", "path": "dash.mpd", "transforms": [...] }
+ * serves the origin's own MPD through a rewrite chain (mpd-rewrite.js)
+ * instead of building one from "adaptationSets", which can then be left
+ * out.  Such channels are DASH only and cannot be looped live.
+ *
+ * Sidecar subtitles are read from <SUBTITLES_DIR>/<channel id>/<lang>.{vtt,srt,ttml}
+ * (see subtitles.js); "subtitles": { "dir", "mode": "segments" | "sidecar",
+ * "segmentDuration": "PT10S", "labels": { "en": "English" } } tunes that,
+ * "subtitles": false turns it off.
+ *
+ * "access": { "allow": ["10.0.0.0/8"], "deny": [...], "countries": { "allow": ["LK"] },
+ * "unknown": "allow" | "deny" } limits where the channel can be watched
+ * from (see access.js).
+ *
+ * "watermark": { "variants": ["A", "B"] } (or just true) serves each
+ * session its own mix of two pre-marked copies of every media segment,
+ * kept in those two directories below basePath / contentDir (see
+ * watermark.js).
+ *
+ * "live": { ... } (or just true) turns the asset into a linear channel
+ * that loops forever behind a dynamic MPD.  "extends": "<channel id>"
+ * copies another channel's definition so a live variant only has to
+ * list what differs.
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { normalizeChain } = require('./mpd-rewrite');
+const { normalizeRules } = require('./access');
+
+const HEX32 = /^[0-9a-f]{32}$/i;
+
+/** Throw a config error that names the offending channel */
+function fail(id, msg) {
+  throw new Error(`channels: ${id}: ${msg}`);
+}
+
+/** ISO 8601 duration (PT1M14.167S) → seconds */
+function parseDuration(iso) {
+  const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/.exec(iso || '');
+  if (!m) return NaN;
+  return (+(m[1] || 0)) * 86400 + (+(m[2] || 0)) * 3600 + (+(m[3] || 0)) * 60 + (+(m[4] || 0));
+}
+
+/** Live settings with defaults; availabilityStartTime defaults to today 00:00 UTC */
+function normalizeLive(id, live) {
+  if (!live) return null;
+  const cfg = live === true ? {} : live;
+
+  const ast = cfg.availabilityStartTime
+    ? Date.parse(cfg.availabilityStartTime)
+    : new Date().setUTCHours(0, 0, 0, 0);
+  if (isNaN(ast)) fail(id, `invalid live.availabilityStartTime "${cfg.availabilityStartTime}"`);
+
+  const out = {
+    availabilityStartTime:      ast,
+    timeShiftBufferDepth:       cfg.timeShiftBufferDepth       || 'PT30S',
+    minimumUpdatePeriod:        cfg.minimumUpdatePeriod        || 'PT4S',
+    suggestedPresentationDelay: cfg.suggestedPresentationDelay || 'PT10S'
+  };
+  for (const k of ['timeShiftBufferDepth', 'minimumUpdatePeriod', 'suggestedPresentationDelay']) {
+    if (isNaN(parseDuration(out[k]))) fail(id, `invalid live.${k} "${out[k]}"`);
+  }
+  out.timeShiftBufferSec = parseDuration(out.timeShiftBufferDepth);
+
+  // "keyRotation": { "interval": "PT10M", "lead": "PT1M" } — new key every interval,
+  // announced in the manifest `lead` before it takes over
+  if (cfg.keyRotation) {
+    const interval = parseDuration(cfg.keyRotation.interval);
+    const lead     = parseDuration(cfg.keyRotation.lead || 'PT30S');
+    if (!(interval > 0)) fail(id, `invalid live.keyRotation.interval "${cfg.keyRotation.interval}"`);
+    if (isNaN(lead) || lead >= interval) fail(id, 'live.keyRotation.lead must be shorter than the interval');
+    out.keyRotation = { intervalMs: interval * 1000, leadMs: lead * 1000 };
+  }
+  return out;
+}
+
+/** "manifest" settings, or null when the MPD is built from the catalog */
+function normalizeManifest(id, manifest) {
+  if (!manifest || manifest.source === 'catalog') return null;
+  if (manifest.source !== 'upstream') fail(id, `manifest.source must be "upstream" or "catalog" (got "${manifest.source}")`);
+  if (typeof manifest.path !== 'string' || !manifest.path || manifest.path.startsWith('/'))
+    fail(id, 'manifest.path must be the MPD path relative to basePath, e.g. "dash.mpd"');
+
+  let transforms;
+  try { transforms = normalizeChain(manifest.transforms); }
+  catch (err) { fail(id, err.message); }
+  return { source: 'upstream', path: manifest.path, transforms };
+}
+
+/** Subtitle settings with defaults, or null when turned off */
+function normalizeSubtitles(id, cfg, opts) {
+  if (cfg === false) return null;
+  const c = cfg || {};
+  const mode = c.mode || 'segments';
+  if (mode !== 'segments' && mode !== 'sidecar') fail(id, `subtitles.mode must be "segments" or "sidecar" (got "${mode}")`);
+  const segmentSec = parseDuration(c.segmentDuration || 'PT10S');
+  if (!(segmentSec > 0)) fail(id, `invalid subtitles.segmentDuration "${c.segmentDuration}"`);
+  return {
+    dir: c.dir ? path.resolve(opts.baseDir, c.dir) : path.join(opts.subtitlesDir, opts.contentId || id),
+    mode,
+    segmentSec,
+    labels: c.labels || {}
+  };
+}
+
+/** Network / country rules, or null for a channel open to every address */
+function normalizeAccess(id, access) {
+  try { return normalizeRules(access); }
+  catch (err) { fail(id, err.message); }
+}
+
+/** A/B variant directories, or null for an unmarked channel */
+function normalizeWatermark(id, cfg) {
+  if (!cfg) return null;
+  const variants = cfg === true || !cfg.variants ? ['A', 'B'] : cfg.variants;
+  if (!Array.isArray(variants) || variants.length !== 2)
+    fail(id, 'watermark.variants must list two directories, e.g. ["A", "B"]');
+  for (const dir of variants) {
+    if (typeof dir !== 'string' || !dir || dir.startsWith('/') || dir.split('/').includes('..'))
+      fail(id, `watermark variant "${dir}" must be a directory relative to basePath`);
+  }
+  if (variants[0] === variants[1]) fail(id, 'watermark variants must be two different directories');
+  return { variants: variants.map(d => d.replace(/\/+$/, '')) };
+}
+
+/** Apply "extends" chains. Returns { def, contentId } where contentId is the root channel */
+function resolveExtends(id, defs, seen = []) {
+  const def = defs[id];
+  if (!def || !def.extends) return { def, contentId: id };
+  if (seen.includes(id)) fail(id, `"extends" cycle: ${[...seen, id].join(' → ')}`);
+  if (!defs[def.extends]) fail(id, `extends unknown channel ${def.extends}`);
+
+  const parent = resolveExtends(def.extends, defs, [...seen, id]);
+  const { extends: _ignored, ...own } = def;
+  return { def: { ...parent.def, ...own }, contentId: parent.contentId };
+}
+
+/** Resolve where a channel's segments come from: { origin, protocol, hostname, port } or local dir */
+function resolveOrigin(id, def, opts) {
+  if (opts.forceLocal || def.origin === 'local') {
+    const dir = def.contentDir
+      ? path.resolve(opts.baseDir, def.contentDir)
+      : path.join(opts.contentDir, opts.contentId || id);
+    return { origin: 'local', contentDir: dir };
+  }
+
+  let origin;
+  try { origin = new URL(def.origin); }
+  catch { fail(id, `invalid origin "${def.origin}"`); }
+  if (origin.protocol !== 'https:' && origin.protocol !== 'http:')
+    fail(id, `unsupported origin protocol ${origin.protocol}`);
+
+  return {
+    origin:   origin.origin,
+    protocol: origin.protocol.slice(0, -1),
+    hostname: origin.hostname,
+    port:     +origin.port || (origin.protocol === 'https:' ? 443 : 80)   // explicit: it is part of cache keys
+  };
+}
+
+/** Validate one channel definition and fill in defaults */
+function normalizeChannel(id, def, opts) {
+  if (!def || typeof def !== 'object') fail(id, 'definition must be an object');
+
+  const origin = resolveOrigin(id, def, opts);
+
+  const drm  = def.drm !== false;
+  const keys = {};
+  for (const [kid, key] of Object.entries(def.keys || {})) {
+    if (!HEX32.test(kid) || !HEX32.test(key)) fail(id, `key ${kid} must be 32 hex chars (KID and key)`);
+    keys[kid.toLowerCase()] = key.toLowerCase();
+  }
+
+  const manifest = normalizeManifest(id, def.manifest);
+  const adaptationSets = def.adaptationSets || [];
+  if (!manifest && adaptationSets.length === 0)
+    fail(id, 'at least one adaptation set is required (or "manifest": { "source": "upstream" })');
+  adaptationSets.forEach((set, i) => {
+    if (!set.contentType || !set.mimeType) fail(id, `adaptationSets[${i}] needs contentType and mimeType`);
+    if (!set.timescale || !set.segmentDuration) fail(id, `adaptationSets[${i}] needs timescale and segmentDuration`);
+    if (!Array.isArray(set.representations) || set.representations.length === 0)
+      fail(id, `adaptationSets[${i}] has no representations`);
+    set.representations.forEach(r => {
+      if (!r.id || !r.bandwidth || !r.media) fail(id, `representation in adaptationSets[${i}] needs id, bandwidth and media`);
+    });
+  });
+
+  const durationSec = parseDuration(def.duration || 'PT0S');
+  if (isNaN(durationSec)) fail(id, `invalid duration "${def.duration}"`);
+  const live = normalizeLive(id, def.live);
+  if (live && !(durationSec > 0)) fail(id, 'live channels need the looped asset\'s duration');
+  if (live && manifest) fail(id, 'upstream manifests cannot be looped live — use the catalog definition');
+  // Remote segments stay encrypted with the key they were packaged with
+  if (live && live.keyRotation && drm && origin.origin !== 'local')
+    fail(id, 'live.keyRotation needs locally packaged content ("origin": "local")');
+
+  return {
+    id,
+    name:          def.name || id,
+    ...origin,
+    basePath:      (def.basePath || '').replace(/\/+$/, ''),
+    drm,
+    keys:          drm ? keys : {},
+    duration:      def.duration || 'PT0S',
+    durationSec,
+    minBufferTime: def.minBufferTime || 'PT1.5S',
+    live,
+    manifest,
+    adaptationSets,
+    subtitles:     manifest ? null : normalizeSubtitles(id, def.subtitles, opts),
+    access:        normalizeAccess(id, def.access),
+    watermark:     normalizeWatermark(id, def.watermark)
+  };
+}
+
+/**
+ * Read and validate the catalog.  `source` is the file, or an already
+ * parsed catalog ({ channels: { … } }) whose relative paths resolve
+ * against opts.baseDir (default: the working directory).
+ * Returns Map<channelId, channel>
+ *
+ * opts.contentDir  root for local channels without their own contentDir
+ * opts.subtitlesDir root for sidecar subtitles (<dir>/<channel id>/<lang>.vtt)
+ * opts.forceLocal  serve every channel from disk (ORIGIN_MODE=local)
+ */
+function loadChannels(source, opts = {}) {
+  const inline = typeof source === 'object';
+  const name   = inline ? 'catalog' : source;
+  let raw = source;
+  if (!inline) {
+    try { raw = JSON.parse(fs.readFileSync(source, 'utf8')); }
+    catch (err) { throw new Error(`channels: cannot load ${source}: ${err.message}`); }
+  }
+
+  const defs = raw && raw.channels;
+  if (!defs || typeof defs !== 'object') throw new Error(`channels: ${name} has no "channels" object`);
+
+  const channels = new Map();
+  const baseDir  = inline ? path.resolve(opts.baseDir || '.') : path.dirname(path.resolve(source));
+  const o = {
+    baseDir,
+    contentDir:   path.resolve(opts.contentDir || path.join(baseDir, 'content')),
+    subtitlesDir: path.resolve(opts.subtitlesDir || path.join(baseDir, 'subtitles')),
+    forceLocal:   !!opts.forceLocal
+  };
+  for (const id of Object.keys(defs)) {
+    const { def, contentId } = resolveExtends(id, defs);
+    channels.set(id, normalizeChannel(id, def, { ...o, contentId }));
+  }
+  return channels;
+}
+
+/** Public view of a channel for GET /api/channels (no keys, no origin) */
+function describeChannel(ch) {
+  const video = ch.adaptationSets.find(s => s.contentType === 'video');
+  const heights = video ? video.representations.map(r => r.height).filter(Boolean) : [];
+  return {
+    id:        ch.id,
+    name:      ch.name,
+    drm:       ch.drm,
+    live:      !!ch.live,
+    duration:  ch.duration,
+    formats:   ch.manifest ? ['dash'] : ['dash', 'hls'],
+    qualities: [...new Set(heights)].sort((a, b) => a - b).map(h => h + 'p')
+  };
+}
+
+module.exports = { loadChannels, describeChannel, parseDuration };
@@ -0,0 +1,98 @@
+/**
+ * W3C ClearKey license messages
+ *
+ * Request  (EME "license-request" message, JSON):
+ *   { "kids": ["<base64url kid>", ...], "type": "temporary" }
+ *
+ * Response (JSON Web Key Set):
+ *   { "keys": [{ "kty": "oct", "kid": "<b64url>", "k": "<b64url>" }], "type": "temporary" }
+ *
+ * https://www.w3.org/TR/encrypted-media/#clear-key
+ */
+
+'use strict';
+
+const SESSION_TYPES = ['temporary', 'persistent-license'];
+
+/** Error carrying the HTTP status the license route should answer with */
+class LicenseError extends Error {
+  /** code: optional stable label for the refusal (X-Deny-Reason, "reason" in the JSON) */
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    this.code   = code;
+  }
+}
+
+/** base64url KID (16 bytes) → lowercase hex, or null if it is not a KID */
+function kidToHex(kid) {
+  if (typeof kid !== 'string' || !/^[A-Za-z0-9_\-+/]+={0,2}$/.test(kid)) return null;
+  const buf = Buffer.from(kid, 'base64');
+  return buf.length === 16 ? buf.toString('hex') : null;
+}
+
+/**
+ * Parse a license request body (Buffer, string, or JSON already parsed
+ * by express.json()).  Returns { kids: [hex...], type } or throws
+ * LicenseError(400).
+ */
+function parseLicenseRequest(body) {
+  let msg = body;
+  if (Buffer.isBuffer(body) || typeof body === 'string') {
+    try { msg = JSON.parse(body.toString('utf8')); }
+    catch { throw new LicenseError(400, 'license request is not valid JSON'); }
+  }
+
+  if (!msg || !Array.isArray(msg.kids) || msg.kids.length === 0)
+    throw new LicenseError(400, 'license request must contain a non-empty "kids" array');
+
+  const type = msg.type || 'temporary';
+  if (!SESSION_TYPES.includes(type))
+    throw new LicenseError(400, `unsupported session type "${type}" (expected ${SESSION_TYPES.join(' or ')})`);
+
+  const kids = msg.kids.map(k => {
+    const hex = kidToHex(k);
+    if (!hex) throw new LicenseError(400, `malformed kid "${k}"`);
+    return hex;
+  });
+
+  return { kids: [...new Set(kids)], type };
+}
+
+/** Build the JWK Set response for { kidHex: keyHex } pairs */
+function buildLicenseResponse(keys, type) {
+  return {
+    keys: Object.entries(keys).map(([kidHex, keyHex]) => ({
+      kty: 'oct',
+      kid: Buffer.from(kidHex, 'hex').toString('base64url'),
+      k:   Buffer.from(keyHex, 'hex').toString('base64url')
+    })),
+    type
+  };
+}
+
+// W3C Common PSSH system ID — ClearKey reads its KID list from v1 boxes
+const COMMON_SYSTEM_ID = Buffer.from('1077efecc0b24d02ace33c1e52e2fb4b', 'hex');
+
+/**
+ * Version-1 'pssh' box listing KIDs (hex), base64 for <cenc:pssh>.
+ * Lets a manifest announce more than the default_KID, e.g. the next
+ * key ahead of a rotation.
+ */
+function buildCommonPssh(kids) {
+  const count = Buffer.alloc(4);
+  count.writeUInt32BE(kids.length, 0);
+  const body = Buffer.concat([
+    Buffer.from([1, 0, 0, 0]),                 // version 1, flags 0
+    COMMON_SYSTEM_ID,
+    count,
+    ...kids.map(k => Buffer.from(k, 'hex')),
+    Buffer.alloc(4)                            // DataSize 0
+  ]);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write('pssh', 4, 'latin1');
+  return Buffer.concat([header, body]).toString('base64');
+}
+
+module.exports = { parseLicenseRequest, buildLicenseResponse, buildCommonPssh, LicenseError };
@@ -0,0 +1,2238 @@
+/**
+ * DASHPIPE as a library
+ *
+ * createDashpipe(config) builds one self-contained instance — its own
+ * Express app, stores, caches, metrics, request log and timers — so it
+ * can be mounted inside another app or run several times side by side
+ * (the e2e tests in test/ do).  server.js is the CLI around it: it maps
+ * the environment onto `config` and listens.
+ *
+ *   const { createDashpipe } = require('./lib/dashpipe');
+ *   const dp = createDashpipe({ channels: 'channels.json', users: { packages, accounts } });
+ *   dp.on('proxy', e => console.log(`${e.user} → ${e.channel}`));
+ *   await dp.start({ port: 3000 });       // seed accounts, start timers, listen
+ *   // or mount it:  await dp.start();  parent.use('/tv', dp.app);
+ *   await dp.stop();                      // clear timers, end log streams, close
+ *
+ * config — all optional; without files every store lives in memory:
+ *   secret, cdnSecret, cdnKeyId      signing secrets (demo values by default)
+ *   cdnPrevious                      { secret, keyId, until } still verified after a rotation
+ *   cdnTokenBindIp                   'ip' | 'subnet' (IPv4 /24, IPv6 /64): bind CDN tokens to the client
+ *   ttl                              { session, refresh, maxAge, cdn } in ms
+ *   channels                         catalog file or object ({ channels: { … } })
+ *   originMode, contentDir, subtitlesDir   originMode 'local' serves every channel from disk
+ *   ads                              ads file or object ({ pool, schedules }); null → none
+ *   users                            { file, packages, accounts } — the seed fills an empty store
+ *   keys                             { file, masterKey, channels: { <id>: { <kid>: <key> } } }
+ *                                    (channels overrides the catalog's seed keys)
+ *   sessions                         { store: 'memory' | 'file', file } or { adapter },
+ *                                    + bindIp: 'ip' | 'subnet' (only usable from the login's network)
+ *   geoDb                            IP-range CSV for channels' access.countries (lib/access.js)
+ *   trustProxy                       Express 'trust proxy' (behind a load balancer: 1, true, CIDRs)
+ *   watermark                        { secret, bits, file } for channels with A/B "watermark" variants
+ *   streams                          { max, devices, policy }
+ *   cdnNodes, cdnStrategy            [{ id, weight, latencyMs }], lib/cdn-nodes.js strategy
+ *   cache                            { memoryMb, dir, diskMb, defaultTtl, manifestTtl } (TTLs in s)
+ *   upstream                         (channel, path, conditional) → Promise<{ status, headers, body }>
+ *                                    replaces the HTTP(S) origin fetch
+ *   upstreamTimeoutMs                give up on an HTTP(S) origin fetch after this long (default 15000)
+ *   now                              clock, () → ms (tokens, sessions, keys, live edges)
+ *   logFormat, logger                'text' | 'json'; { log, warn } (default console)
+ *   metricsToken, cmsdHeaders
+ *   publicDir                        player UI (default public/; null → API only)
+ *
+ * Hooks — dp.on(event, listener), called after the fact.  A listener
+ * that throws is logged (HOOK_ERR), never fails the request:
+ *   login    { user, role, ip }
+ *   proxy    { user, session, channel, node, format, ip, country }
+ *   license  { user, channel, via, kids }
+ *   segment  { user, session, channel, node, seg, ad, wm, status, cache }   (wm: 'A' | 'B' | null)
+ *   deny     { stage: 'login' | 'proxy' | 'cdn' | 'license' | 'admin', status, reason, code?, user?, channel?, ip }
+ *            (code is also the answer's X-Deny-Reason header)
+ */
+
+'use strict';
+
+const express = require('express');
+const https   = require('https');
+const http    = require('http');
+const path    = require('path');
+const cors    = require('cors');
+const { EventEmitter }  = require('events');
+const { pathToFileURL } = require('url');
+
+const { loadChannels, describeChannel } = require('./channels');
+const { readLocalFile } = require('./local-origin');
+const { buildMasterPlaylist, buildMediaPlaylist } = require('./hls');
+const { parseLicenseRequest, buildLicenseResponse, buildCommonPssh, LicenseError } = require('./clearkey');
+const { createKeyStore } = require('./keystore');
+const { createCdnTokenSigner } = require('./cdn-token');
+const { createSessionStore, createMemoryAdapter, createFileAdapter } = require('./session-store');
+const { createUserStore, UserError } = require('./users');
+const { createStreamTracker, POLICIES: STREAM_POLICIES, STATES: STREAM_STATES } = require('./streams');
+const { createEdgeCache, sendEntry } = require('./edge-cache');
+const { createCdnPool, STRATEGIES: CDN_STRATEGIES } = require('./cdn-nodes');
+const { createImpairments, writeImpaired } = require('./impairments');
+const { createRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { rewriteMpd } = require('./mpd-rewrite');
+const { loadAds, createAdDecisions, createAdTracker, layoutPeriods } = require('./ads');
+const { createSubtitleStore } = require('./subtitles');
+const { parseCmcd, cmsd, createQoeStore, GROUPS: QOE_GROUPS } = require('./qoe');
+const { normalizeIp, parseIp, bindKey, normalizeMode, loadGeoDb, checkAccess } = require('./access');
+const { createWatermarker } = require('./watermark');
+
+const MB = 1024 * 1024;
+
+// Simulated CDN edge nodes (like Dialog's bpcdncs5..cs8), each with its own cache
+const DEFAULT_CDN_NODES = [
+  { id: 'cs5', weight: 2, latencyMs: 10 },
+  { id: 'cs6', weight: 2, latencyMs: 10 },
+  { id: 'cs7', weight: 1, latencyMs: 40 },
+  { id: 'cs8', weight: 1, latencyMs: 80 }
+];
+
+const HOOKS = ['login', 'proxy', 'license', 'segment', 'deny'];
+
+function createDashpipe(config = {}) {
+  const app    = express();
+  const now    = config.now || Date.now;
+  const logger = config.logger || console;
+  const hooks  = new EventEmitter();
+  const timers = [];          // intervals start() sets and stop() clears
+  const logStreams = new Set();   // close() of each open /api/log/stream, called by stop()
+  let   server = null;
+  let   started = false;
+
+  const PUBLIC_DIR = config.publicDir === undefined ? path.join(__dirname, '..', 'public') : config.publicDir;
+
+  // Behind a load balancer (Render, nginx) this makes req.ip the viewer's address
+  if (config.trustProxy !== undefined) app.set('trust proxy', config.trustProxy);
+
+  app.use(cors());
+  app.use(express.json());
+  if (PUBLIC_DIR) app.use(express.static(PUBLIC_DIR));
+
+  // ══════════════════════════════════════════════════════════
+  // CONFIGURATION
+  // ══════════════════════════════════════════════════════════
+  const SECRET     = config.secret    || 'proxy_secret_key_!@#$';
+  const CDN_SECRET = config.cdnSecret || 'cdn_secret_key_$%^&';
+  const ttl        = config.ttl || {};
+  const SESSION_TTL     = ttl.session ?? 60 * 60 * 1000;             // 1 hour (idle — slides while in use)
+  const REFRESH_TTL     = ttl.refresh ?? 7 * 24 * 60 * 60 * 1000;    // refresh tokens: 7 days
+  const SESSION_MAX_AGE = ttl.maxAge  ?? 30 * 24 * 60 * 60 * 1000;   // no session outlives 30 days
+  const CDN_TTL         = ttl.cdn     ?? 60 * 1000;                  // 60 seconds  ← short lived!
+
+  // CDN token signing keys.  To rotate cdnSecret: pass the old secret
+  // (+ its key id) as cdnPrevious, give the new one a new cdnKeyId, and
+  // optionally end the grace window with cdnPrevious.until (ms)
+  const CDN_KEY_ID        = config.cdnKeyId || 'k1';
+  const CDN_PREVIOUS      = config.cdnPrevious && config.cdnPrevious.secret
+    ? { id: config.cdnPrevious.keyId || 'k0', secret: config.cdnPrevious.secret, until: config.cdnPrevious.until ?? null }
+    : null;
+  const CDN_TOKEN_BIND_IP = normalizeMode(config.cdnTokenBindIp);   // 'ip' | 'subnet': embed + enforce
+
+  // CDN_STRATEGY: consistent-hash (by session) | round-robin | weighted
+  const CDN_NODES    = config.cdnNodes || DEFAULT_CDN_NODES;
+  const CDN_STRATEGY = config.cdnStrategy || 'consistent-hash';
+
+  // Packages and accounts seed an empty user store (start()); after
+  // that the admin API (/api/admin/users) manages them
+  const USERS = { file: null, packages: {}, accounts: [], ...config.users };
+
+  // ══════════════════════════════════════════════════════════
+  // CHANNEL CATALOG
+  // Each channel in the catalog declares its upstream origin,
+  // base path, representations and ClearKey keys.  The default
+  // catalog proxies Shaka's public angel-one-clearkey demo,
+  // whose keys are published openly by Google:
+  //
+  // Key ID  (hex): 9ab40503e44b480293256257542f2299
+  // Key     (hex): 166630c67582ac7d76e5b8fc8c42f083
+  // ══════════════════════════════════════════════════════════
+  const ROOT = path.join(__dirname, '..');
+
+  // originMode 'local' → serve every channel from contentDir/<channel>/ (no network)
+  const ORIGIN_MODE = config.originMode || 'remote';
+
+  const channels = loadChannels(config.channels || path.join(ROOT, 'channels.json'), {
+    contentDir:   config.contentDir,
+    subtitlesDir: config.subtitlesDir,   // sidecar subtitles: <dir>/<channel>/<lang>.{vtt,srt,ttml}
+    forceLocal:   ORIGIN_MODE === 'local'
+  });
+  const subtitles = createSubtitleStore({ channels });
+  for (const err of subtitles.errors) logger.warn(`[SUBTITLES] skipped ${err}`);
+
+  // ══════════════════════════════════════════════════════════
+  // ACCESS POLICIES
+  // A channel's "access" block limits it to CIDR ranges and
+  // countries; countries come from config.geoDb, a local IP-range
+  // CSV (lib/access.js).  Session and CDN token binding to the
+  // client address are set under sessions.bindIp / cdnTokenBindIp.
+  // ══════════════════════════════════════════════════════════
+  const geo = config.geoDb ? loadGeoDb(config.geoDb) : null;
+  for (const ch of channels.values()) {
+    if (ch.access && ch.access.geo && !geo)
+      throw new Error(`channels: ${ch.id}: access.countries needs a geo database (geoDb)`);
+  }
+
+  /** A channel's CIDR + country rules for this request: { ok, country } or { ok: false, code, reason } */
+  function channelAccess(stage, channel, req) {
+    const access = checkAccess(channel.access, req.ip, geo);
+    if (!access.ok) metric.accessDenials.inc({ stage, reason: access.code });
+    return access;
+  }
+
+  // ══════════════════════════════════════════════════════════
+  // AD INSERTION
+  // config.ads (default ads.json) holds a pool of clear ad clips and
+  // per-channel break schedules; the MPD splices the ads in as their own
+  // Periods and ad segment fetches fire server-side tracking beacons
+  // (lib/ads.js).  No file → no ads.
+  // ══════════════════════════════════════════════════════════
+  const adDecisions = createAdDecisions(loadAds(config.ads === undefined ? path.join(ROOT, 'ads.json') : config.ads, channels));
+  const adTracker   = createAdTracker({ now });
+
+  // ══════════════════════════════════════════════════════════
+  // FORENSIC WATERMARKING
+  // Channels with "watermark" variants get segment n of each
+  // session from variant A or B, by that session's bit sequence
+  // (lib/watermark.js).  watermark.file keeps the sid → user
+  // registry across restarts; watermark.secret must stay the same
+  // for old captures to decode.
+  // ══════════════════════════════════════════════════════════
+  const WATERMARK  = { bits: 32, file: null, ...config.watermark };
+  const watermarks = createWatermarker({ ...WATERMARK, secret: WATERMARK.secret || SECRET, now });
+
+  // ══════════════════════════════════════════════════════════
+  // CDN NODES + EDGE CACHES
+  // Every node caches segments per upstream URL, so channels
+  // sharing an origin share entries — but nodes do not share with
+  // each other.  cache.memoryMb bounds each node's memory tier;
+  // cache.dir turns on a disk tier (<dir>/<node>, bounded by
+  // cache.diskMb).  Origins without Cache-Control are cached for
+  // cache.defaultTtl seconds.
+  // ══════════════════════════════════════════════════════════
+  const CACHE = { memoryMb: 64, dir: null, diskMb: 512, defaultTtl: 3600, manifestTtl: 2, ...config.cache };
+
+  const cdnPool = createCdnPool({
+    nodes:    CDN_NODES,
+    strategy: CDN_STRATEGY,
+    now,
+    createCache: nodeId => createEdgeCache({
+      maxBytes:     CACHE.memoryMb * MB,
+      dir:          CACHE.dir ? path.join(CACHE.dir, nodeId) : null,
+      diskMaxBytes: CACHE.diskMb * MB,
+      defaultTtl:   CACHE.defaultTtl * 1000,
+      now
+    })
+  });
+
+  /** Origin fetch: config.upstream, else HTTP(S) to the channel's origin */
+  const UPSTREAM_TIMEOUT = config.upstreamTimeoutMs || 15000;
+  const upstream = config.upstream
+    || ((channel, upstreamPath, conditional) => fetchUpstream(channel, upstreamPath, conditional, UPSTREAM_TIMEOUT));
+
+  /** Segment base URL on one node — the MPD lists one per healthy node */
+  function edgeBase(base, cdnToken, nodeId) {
+    return `${base}/cdn/${encodeURIComponent(cdnToken)}/n/${nodeId}/seg/`;
+  }
+
+  // ══════════════════════════════════════════════════════════
+  // NETWORK IMPAIRMENTS
+  // Throttling, latency, errors, stalls and truncation injected
+  // into segment delivery per session / channel / node, set at
+  // runtime through /api/admin/impairments (lib/impairments.js).
+  // ══════════════════════════════════════════════════════════
+  const impairments = createImpairments({ now });
+
+  // ══════════════════════════════════════════════════════════
+  // PLAYBACK QoE
+  // CMCD from segment requests and the player's POST /api/qoe
+  // beacons, kept per session + channel (lib/qoe.js).
+  // cmsdHeaders makes the edge answer with CMSD-Static /
+  // CMSD-Dynamic (node, RTT, and the throttle it applies).
+  // ══════════════════════════════════════════════════════════
+  const CMSD_HEADERS = !!config.cmsdHeaders;
+  const qoe = createQoeStore({ now });
+
+  /** Hit/miss counters summed over every node */
+  function cacheTotals() {
+    const total = { hits: 0, misses: 0, revalidated: 0, coalesced: 0, bypass: 0, bytesFromOrigin: 0, bytesServed: 0 };
+    for (const n of cdnPool.list()) {
+      const s = n.cache.stats();
+      for (const k of Object.keys(total)) total[k] += s[k];
+    }
+    const lookups = total.hits + total.misses + total.revalidated;
+    total.hitRatio = lookups ? +((total.hits + total.revalidated) / lookups).toFixed(3) : null;
+    return total;
+  }
+
+  // ══════════════════════════════════════════════════════════
+  // KEY STORE
+  // KID/key pairs per channel, encrypted at rest under
+  // keys.masterKey.  keys.channels (else the catalog's "keys") only
+  // seed it the first time a channel is seen; after that the admin
+  // API (/api/admin/keys) and live key rotation manage it.
+  // ══════════════════════════════════════════════════════════
+  const KEYS              = { file: null, channels: {}, ...config.keys };
+  const KEY_ANNOUNCE_LEAD = 60 * 1000;   // announce scheduled keys this far ahead (no rotation config)
+
+  const keystore = createKeyStore({ file: KEYS.file, masterKey: KEYS.masterKey || 'keystore_master_key_&*()', now });
+  for (const ch of channels.values()) keystore.seed(ch.id, KEYS.channels[ch.id] || ch.keys, ch.drm);
+
+  // ══════════════════════════════════════════════════════════
+  // USER ACCOUNTS
+  // scrypt-hashed passwords, roles and channel entitlements in
+  // users.file (lib/users.js).  Seeded by start().
+  // ══════════════════════════════════════════════════════════
+  const users = createUserStore({ file: USERS.file, now });
+
+  // ══════════════════════════════════════════════════════════
+  // STREAM & DEVICE LIMITS
+  // Per user: streams.max concurrent streams, streams.devices
+  // registered devices (both overridable per account).  At the limit,
+  // policy "reject" refuses the newcomer with 429, "kick-oldest"
+  // ends the oldest stream / forgets the oldest device.
+  // Streams without a heartbeat for HEARTBEAT_TIMEOUT are freed.
+  // ══════════════════════════════════════════════════════════
+  const STREAMS             = config.streams || {};
+  const MAX_STREAMS         = STREAMS.max ?? 2;       // 0 is a limit too: nobody may watch
+  const MAX_DEVICES         = STREAMS.devices ?? 5;
+  const STREAM_LIMIT_POLICY = STREAMS.policy || 'reject';
+  const HEARTBEAT_TIMEOUT   = 45 * 1000;   // the player beats every 15s
+
+  for (const [k, v] of [['max', MAX_STREAMS], ['devices', MAX_DEVICES]]) {
+    if (!Number.isInteger(v) || v < 0) throw new Error(`streams.${k} must be a non-negative integer (got ${v})`);
+  }
+  if (!STREAM_POLICIES.includes(STREAM_LIMIT_POLICY))
+    throw new Error(`streams.policy must be one of ${STREAM_POLICIES.join(', ')} (got "${STREAM_LIMIT_POLICY}")`);
+
+  const streams = createStreamTracker({ heartbeatTimeout: HEARTBEAT_TIMEOUT, now });
+
+  /** Effective { streams, devices } limits for a user */
+  function limitsFor(userId) {
+    const limits = (users.get(userId) || {}).limits || {};
+    return { streams: limits.streams ?? MAX_STREAMS, devices: limits.devices ?? MAX_DEVICES };
+  }
+
+  /** Device id the player sent (?device= or X-Device-Id), else one per IP */
+  function deviceIdOf(req) {
+    const id = req.query.device || req.get('X-Device-Id') || (req.body && req.body.deviceId);
+    return /^[\w.:-]{1,64}$/.test(id || '') ? id : `ip-${req.ip}`;
+  }
+
+  // ══════════════════════════════════════════════════════════
+  // SESSION STORE
+  // sessions.store "memory" (default) forgets sessions on restart,
+  // "file" keeps them in sessions.file.  Anything that implements the
+  // adapter contract in lib/session-store.js (e.g. a Redis client) can
+  // be passed as sessions.adapter instead.
+  // ══════════════════════════════════════════════════════════
+  const SESSIONS      = { store: 'memory', file: null, adapter: null, ...config.sessions };
+  const SESSION_STORE = SESSIONS.adapter ? 'custom' : SESSIONS.store;
+  const SESSION_BIND_IP = normalizeMode(SESSIONS.bindIp);   // 'ip' | 'subnet': only from the login's network
+
+  const sessionAdapters = {
+    memory: () => createMemoryAdapter(),
+    file:   () => createFileAdapter(SESSIONS.file)
+  };
+  if (!SESSIONS.adapter && !sessionAdapters[SESSION_STORE])
+    throw new Error(`sessions.store must be one of ${Object.keys(sessionAdapters).join(', ')} (got "${SESSION_STORE}")`);
+  if (SESSION_STORE === 'file' && !SESSIONS.file) throw new Error('sessions.file is required with sessions.store "file"');
+
+  const sessionStore = createSessionStore({
+    adapter:    SESSIONS.adapter || sessionAdapters[SESSION_STORE](),
+    accessTtl:  SESSION_TTL,
+    refreshTtl: REFRESH_TTL,
+    maxAge:     SESSION_MAX_AGE,
+    now
+  });
+
+  // ══════════════════════════════════════════════════════════
+  // REQUEST LOG
+  // Every entry goes to /api/log (last 100), to the SSE clients of
+  // /api/log/stream and to the logger — as "[TYPE] detail" lines, or
+  // one JSON object per line with logFormat "json".
+  // ══════════════════════════════════════════════════════════
+  const LOG_FORMAT = config.logFormat === 'json' ? 'json' : 'text';
+
+  const requestLog    = [];          // last 100 requests for /api/log
+  const logListeners  = new Set();   // SSE subscribers: entry => void
+  let   logSeq        = 0;
+
+  // detail keys lifted into fields, so the stream can be filtered on them
+  const LOG_FIELDS = { user: 'user', sid: 'session', channel: 'channel' };
+
+  function logReq(type, detail) {
+    const entry = { id: ++logSeq, ts: now(), type, detail };
+    for (const [, k, v] of detail.matchAll(/(?:^|\s)(\w+)=(\S+)/g))
+      if (LOG_FIELDS[k] && !entry[LOG_FIELDS[k]]) entry[LOG_FIELDS[k]] = v;
+
+    requestLog.unshift(entry);
+    if (requestLog.length > 100) requestLog.pop();
+
+    if (LOG_FORMAT === 'json') {
+      const { id, ts, detail: msg, ...fields } = entry;
+      const level = /_(DENY|ERR)$/.test(type) ? 'warn' : 'info';
+      logger.log(JSON.stringify({ time: new Date(ts).toISOString(), level, ...fields, msg }));
+    } else {
+      logger.log(`[${type}] ${detail}`);
+    }
+    for (const listener of logListeners) listener(entry);
+  }
+
+  /**
+   * Tell hook listeners (see the top of this file).  A listener that
+   * throws is logged and skipped — hooks never fail a request.
+   */
+  function emit(event, payload) {
+    for (const listener of hooks.listeners(event)) {
+      try { listener(payload); }
+      catch (err) { logReq('HOOK_ERR', `event=${event} ${err.message}`); }
+    }
+  }
+
+  /**
+   * A refusal: the stage's log line and answer are the caller's, this
+   * labels the answer (X-Deny-Reason: extra.code) and tells `deny` listeners
+   */
+  function denied(stage, status, reason, req, extra = {}) {
+    if (extra.code && !req.res.headersSent) req.res.set('X-Deny-Reason', extra.code);
+    emit('deny', { stage, status, reason, ip: req.ip, ...extra });
+  }
+
+  // ══════════════════════════════════════════════════════════
+  // METRICS
+  // Prometheus text format at /metrics (config.metricsToken, if set,
+  // is required as a Bearer token).  Labels stay low-cardinality: no
+  // users or sessions, only channels, nodes and fixed reasons.
+  // ══════════════════════════════════════════════════════════
+  const METRICS_TOKEN = config.metricsToken || null;
+  const metrics = createRegistry({ prefix: 'dashpipe_' });
+
+  const metric = {
+    logins:          metrics.counter('logins_total', 'Login attempts', ['result']),
+    proxyRequests:   metrics.counter('proxy_requests_total', 'Stage 1 /proxy requests redirected to a CDN node', ['channel', 'node']),
+    proxyDenials:    metrics.counter('proxy_denials_total', 'Stage 1 /proxy requests refused', ['reason']),
+    cdnTokenChecks:  metrics.counter('cdn_token_validations_total', 'CDN token validations (result=ok or the failure code)', ['result']),
+    licenseGrants:   metrics.counter('license_grants_total', 'License responses with keys', ['channel', 'via']),
+    licenseDenials:  metrics.counter('license_denials_total', 'License requests refused', ['status']),
+    segmentRequests: metrics.counter('segment_requests_total', 'Segment requests answered by the CDN', ['channel', 'node', 'status']),
+    segmentBytes:    metrics.counter('segment_bytes_total', 'Segment body bytes sent to players', ['channel', 'node', 'cache']),
+    upstreamLatency: metrics.histogram('upstream_latency_seconds', 'Origin fetch time on edge cache misses', ['channel', 'status']),
+    adBeacons:       metrics.counter('ad_beacons_total', 'Server-side ad tracking events fired', ['event', 'ad']),
+    qoeEvents:       metrics.counter('qoe_events_total', 'Player QoE beacon events', ['type', 'channel']),
+    startupTime:     metrics.histogram('qoe_startup_seconds', 'Player startup time (load → first frame)', ['channel'], [0.25, 0.5, 1, 2, 4, 8, 15]),
+    rebufferTime:    metrics.counter('qoe_rebuffer_seconds_total', 'Time players spent rebuffering', ['channel']),
+    cmcdStarvations: metrics.counter('cmcd_buffer_starvations_total', 'Segment requests flagged buffer-starved (CMCD bs)', ['channel']),
+    accessDenials:   metrics.counter('access_denials_total', 'Requests refused by a channel\'s CIDR or country rules', ['stage', 'reason']),
+    wmSegments:      metrics.counter('watermarked_segments_total', 'Segments served from an A/B watermark variant', ['channel', 'variant'])
+  };
+  metrics.gauge('sessions', 'Login sessions in the session store', () => sessionStore.size());
+  metrics.gauge('active_streams', 'Stream slots held by players', () => streams.size());
+  metrics.gauge('cdn_node_up', '1 if the CDN node is serving, 0 if taken down',
+    () => cdnPool.list().map(n => ({ labels: { node: n.id }, value: n.healthy ? 1 : 0 })));
+  metrics.gauge('edge_cache_bytes', 'Bytes in each CDN node\'s memory cache',
+    () => cdnPool.list().map(n => ({ labels: { node: n.id }, value: n.cache.stats().memory.bytes })));
+
+  // ══════════════════════════════════════════════════════════
+  // TOKEN HELPERS
+  // ══════════════════════════════════════════════════════════
+
+  /** Start a session. Resolves to { accessToken, refreshToken, session } */
+  function createSessionToken(userId, ip) {
+    return sessionStore.create(userId, normalizeIp(ip));
+  }
+
+  /**
+   * Validate (and slide) an access token. Resolves to { ok, reason, session };
+   * with sessions.bindIp a request from another address / subnet is
+   * refused with code 'session_ip'.
+   */
+  async function checkSessionToken(token, ip) {
+    const check = await sessionStore.check(token);
+    if (!check.ok || !SESSION_BIND_IP || !check.session.ip) return check;
+
+    const bound = bindKey(check.session.ip, SESSION_BIND_IP);
+    if (bound === bindKey(ip, SESSION_BIND_IP)) return check;
+    return { ok: false, reason: `IP mismatch (session bound to ${bound}, request from ${normalizeIp(ip)})`, code: 'session_ip' };
+  }
+
+  /**
+   * Where this instance is reachable for the request — scheme, host and
+   * the mount path (https behind a TLS-terminating proxy with trustProxy)
+   */
+  function publicBase(req) {
+    return `${req.protocol}://${req.headers.host}${req.baseUrl}`;
+  }
+
+  // Stateless: every process with CDN_SECRET can validate, nothing is stored
+  const cdnTokens = createCdnTokenSigner({
+    keys: [
+      { id: CDN_KEY_ID, secret: CDN_SECRET },
+      ...(CDN_PREVIOUS ? [CDN_PREVIOUS] : [])
+    ],
+    ttl: CDN_TTL,
+    refSecret: SECRET,
+    now
+  });
+
+  // Paths a CDN token may fetch, per entry format (plus /license for DRM)
+  const CDN_ACL = {
+    'manifest.mpd': ['/manifest.mpd', '/seg/*', '/ad/*', '/license'],
+    'master.m3u8':  ['/master.m3u8', '/hls/*', '/seg/*', '/license']
+  };
+
+  /** Generate a short-lived signed CDN token (60 seconds only!) */
+  function createCdnToken(session, cdnServer, channel, entry, ip) {
+    return cdnTokens.sign({
+      sessionId: session.id,
+      userId:    session.userId,
+      cdnServer,
+      channel,
+      acl: CDN_ACL[entry],
+      ip: bindKey(ip, CDN_TOKEN_BIND_IP)
+    });
+  }
+
+  /**
+   * Validate a CDN token for one request.
+   * reqPath is the path below /cdn/<token> (or "/license").
+   * Reasons: bad signature · expired · path not allowed · IP mismatch …
+   */
+  function checkCdnToken(token, reqPath, ip) {
+    const check = cdnTokens.verify(token, { path: reqPath, ip: bindKey(ip, CDN_TOKEN_BIND_IP || 'ip') });
+    metric.cdnTokenChecks.inc({ result: check.ok ? 'ok' : check.code });
+    return check;
+  }
+
+  // ══════════════════════════════════════════════════════════
+  // MPD BUILDER
+  // ══════════════════════════════════════════════════════════
+  /**
+   * Builds a DASH MPD for a catalog channel that:
+   *  - Uses ContentProtection (ClearKey DRM) when the channel has drm on
+   *  - Points license server to our /license endpoint (carrying the CDN
+   *    token, so the license is tied to this channel)
+   *  - Lists one MPD-level BaseURL per healthy CDN node (serviceLocation
+   *    = node id, token's node first) so players can fail over
+   *  - Adds a text/vtt AdaptationSet per subtitle language (lib/subtitles.js)
+   *  - For live channels: type="dynamic", one Period per loop of the
+   *    asset, timed against wall-clock `t`
+   *  - With an ad layout (lib/ads.js): clear ad Periods spliced between
+   *    slices of the content
+   */
+  function buildMpd(base, cdnToken, channel, nodes, ads = null, t = now()) {
+    const licUrl  = `${base}/license?cdnToken=${encodeURIComponent(cdnToken)}`;
+
+    // One text/vtt set per subtitle language; live and ad-spliced MPDs need them segmented
+    const textSets = subtitles.adaptationSets(channel, { segmented: !!(channel.live || ads) });
+
+    // AdaptationSets for content running over [from, to]: default_KID is the
+    // key in force at `from`, the pssh also lists keys that take over later.
+    // `slice` narrows them to part of the asset (a Period between ad breaks)
+    const setsFor = (from, to, slice) => {
+      const keys = channel.drm ? keystore.keysBetween(channel.id, from, to) : [];
+      const drm  = keys.length ? {
+        kid:  kidToUuid(keys[0].kid),
+        pssh: keys.length > 1 ? buildCommonPssh(keys.map(k => k.kid)) : null
+      } : null;
+      return [...channel.adaptationSets, ...textSets]
+        .map((set, i) => buildAdaptationSet(set, i + 1, { licUrl, drm, slice }))
+        .join('\n\n');
+    };
+    const lead = (channel.live && channel.live.keyRotation) ? channel.live.keyRotation.leadMs : KEY_ANNOUNCE_LEAD;
+
+    const banner = [
+      `Channel   : ${channel.id} (${channel.name})`,
+      `CDN Token : ${cdnToken.slice(0, 20)}...`,
+      `License   : ${channel.drm ? licUrl : 'none (clear stream)'}`,
+      `DRM Type  : ${channel.drm ? 'ClearKey (AES-128-CTR / CENC)' : 'none'}`,
+      `Mode      : ${channel.live ? 'live (dynamic, looping)' : 'on-demand (static)'}`,
+      ...(ads ? [`Ads       : ${ads.periods.filter(p => p.type === 'ad').length} in ${ads.source} schedule`] : [])
+    ].map(l => `  ║  ${(l.length > 44 ? l.slice(0, 43) + '…' : l).padEnd(44)}║`).join('\n');
+
+    // dvb:priority/weight let DVB-DASH players spread load the way the pool does
+    const baseUrls = nodes.map((n, i) =>
+      `  <BaseURL serviceLocation="${n.id}" dvb:priority="${i + 1}" dvb:weight="${n.weight}">${edgeBase(base, cdnToken, n.id)}</BaseURL>`
+    ).join('\n');
+
+    if (channel.live) return buildLiveMpd(base, channel, setsFor, banner, baseUrls, t, lead);
+
+    const periods = ads
+      ? buildSplicedPeriods(ads.periods, p => setsFor(t, t + lead, p))
+      : `  <Period id="0" start="PT0S">
+
+${setsFor(t, t + lead)}
+
+  </Period>`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!--
+  ╔══════════════════════════════════════════════╗
+  ║  DASHPIPE — Generated Manifest               ║
+${banner}
+  ╚══════════════════════════════════════════════╝
+-->
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011"
+     xmlns:cenc="urn:mpeg:cenc:2013"
+     xmlns:mspr="urn:microsoft:playready"
+     xmlns:dvb="urn:dvb:dash:dash-extensions:2014-1"
+     profiles="urn:mpeg:dash:profile:isoff-on-demand:2011"
+     type="static"
+     mediaPresentationDuration="${ads ? `PT${ads.duration.toFixed(3)}S` : channel.duration}"
+     minBufferTime="${channel.minBufferTime}">
+
+${baseUrls}
+
+${periods}
+</MPD>`;
+  }
+
+  /**
+   * Content and ad Periods for an SSAI layout (lib/ads.js layoutPeriods).
+   * Content Periods are slices of the asset; ad Periods are clear slices
+   * of the ad's asset, fetched under ../ad/<period>/<ad>/ so the CDN
+   * knows which ad a segment belongs to and can fire its beacons.
+   */
+  function buildSplicedPeriods(periods, setsFor) {
+    return periods.map(p => {
+      const attrs = `id="${p.id}" start="PT${p.start.toFixed(3)}S" duration="PT${(p.to - p.from).toFixed(3)}S"`;
+      if (p.type === 'content') return `  <Period ${attrs}>
+
+${setsFor(p)}
+
+  </Period>`;
+
+      const sets = p.ad.sets.map((set, i) => buildAdaptationSet(set, i + 1, { slice: p })).join('\n\n');
+      return `  <!-- AD ${p.id}: ${p.ad.id} (${p.ad.duration}s, clear) -->
+  <Period ${attrs}>
+    <BaseURL>../ad/${p.id}/${encodeURIComponent(p.ad.id)}/</BaseURL>
+
+${sets}
+
+  </Period>`;
+    }).join('\n\n');
+  }
+
+  /**
+   * Live/linear MPD: the VOD asset loops forever.  Loop k is Period
+   * "loop-k" starting k × asset duration after availabilityStartTime, so
+   * every Period restarts at $Number$ 1 and maps straight onto the
+   * upstream segment names.  Only loops inside the time-shift window
+   * are listed; players re-fetch every minimumUpdatePeriod.  With key
+   * rotation each Period announces (pssh) the keys that take over before
+   * it ends, up to `lead` ahead of `t`.
+   */
+  function buildLiveMpd(base, channel, setsFor, banner, baseUrls, t, lead) {
+    const live = channel.live;
+    const D    = channel.durationSec;
+    const edge = liveEdge(channel, t);
+
+    const first = Math.max(0, Math.floor((edge.elapsed - live.timeShiftBufferSec) / D));
+    const last  = Math.max(0, edge.loop);
+
+    const periods = [];
+    for (let k = first; k <= last; k++) {
+      const start = live.availabilityStartTime + k * D * 1000;
+      const end   = Math.min(start + D * 1000, t + lead);
+      periods.push(`  <Period id="loop-${k}" start="PT${(k * D).toFixed(3)}S" duration="${channel.duration}">
+
+${setsFor(start, end)}
+
+  </Period>`);
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!--
+  ╔══════════════════════════════════════════════╗
+  ║  DASHPIPE — Generated Manifest               ║
+${banner}
+  ╚══════════════════════════════════════════════╝
+-->
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011"
+     xmlns:cenc="urn:mpeg:cenc:2013"
+     xmlns:mspr="urn:microsoft:playready"
+     xmlns:dvb="urn:dvb:dash:dash-extensions:2014-1"
+     profiles="urn:mpeg:dash:profile:isoff-live:2011"
+     type="dynamic"
+     availabilityStartTime="${new Date(live.availabilityStartTime).toISOString()}"
+     publishTime="${new Date(t).toISOString()}"
+     minimumUpdatePeriod="${live.minimumUpdatePeriod}"
+     timeShiftBufferDepth="${live.timeShiftBufferDepth}"
+     suggestedPresentationDelay="${live.suggestedPresentationDelay}"
+     minBufferTime="${channel.minBufferTime}">
+
+${baseUrls}
+
+${periods.join('\n\n')}
+
+  <UTCTiming schemeIdUri="urn:mpeg:dash:utc:http-iso:2014"
+             value="${base}/api/time"/>
+</MPD>`;
+  }
+
+  /**
+   * Where a live channel is at wall-clock `now`:
+   *   loop    — how many times the asset has looped
+   *   offset  — seconds into the current loop
+   *   number  — $Number$ of the video segment on air
+   */
+  function liveEdge(channel, now) {
+    const elapsed = (now - channel.live.availabilityStartTime) / 1000;
+    const loop    = Math.floor(elapsed / channel.durationSec);
+    const offset  = elapsed - loop * channel.durationSec;
+    const set     = channel.adaptationSets.find(s => s.contentType === 'video') || channel.adaptationSets[0];
+    const number  = Math.floor(offset / (set.segmentDuration / set.timescale)) + 1;
+    return { elapsed, loop, offset, number };
+  }
+
+  /** 32-char hex KID → 8-4-4-4-12 UUID form used by cenc:default_KID */
+  function kidToUuid(hex) {
+    return hex.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+  }
+
+  /**
+   * One <AdaptationSet> with its ContentProtection and Representations.
+   * slice { from, to } (seconds) covers only that part of the asset: a
+   * SegmentTimeline from the segment holding `from`, with
+   * presentationTimeOffset so the Period starts exactly at `from`.
+   */
+  function buildAdaptationSet(set, id, { licUrl, drm, slice }) {
+    const attrs = [`id="${id}"`, `contentType="${set.contentType}"`, `mimeType="${set.mimeType}"`];
+    if (set.codecs)    attrs.push(`codecs="${set.codecs}"`);
+    if (set.frameRate) attrs.push(`frameRate="${set.frameRate}"`);
+    if (set.par)       attrs.push(`par="${set.par}"`);
+    if (set.lang)      attrs.push(`lang="${set.lang}"`);
+
+    const label = ({ video: 'VIDEO TRACKS', audio: 'AUDIO TRACKS', text: 'SUBTITLES' }[set.contentType]
+               || set.contentType.toUpperCase()) + (set.contentType === 'text' && set.lang ? ` (${set.lang})` : '');
+
+    // Text tracks are never encrypted
+    const pssh = drm && drm.pssh ? `
+        <cenc:pssh>${drm.pssh}</cenc:pssh>` : '';
+    const protection = drm && set.contentType !== 'text' ? `
+      <!-- DRM: ClearKey — license server is OUR local endpoint -->
+      <ContentProtection
+        schemeIdUri="urn:uuid:e2719d58-a985-b3c9-781a-b030af78d30e"
+        value="ClearKey1.0">
+        <cenc:default_KID>${drm.kid}</cenc:default_KID>${pssh}
+        <dashif:laurl xmlns:dashif="https://dashif.org/CPS"
+          licenseType="temporary">${licUrl}</dashif:laurl>
+      </ContentProtection>
+      <ContentProtection
+        schemeIdUri="urn:mpeg:dash:mp4protection:2011" value="cenc"
+        cenc:default_KID="${drm.kid}"/>
+` : '';
+    const role = set.role ? `
+      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="${set.role}"/>${set.label ? `
+      <Label>${set.label}</Label>` : ''}
+` : '';
+
+    // Relative to the MPD-level BaseURLs, so failover covers every track
+    const baseUrl = set.baseUrl ? `
+        <BaseURL>${set.baseUrl}</BaseURL>` : '';
+    const timing = slice ? sliceTiming(set, slice) : `duration="${set.segmentDuration}" startNumber="1"/>`;
+    const reps = set.representations.map(r => {
+      // A whole-file sidecar (subtitles): no SegmentTemplate
+      if (r.sidecar) return `      <Representation id="${r.id}" bandwidth="${r.bandwidth}">
+        <BaseURL>${set.baseUrl || ''}${r.sidecar}</BaseURL>
+      </Representation>`;
+      const size = r.height ? `${r.height}p — ` : '';
+      const dims = r.width && r.height ? ` width="${r.width}" height="${r.height}" sar="1:1"` : '';
+      const init = r.initialization ? `
+          initialization="${r.initialization}"` : '';
+      return `      <!-- ${size}${formatBitrate(r.bandwidth)} -->
+      <Representation id="${r.id}" bandwidth="${r.bandwidth}"${dims}>${baseUrl}
+        <SegmentTemplate${init}
+          media="${r.media}"
+          timescale="${set.timescale}" ${timing}
+      </Representation>`;
+    }).join('\n\n');
+
+    return `    <!-- ── ${label} ${'─'.repeat(Math.max(3, 46 - label.length))} -->
+    <AdaptationSet ${attrs.join(' ')}>
+${protection}${role}
+${reps}
+
+    </AdaptationSet>`;
+  }
+
+  /** SegmentTemplate attributes + SegmentTimeline for the [from, to) seconds of a set */
+  function sliceTiming(set, { from, to }) {
+    const d     = set.segmentDuration;
+    const first = Math.floor(from * set.timescale / d + 1e-9);       // segment holding `from`
+    const end   = Math.ceil(to * set.timescale / d - 1e-9);          // first segment after `to`
+    return `presentationTimeOffset="${Math.round(from * set.timescale)}" startNumber="${first + 1}">
+          <SegmentTimeline><S t="${first * d}" d="${d}" r="${Math.max(0, end - first - 1)}"/></SegmentTimeline>
+        </SegmentTemplate>`;
+  }
+
+  /** 1800000 → "1.8 Mbps", 250000 → "250 kbps" */
+  function formatBitrate(bps) {
+    return bps >= 1e6 ? `${+(bps / 1e6).toFixed(1)} Mbps` : `${Math.round(bps / 1000)} kbps`;
+  }
+
+  // ══════════════════════════════════════════════════════════
+  // UPSTREAM MANIFESTS
+  // Channels with "manifest": { "source": "upstream" } serve the
+  // origin's MPD run through their transform chain (lib/mpd-rewrite.js)
+  // instead of one built from the catalog.  The upstream document is
+  // cached for cache.manifestTtl seconds (default 2) unless the origin
+  // says otherwise; the rewrite is per token, so never cached.
+  // ══════════════════════════════════════════════════════════
+  const manifestCache = createEdgeCache({
+    maxBytes:   8 * MB,
+    defaultTtl: CACHE.manifestTtl * 1000,
+    now
+  });
+
+  /** Fetch + rewrite a channel's upstream MPD for one CDN token. Resolves to { xml, notes, cache } */
+  async function upstreamMpd(base, cdnToken, channel, nodes, user) {
+    const local   = channel.origin === 'local';
+    const segRoot = local
+      ? pathToFileURL(channel.contentDir + '/').href
+      : new URL(`${channel.basePath}/`, channel.origin).href;
+    const upstreamUrl = new URL(channel.manifest.path, segRoot).href;
+
+    const { entry, cache } = await manifestCache.get(upstreamUrl, conditional => (local
+      ? readLocalFile(channel.contentDir, channel.manifest.path, conditional)
+      : upstream(channel, new URL(upstreamUrl).pathname, conditional)));
+    if (entry.status !== 200) throw new Error(`origin answered ${entry.status} for ${upstreamUrl}`);
+
+    const out = rewriteMpd(entry.body.toString('utf8'), channel.manifest.transforms, {
+      upstreamUrl,
+      segRoot,
+      nodes:  nodes.map(n => ({ id: n.id, weight: n.weight, base: edgeBase(base, cdnToken, n.id) })),
+      licUrl: `${base}/license?cdnToken=${encodeURIComponent(cdnToken)}`,
+      user
+    });
+    return { ...out, cache };
+  }
+
+  // ══════════════════════════════════════════════════════════
+  // ROUTES
+  // ══════════════════════════════════════════════════════════
+
+  // ── Health check ──────────────────────────────────────────
+  app.get('/api/health', asyncRoute(async (req, res) => {
+    res.json({
+      status: 'ok',
+      sessions: await sessionStore.size(),
+      sessionStore: SESSION_STORE,
+      activeStreams: streams.size(),
+      cacheHitRatio: cacheTotals().hitRatio,
+      cdnStrategy: cdnPool.strategy(),
+      cdnNodes: Object.fromEntries(cdnPool.list().map(n => [n.id, n.healthy ? 'up' : 'down'])),
+      cdnTokens: 'stateless (signed)',
+      cdnKeyIds: [CDN_KEY_ID, ...(CDN_PREVIOUS ? [CDN_PREVIOUS.id] : [])],
+      uptime: process.uptime().toFixed(0) + 's'
+    });
+  }));
+
+  // ── Request log (for the UI) ───────────────────────────────
+  app.get('/api/log', (req, res) => res.json(requestLog));
+
+  // ── Live request log (Server-Sent Events) ─────────────────
+  //   GET /api/log/stream?type=CDN_SEG,PROXY_*&user=demo&session=<sid>&channel=Ch120&backlog=20
+  //   One "data: <entry JSON>" event per log entry that passes every
+  //   filter given.  Reconnects send Last-Event-ID and get what they
+  //   missed (as far as the last 100 entries reach).  Entries name users
+  //   and sessions: needs Bearer $METRICS_TOKEN or an admin session
+  //   (Bearer or ?token=, which is all EventSource can send).
+  function requireLogAccess(req, res, next) {
+    if (METRICS_TOKEN && req.headers.authorization === `Bearer ${METRICS_TOKEN}`) return next();
+    return requireAdmin(req, res, next);
+  }
+
+  app.get('/api/log/stream', requireLogAccess, (req, res) => {
+    const list  = v => (v ? String(v).split(',').map(s => s.trim()).filter(Boolean) : null);
+    const types = list(req.query.type);
+    const userIds  = list(req.query.user);
+    const sessions = list(req.query.session);
+    const chans    = list(req.query.channel);
+
+    const typeMatches = t => types.some(p => (p.endsWith('*') ? t.startsWith(p.slice(0, -1)) : t === p));
+    const matches = e =>
+      (!types || typeMatches(e.type)) &&
+      (!userIds || userIds.includes(e.user)) &&
+      (!sessions || sessions.includes(e.session)) &&
+      (!chans || chans.includes(e.channel));
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const send = e => { if (matches(e)) res.write(`id: ${e.id}\ndata: ${JSON.stringify(e)}\n\n`); };
+
+    // Catch-up: after Last-Event-ID on reconnect, else the last ?backlog= matching entries
+    const lastId = Number(req.headers['last-event-id']);
+    const backlog = Number.isFinite(lastId) && lastId > 0
+      ? requestLog.filter(e => e.id > lastId)
+      : requestLog.filter(matches).slice(0, Math.max(0, Math.min(100, +req.query.backlog || 0)));
+    for (const e of backlog.reverse()) send(e);
+
+    logListeners.add(send);
+    const ping = setInterval(() => res.write(': ping\n\n'), 15 * 1000);
+    const close = () => { clearInterval(ping); logListeners.delete(send); logStreams.delete(close); res.end(); };
+    logStreams.add(close);
+    req.on('close', close);
+  });
+
+  // ── Prometheus metrics ────────────────────────────────────
+  //   GET /metrics   (Authorization: Bearer $METRICS_TOKEN when set)
+  app.get('/metrics', asyncRoute(async (req, res) => {
+    if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`)
+      return res.status(401).json({ error: 'Metrics token required' });
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(await metrics.render());
+  }));
+
+  // ── Wall-clock for live MPDs (DASH UTCTiming http-iso) ────
+  app.get('/api/time', (req, res) => {
+    res.set('Content-Type', 'text/plain');
+    res.set('Cache-Control', 'no-store');
+    res.send(new Date(now()).toISOString());
+  });
+
+  // ── Edge cache stats (all nodes + per node) ───────────────
+  app.get('/api/cache', (req, res) => {
+    res.json({
+      total: cacheTotals(),
+      nodes: Object.fromEntries(cdnPool.list().map(n => [n.id, n.cache.stats()]))
+    });
+  });
+
+  // ── Channel list (populates the player's dropdown) ────────
+  app.get('/api/channels', (req, res) => {
+    res.json([...channels.values()].map(describeChannel));
+  });
+
+  // ── Token info ─────────────────────────────────────────────
+  //   Read-only: looking a token up does not slide its expiry
+  app.get('/api/session/:token', asyncRoute(async (req, res) => {
+    const s = await sessionStore.peek(req.params.token);
+    if (!s || now() > s.expiresAt) return res.json({ valid: false });
+    const remaining = Math.max(0, Math.round((s.expiresAt - now()) / 1000));
+    res.json({
+      valid: true,
+      userId: s.userId,
+      remaining,
+      expiresAt: new Date(s.expiresAt).toISOString(),
+      refreshExpiresAt: new Date(s.refreshExpiresAt).toISOString(),
+      maxExpiresAt: new Date(s.maxExpiresAt).toISOString(),
+      token: req.params.token
+    });
+  }));
+
+  // ── LOGIN ─────────────────────────────────────────────────
+  //   POST /login  { username, password }
+  //   ← { success, token, refreshToken, role, channels (entitled only), expiresIn, refreshExpiresIn }
+  app.post('/login', asyncRoute(async (req, res) => {
+    const { username, password } = req.body || {};
+    logReq('LOGIN', `user=${username} ip=${req.ip}`);
+
+    if (!username || !password)
+      return res.status(400).json({ success: false, message: 'username and password required' });
+
+    const auth = await users.authenticate(username, password);
+    if (!auth.ok) {
+      logReq('LOGIN_DENY', `user=${username} reason=${auth.reason}`);
+      metric.logins.inc({ result: 'denied' });
+      denied('login', 401, auth.reason, req, { user: username });
+      return res.status(401).json({ success: false, message: auth.reason });
+    }
+
+    const { accessToken, refreshToken, session } = await createSessionToken(username, req.ip);
+    const entitled = users.entitledChannels(username, [...channels.keys()]);
+    logReq('TOKEN_ISSUED', `user=${username} token=${accessToken.slice(0,8)}... expires=1h (sliding)`);
+    metric.logins.inc({ result: 'ok' });
+    emit('login', { user: username, role: auth.user.role, ip: req.ip });
+
+    res.json({
+      success: true,
+      token: accessToken,
+      refreshToken,
+      userId: username,
+      role: auth.user.role,
+      channels: entitled.map(id => describeChannel(channels.get(id))),
+      expiresIn: SESSION_TTL / 1000,
+      refreshExpiresIn: Math.round((session.refreshExpiresAt - now()) / 1000),
+      message: `Welcome ${username}! Session valid for 1 hour of inactivity.`
+    });
+  }));
+
+  // ── TOKEN REFRESH ─────────────────────────────────────────
+  //   POST /token/refresh  { refreshToken }
+  //   ← a new { token, refreshToken } pair; the old refresh token is spent
+  app.post('/token/refresh', asyncRoute(async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken)
+      return res.status(400).json({ success: false, message: 'refreshToken required' });
+
+    const result = await sessionStore.refresh(refreshToken);
+    if (!result.ok) {
+      logReq('REFRESH_DENY', `token=${refreshToken.slice(0,8)}... reason=${result.reason}`);
+      return res.status(401).json({ success: false, message: result.reason, hint: 'POST /login again' });
+    }
+
+    logReq('TOKEN_REFRESHED', `user=${result.session.userId} token=${result.accessToken.slice(0,8)}...`);
+    res.json({
+      success: true,
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      userId: result.session.userId,
+      expiresIn: Math.round((result.session.expiresAt - now()) / 1000),
+      refreshExpiresIn: Math.round((result.session.refreshExpiresAt - now()) / 1000)
+    });
+  }));
+
+  // ── LOGOUT ────────────────────────────────────────────────
+  //   POST /logout  { token, all? }   all: true ends every session of the user
+  app.post('/logout', asyncRoute(async (req, res) => {
+    const { token, all } = req.body || {};
+    if (!token) return res.json({ success: true });
+
+    if (all) {
+      const check = await checkSessionToken(token, req.ip);
+      if (!check.ok) return res.status(401).json({ success: false, message: check.reason });
+      const revoked = await sessionStore.revokeUser(check.session.userId);
+      logReq('LOGOUT', `user=${check.session.userId} sessions=${revoked} (all)`);
+      return res.json({ success: true, revoked });
+    }
+
+    await sessionStore.revoke(token);
+    res.json({ success: true });
+  }));
+
+  // ── PLAYBACK HEARTBEAT ────────────────────────────────────
+  //   POST /api/playback/heartbeat  { token, deviceId, state? }   every ~15s while watching
+  //   state: playing · paused · buffering · seeking · ended · starting
+  //   ← 200 { ok, streamId } · 400 unknown state · 410 when the stream was ended (kicked / timed out)
+  app.post('/api/playback/heartbeat', asyncRoute(async (req, res) => {
+    const { token, state } = req.body || {};
+    const check = await checkSessionToken(token, req.ip);
+    if (!check.ok) return res.status(401).json({ error: `Session ${check.reason}` });
+    if (state != null && !STREAM_STATES.includes(state))
+      return res.status(400).json({ error: `Unknown playback state ${JSON.stringify(state)}`, hint: `One of: ${STREAM_STATES.join(', ')}` });
+
+    const deviceId = deviceIdOf(req);
+    const beat = streams.heartbeat(check.session.userId, deviceId, state);
+    if (!beat.ok) {
+      logReq('HEARTBEAT_GONE', `user=${check.session.userId} device=${deviceId} reason=${beat.reason}`);
+      return res.status(410).json({ error: `Stream ended: ${beat.reason}`, hint: 'Press Load to start again.' });
+    }
+    res.json({ ok: true, streamId: beat.slot.id, channel: beat.slot.channel, nextIn: HEARTBEAT_TIMEOUT / 3000 });
+  }));
+
+  //   POST /api/playback/stop  { token, deviceId }   frees the device's stream slot
+  app.post('/api/playback/stop', asyncRoute(async (req, res) => {
+    const check = await checkSessionToken((req.body || {}).token, req.ip);
+    if (!check.ok) return res.status(401).json({ error: `Session ${check.reason}` });
+
+    const slot = streams.release(check.session.userId, deviceIdOf(req));
+    if (slot) logReq('STREAM_STOP', `user=${slot.userId} device=${slot.deviceId} channel=${slot.channel}`);
+    res.json({ ok: true, stopped: !!slot });
+  }));
+
+  // ── AD TRACKING ───────────────────────────────────────────
+  //   GET /api/ads/tracking?token=SESSION_TOKEN
+  //   ← the ad Periods this session has fetched, with the beacons fired
+  //     (impression, start, quartiles, complete) and when
+  app.get('/api/ads/tracking', asyncRoute(async (req, res) => {
+    const check = await checkSessionToken(req.query.token, req.ip);
+    if (!check.ok) return res.status(401).json({ error: `Session ${check.reason}` });
+
+    const sid = cdnTokens.sessionRef(check.session.id);
+    const [record] = adTracker.list({ session: sid });
+    res.json({ session: sid, user: check.session.userId, ads: record ? record.ads : [] });
+  }));
+
+  // ── PLAYBACK QoE ──────────────────────────────────────────
+  //   POST /api/qoe  { token, channel, events: [{ type, … }] }
+  //     startup { ms } · rebuffer { ms } · bitrate { from, to, auto? } (kbps) · error { code, message?, fatal? }
+  //     JSON, or text/plain from navigator.sendBeacon
+  //   GET  /api/qoe/report?token=SESSION_TOKEN   ← this session's report per channel
+  app.post('/api/qoe', express.text({ type: 'text/plain', limit: '64kb' }), asyncRoute(async (req, res) => {
+    let body = req.body || {};
+    if (typeof body === 'string') {
+      try { body = JSON.parse(body); } catch { return res.status(400).json({ error: 'Body is not JSON' }); }
+    }
+    const check = await checkSessionToken(body.token, req.ip);
+    if (!check.ok) return res.status(401).json({ error: `Session ${check.reason}` });
+    if (!channels.has(body.channel)) return res.status(404).json({ error: `Unknown channel: ${body.channel}` });
+
+    const ctx = { session: cdnTokens.sessionRef(check.session.id), user: check.session.userId, channel: body.channel };
+    const result = qoe.beacon(ctx, body.events);
+    if (!result.ok) return res.status(400).json({ error: result.reason, hint: 'See lib/qoe.js for the event shapes' });
+
+    for (const e of body.events) {
+      metric.qoeEvents.inc({ type: e.type, channel: ctx.channel });
+      if (e.type === 'startup')  metric.startupTime.observe({ channel: ctx.channel }, e.ms / 1000);
+      if (e.type === 'rebuffer') metric.rebufferTime.inc({ channel: ctx.channel }, e.ms / 1000);
+      const detail = e.type === 'bitrate' ? `from=${e.from ?? '-'}kbps to=${e.to}kbps${e.auto === false ? ' manual' : ''}`
+        : e.type === 'error' ? `code=${e.code}${e.fatal ? ' fatal' : ''}`
+        : `ms=${Math.round(e.ms)}`;
+      logReq('QOE', `${e.type} ${detail} channel=${ctx.channel} user=${ctx.user} sid=${ctx.session}`);
+    }
+    res.json({ ok: true, accepted: result.accepted });
+  }));
+
+  app.get('/api/qoe/report', asyncRoute(async (req, res) => {
+    const check = await checkSessionToken(req.query.token, req.ip);
+    if (!check.ok) return res.status(401).json({ error: `Session ${check.reason}` });
+
+    const sid = cdnTokens.sessionRef(check.session.id);
+    res.json({ session: sid, user: check.session.userId, channels: qoe.report({ by: 'session', session: sid }) });
+  }));
+
+  /** Count and announce a refused /proxy request (the route logs and answers it) */
+  function proxyDenied(req, reason, status, user) {
+    metric.proxyDenials.inc({ reason });
+    denied('proxy', status, reason, req, { user, channel: req.params.channel, code: reason });
+  }
+
+  // ── STAGE 1: PROXY ────────────────────────────────────────
+  //   GET /proxy/:channel?e=.mpd&token=SESSION_TOKEN
+  //   Validates session → picks CDN server → creates CDN token → 302
+  app.get('/proxy/:channel', asyncRoute(async (req, res) => {
+    const channel  = req.params.channel;
+    const token    = req.query.token;
+    const ext      = req.query.e || '.mpd';
+
+    logReq('PROXY_REQ', `channel=${channel} e=${ext} token=${(token||'').slice(0,8)}...`);
+
+    // e=.mpd → DASH manifest, e=.m3u8 → HLS master playlist
+    const entry = { '.mpd': 'manifest.mpd', '.m3u8': 'master.m3u8' }[ext];
+    if (!entry) {
+      proxyDenied(req, 'format', 400);
+      return res.status(400).json({ error: `Unsupported format e=${ext}`, hint: 'Use e=.mpd (DASH) or e=.m3u8 (HLS)' });
+    }
+
+    if (!token) {
+      proxyDenied(req, 'no_token', 401);
+      return res.status(401).json({ error: 'No session token provided', hint: 'POST /login first' });
+    }
+
+    const check = await checkSessionToken(token, req.ip);
+    if (!check.ok) {
+      logReq('PROXY_DENY', `reason=${check.reason}`);
+      const moved = check.code === 'session_ip';
+      proxyDenied(req, moved ? 'session_ip' : 'session', 403);
+      return res.status(403).json({
+        error: `Access denied: ${check.reason}`,
+        hint: moved
+          ? 'This session only works from the network it logged in from. POST /login again from here.'
+          : 'Your session has expired. POST /login again to get a new token.'
+      });
+    }
+
+    if (!channels.has(channel)) {
+      logReq('PROXY_DENY', `reason=unknown channel ${channel}`);
+      proxyDenied(req, 'unknown_channel', 404);
+      return res.status(404).json({
+        error: `Unknown channel: ${channel}`,
+        hint: 'GET /api/channels for the list of available channels'
+      });
+    }
+
+    if (entry === 'master.m3u8' && channels.get(channel).manifest) {
+      proxyDenied(req, 'format', 400);
+      return res.status(400).json({
+        error: `${channel} is DASH only (its MPD comes from the origin)`,
+        hint: 'Use e=.mpd'
+      });
+    }
+
+    if (!users.isEntitled(check.session.userId, channel)) {
+      logReq('PROXY_DENY', `reason=user ${check.session.userId} not entitled to ${channel}`);
+      proxyDenied(req, 'not_entitled', 403, check.session.userId);
+      return res.status(403).json({
+        error: `Not entitled to channel ${channel}`,
+        hint: 'Your packages do not include this channel — ask an admin to grant it.'
+      });
+    }
+
+    // Network + country rules of the channel
+    const access = channelAccess('proxy', channels.get(channel), req);
+    if (!access.ok) {
+      logReq('PROXY_DENY', `reason=${access.code} user=${check.session.userId} channel=${channel} ip=${normalizeIp(req.ip)}${access.country ? ` country=${access.country}` : ''}`);
+      proxyDenied(req, access.code, 403, check.session.userId);
+      return res.status(403).json({
+        error: `Channel ${channel} is not available here: ${access.reason}`,
+        hint: access.code.startsWith('geo') ? 'This channel is geo-restricted.' : 'This channel is limited to certain networks.'
+      });
+    }
+
+    // Device + concurrent stream limits
+    const userId   = check.session.userId;
+    const deviceId = deviceIdOf(req);
+    const limits   = limitsFor(userId);
+
+    // The device is only registered once the request gets its stream slot and a node —
+    // a refused request must not use up a device registration
+    const deviceOpts = { max: limits.devices, policy: STREAM_LIMIT_POLICY, name: (req.get('User-Agent') || '').slice(0, 80) };
+    const device = users.registerDevice(userId, deviceId, { ...deviceOpts, dryRun: true });
+    if (!device.ok) {
+      logReq('PROXY_DENY', `reason=${device.reason} user=${userId} device=${deviceId}`);
+      proxyDenied(req, 'device_limit', 429, userId);
+      return res.status(429).json({
+        error: `Too many devices: ${device.reason}`,
+        hint: 'Ask an admin to remove a device you no longer use.',
+        devices: device.devices.map(d => ({ id: d.id, name: d.name, lastSeen: new Date(d.lastSeen).toISOString() }))
+      });
+    }
+    // kick-oldest: devices about to be forgotten give up their streams first, so acquire()
+    // does not kick more than it must (evicting only happens under that policy, which never refuses)
+    for (const d of device.evicted) streams.release(userId, d.id);
+
+    const stream = streams.acquire({
+      userId, deviceId, channel, sessionId: check.session.id, ip: req.ip,
+      max: limits.streams, policy: STREAM_LIMIT_POLICY
+    });
+    if (!stream.ok) {
+      logReq('PROXY_DENY', `reason=${stream.reason} user=${userId} device=${deviceId}`);
+      proxyDenied(req, 'stream_limit', 429, userId);
+      res.set('Retry-After', String(HEARTBEAT_TIMEOUT / 1000));
+      return res.status(429).json({
+        error: `Too many streams: ${stream.reason}`,
+        hint: 'Stop playback on another device, or wait for an abandoned stream to time out.',
+        active: stream.active.map(s => ({ channel: s.channel, device: s.deviceId, since: new Date(s.startedAt).toISOString() }))
+      });
+    }
+    for (const k of stream.kicked)
+      logReq('STREAM_KICKED', `user=${userId} device=${k.deviceId} channel=${k.channel} (oldest, limit ${limits.streams})`);
+
+    // Load balance — pick a healthy CDN node (consistent-hash: by session).
+    // The MPD's failover BaseURLs follow the same ring from the token's sid.
+    const sessionRef = cdnTokens.sessionRef(check.session.id);
+    const node = cdnPool.pick(sessionRef);
+    if (!node) {
+      streams.release(userId, deviceId);
+      logReq('PROXY_DENY', `reason=no healthy CDN node channel=${channel}`);
+      proxyDenied(req, 'no_cdn_node', 503, userId);
+      res.set('Retry-After', '10');
+      return res.status(503).json({ error: 'No CDN node available', hint: 'Every edge node is down — try again shortly.' });
+    }
+    const cdnServer = node.id;
+
+    for (const d of users.registerDevice(userId, deviceId, deviceOpts).evicted)
+      logReq('DEVICE_EVICTED', `user=${userId} device=${d.id} (oldest, limit ${limits.devices})`);
+
+    // Generate short-lived CDN token
+    const cdnToken = createCdnToken(check.session, cdnServer, channel, entry, req.ip);
+    const remaining = Math.round((check.session.expiresAt - now()) / 1000);
+
+    logReq('PROXY_OK', `channel=${channel} → CDN=${cdnServer} cdnToken=${cdnToken.slice(0,12)}... user=${userId} sid=${sessionRef} sessionLeft=${remaining}s → ${entry}` +
+      (access.country ? ` country=${access.country}` : ''));
+    metric.proxyRequests.inc({ channel, node: cdnServer });
+    emit('proxy', {
+      user: userId, session: sessionRef, channel, node: cdnServer,
+      format: entry === 'manifest.mpd' ? 'dash' : 'hls', ip: req.ip, country: access.country
+    });
+
+    // 302 redirect to our CDN endpoint (exactly like BroadPeak redirect)
+    const redirectUrl = `${publicBase(req)}/cdn/${encodeURIComponent(cdnToken)}/${entry}`;
+
+    res.set('X-Session-Remaining', remaining + 's');
+    res.set('X-Stream-Id', stream.slot.id);
+    res.set('X-CDN-Server', `bpcdn${cdnServer}.example.lk`);
+    res.set('X-CDN-Token', cdnToken.slice(0, 12) + '...');
+    res.redirect(302, redirectUrl);
+  }));
+
+  /**
+   * Shared CDN token gate for manifests and playlists.
+   * Sends the 403/404 itself and returns null, or returns { check, channel }.
+   */
+  function checkCdnRequest(req, res, cdnToken, subPath) {
+    const check = checkCdnToken(cdnToken, subPath, req.ip);
+    if (!check.ok) {
+      logReq('CDN_DENY', `reason=${check.reason}`);
+      denied('cdn', 403, check.reason, req, { code: check.code });
+      res.status(403).send(`
+      CDN Error: ${check.reason}
+      The CDN token is only valid for 60 seconds.
+      Go back to the player and reload — a fresh token will be generated.
+    `.trim());
+      return null;
+    }
+
+    const channel = channels.get(check.data.channel);
+    if (!channel) {
+      logReq('CDN_DENY', `reason=channel ${check.data.channel} no longer in catalog`);
+      denied('cdn', 404, 'unknown channel', req, { user: check.data.userId, channel: check.data.channel, code: 'unknown_channel' });
+      res.status(404).send(`CDN Error: unknown channel ${check.data.channel}`);
+      return null;
+    }
+
+    const access = channelAccess('cdn', channel, req);
+    if (!access.ok) {
+      logReq('CDN_DENY', `reason=${access.code} channel=${channel.id} user=${check.data.userId} ip=${normalizeIp(req.ip)}`);
+      denied('cdn', 403, access.reason, req, { user: check.data.userId, channel: channel.id, code: access.code });
+      res.status(403).send(`CDN Error: ${access.reason}`);
+      return null;
+    }
+
+    res.set('X-CDN-Server', `bpcdn${check.data.cdnServer}.example.lk`);
+    res.set('X-CDN-Expires', check.secsLeft + 's');
+    res.set('Access-Control-Allow-Origin', '*');
+    if (channel.live) res.set('Cache-Control', 'no-cache');
+    return { check, channel };
+  }
+
+  // ── STAGE 2: CDN MANIFEST ─────────────────────────────────
+  //   GET /cdn/:cdnToken/manifest.mpd
+  //   Validates CDN token (60s!) → returns MPD XML
+  app.get('/cdn/:cdnToken/manifest.mpd', asyncRoute(async (req, res) => {
+    const cdnToken = req.params.cdnToken;   // express has URL-decoded it
+    logReq('CDN_MANIFEST', `token=${cdnToken.slice(0,12)}...`);
+
+    const ok = checkCdnRequest(req, res, cdnToken, '/manifest.mpd');
+    if (!ok) return;
+    const { check, channel } = ok;
+
+    const live = channel.live ? liveEdge(channel, now()) : null;
+    logReq('CDN_OK', `server=bpcdn${check.data.cdnServer} channel=${channel.id} user=${check.data.userId} sid=${check.data.sessionRef} secsLeft=${check.secsLeft}s` +
+      (live ? ` live=loop-${live.loop} seg=${live.number}` : ''));
+
+    const nodes = cdnPool.failoverOrder(check.data.cdnServer, check.data.sessionRef);
+    if (!nodes.length) {
+      logReq('CDN_DENY', `reason=no healthy CDN node channel=${channel.id}`);
+      denied('cdn', 503, 'no healthy CDN node', req, { user: check.data.userId, channel: channel.id });
+      return res.status(503).send('CDN Error: no healthy edge node — retry shortly');
+    }
+
+    if (channel.manifest) {
+      let out;
+      try {
+        out = await upstreamMpd(publicBase(req), cdnToken, channel, nodes, users.get(check.data.userId));
+      } catch (err) {
+        logReq('MPD_REWRITE_ERR', `channel=${channel.id} ${err.message}`);
+        return res.status(502).send(`CDN Error: upstream manifest unusable — ${err.message}`);
+      }
+      for (const note of out.notes) logReq('MPD_REWRITE', `channel=${channel.id} user=${check.data.userId} ${note}`);
+      res.set('X-Manifest-Source', `upstream (${out.cache})`);
+      res.set('Cache-Control', 'private, no-cache');
+      res.set('Content-Type', 'application/dash+xml');
+      return res.send(out.xml);
+    }
+
+    // SSAI: this viewer's ad breaks, stable for the session
+    const plan = adDecisions.plan(channel, users.get(check.data.userId), check.data.sessionRef);
+    const ads  = plan && { ...layoutPeriods(channel, plan.breaks), source: plan.source };
+    if (ads) {
+      logReq('AD_PLAN', `channel=${channel.id} user=${check.data.userId} sid=${check.data.sessionRef} source=${plan.source} ` +
+        plan.breaks.map(b => `${b.id}=${b.ads.map(a => a.id).join('+')}`).join(' '));
+    }
+    const mpd = buildMpd(publicBase(req), cdnToken, channel, nodes, ads);
+
+    res.set('Content-Type', 'application/dash+xml');
+    res.send(mpd);
+  }));
+
+  /** Absolute URLs the HLS playlists point at, all behind the same CDN token */
+  function hlsUrls(root, cdnToken, channelId) {
+    const base = `${root}/cdn/${encodeURIComponent(cdnToken)}`;
+    return {
+      media: repId => `${base}/hls/${encodeURIComponent(repId)}.m3u8`,
+      seg:   name  => `${base}/seg/${name}`,
+      key:   kid   => `${base}/hls/key/${kid}`,
+      kid:   ()    => (keystore.current(channelId) || {}).kid
+    };
+  }
+
+  // ── STAGE 2 (HLS): MASTER PLAYLIST ────────────────────────
+  //   GET /cdn/:cdnToken/master.m3u8
+  //   Same CDN token check → variant list built from the channel
+  app.get('/cdn/:cdnToken/master.m3u8', (req, res) => {
+    const cdnToken = req.params.cdnToken;
+    logReq('CDN_MANIFEST', `token=${cdnToken.slice(0,12)}... format=hls`);
+
+    const ok = checkCdnRequest(req, res, cdnToken, '/master.m3u8');
+    if (!ok) return;
+    const { check, channel } = ok;
+
+    logReq('CDN_OK', `server=bpcdn${check.data.cdnServer} channel=${channel.id} user=${check.data.userId} sid=${check.data.sessionRef} secsLeft=${check.secsLeft}s format=hls`);
+
+    res.set('Content-Type', 'application/vnd.apple.mpegurl');
+    res.send(buildMasterPlaylist(channel, hlsUrls(publicBase(req), cdnToken, channel.id)));
+  });
+
+  // ── STAGE 2 (HLS): MEDIA PLAYLIST ─────────────────────────
+  //   GET /cdn/:cdnToken/hls/:rep.m3u8
+  app.get('/cdn/:cdnToken/hls/:rep.m3u8', (req, res) => {
+    const cdnToken = req.params.cdnToken;
+
+    const ok = checkCdnRequest(req, res, cdnToken, `/hls/${req.params.rep}.m3u8`);
+    if (!ok) return;
+    const { channel } = ok;
+
+    const playlist = buildMediaPlaylist(channel, req.params.rep, hlsUrls(publicBase(req), cdnToken, channel.id), now());
+    if (!playlist) return res.status(404).send(`No rendition ${req.params.rep} in ${channel.id}`);
+
+    res.set('Content-Type', 'application/vnd.apple.mpegurl');
+    res.send(playlist);
+  });
+
+  // ── STAGE 2 (HLS): IDENTITY KEY ───────────────────────────
+  //   GET /cdn/:cdnToken/hls/key/:kid
+  //   EXT-X-KEY KEYFORMAT="identity" → raw 16-byte key, only for
+  //   a KID the token's channel owns and a user still entitled to it
+  app.get('/cdn/:cdnToken/hls/key/:kid', (req, res) => {
+    const cdnToken = req.params.cdnToken;
+
+    const ok = checkCdnRequest(req, res, cdnToken, `/hls/key/${req.params.kid}`);
+    if (!ok) return;
+    const { check, channel } = ok;
+
+    // Re-checked here, as at /license: entitlements may have changed since the CDN token was issued
+    if (!check.data.userId || !users.isEntitled(check.data.userId, channel.id)) {
+      const reason = `user ${check.data.userId || '?'} not entitled to channel ${channel.id}`;
+      logReq('DRM_DENY', `channel=${channel.id} kid=${req.params.kid} reason=${reason}`);
+      denied('license', 403, reason, req, { user: check.data.userId, channel: channel.id, code: 'not_entitled' });
+      return res.status(403).send('Not entitled');
+    }
+
+    const entry = keystore.get(channel.id, req.params.kid.toLowerCase());
+    if (!entry || entry.status !== 'active') {
+      logReq('DRM_DENY', `channel=${channel.id} kid=${req.params.kid} reason=${entry ? 'key disabled' : 'kid not in channel'}`);
+      denied('license', entry ? 403 : 404, entry ? 'key disabled' : 'kid not in channel', req, { user: check.data.userId, channel: channel.id });
+      return res.status(entry ? 403 : 404).send(entry ? 'Key disabled' : 'Unknown key');
+    }
+
+    logReq('DRM_KEY_ISSUED', `channel=${channel.id} kid=${req.params.kid.slice(0,8)}... format=hls-identity`);
+    res.set('Content-Type', 'application/octet-stream');
+    res.set('Cache-Control', 'no-store');
+    res.send(Buffer.from(entry.key, 'hex'));
+  });
+
+  // ── STAGE 2b: CDN SEGMENT PROXY ───────────────────────────
+  //   GET /cdn/:cdnToken/seg/:segPath           (the token's node)
+  //   GET /cdn/:cdnToken/n/:node/seg/:segPath   (MPD BaseURL of one node)
+  //   GET /cdn/:cdnToken[/n/:node]/ad/:period/:ad/:segPath
+  //                                             (ad Periods — fire tracking beacons)
+  //   Validates CDN token → serves from that node's edge cache, pulling
+  //   from upstream on a miss.  The token's ACL covers every form.
+  app.get([
+    '/cdn/:cdnToken/seg/*', '/cdn/:cdnToken/n/:node/seg/*',
+    '/cdn/:cdnToken/ad/:period/:ad/*', '/cdn/:cdnToken/n/:node/ad/:period/:ad/*'
+  ], asyncRoute(async (req, res) => {
+    const cdnToken = req.params.cdnToken;
+    const segPath  = req.params[0];
+    const aclPath  = req.params.ad ? `/ad/${req.params.period}/${req.params.ad}/${segPath}` : `/seg/${segPath}`;
+
+    const check = checkCdnToken(cdnToken, aclPath, req.ip);
+    if (!check.ok) {
+      logReq('CDN_DENY', `seg=${segPath} reason=${check.reason}`);
+      denied('cdn', 403, check.reason, req, { code: check.code, seg: segPath });
+      return res.status(403).send(`CDN Error: ${check.reason} — reload player`);
+    }
+
+    const channel = channels.get(check.data.channel);
+    if (!channel) return res.status(404).send('Unknown channel');
+
+    const access = channelAccess('cdn', channel, req);
+    if (!access.ok) {
+      logReq('CDN_DENY', `seg=${segPath} reason=${access.code} channel=${channel.id} user=${check.data.userId} ip=${normalizeIp(req.ip)}`);
+      denied('cdn', 403, access.reason, req, { user: check.data.userId, channel: channel.id, code: access.code, seg: segPath });
+      return res.status(403).send(`CDN Error: ${access.reason}`);
+    }
+
+    // Ad segments come from the ad's own asset, and only for Periods in this session's plan
+    // (a made-up period id would otherwise fire a fresh set of beacons)
+    const ad = req.params.ad ? adDecisions.pool.get(req.params.ad) : null;
+    if (req.params.ad && !ad) return res.status(404).send(`Unknown ad ${req.params.ad}`);
+    if (ad && !adDecisions.isScheduled(channel, users.get(check.data.userId), check.data.sessionRef, req.params.period, ad.id)) {
+      logReq('AD_DENY', `channel=${channel.id} user=${check.data.userId} sid=${check.data.sessionRef} period=${req.params.period} ad=${ad.id} reason=not_scheduled`);
+      return res.status(404).send(`Ad ${ad.id} is not scheduled as Period ${req.params.period} for this session`);
+    }
+    const source = ad ? ad.asset : channel;
+
+    // Watermarked channels: this session's variant of the segment (subtitles and ads stay unmarked)
+    const text = !ad && segPath.startsWith('subtitles/');
+    const mark = !ad && !text && channel.watermark ? watermarks.variantFor(channel, check.data.sessionRef, segPath) : null;
+
+    const node = cdnPool.get(req.params.node || check.data.cdnServer);
+    if (!node) return res.status(404).send(`CDN Error: unknown node ${req.params.node}`);
+    let served = null;   // cache result, once there is one
+    res.on('finish', () => {
+      metric.segmentRequests.inc({ channel: channel.id, node: node.id, status: res.statusCode });
+      emit('segment', {
+        user: check.data.userId, session: check.data.sessionRef, channel: channel.id, node: node.id,
+        seg: segPath, ad: ad ? ad.id : null, wm: mark ? mark.variant : null, status: res.statusCode, cache: served
+      });
+    });
+
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Expose-Headers', 'X-Cache, X-CDN-Server, X-Impairment, Content-Range, CMSD-Static, CMSD-Dynamic');
+    res.set('X-CDN-Server', `bpcdn${node.id}.example.lk`);
+
+    // What the player says about itself (CMCD) — a bad payload is logged, never refused
+    const cmcd = parseCmcd(req.query.CMCD, req.headers);
+    if (cmcd && !cmcd.ok) logReq('CMCD_ERR', `channel=${channel.id} sid=${check.data.sessionRef} seg=${segPath} reason=${cmcd.reason}`);
+    const cmcdData = cmcd && cmcd.ok ? cmcd.data : null;
+    if (cmcdData) {
+      qoe.cmcd({ session: check.data.sessionRef, user: check.data.userId, channel: channel.id }, cmcdData);
+      if (cmcdData.bs) {
+        metric.cmcdStarvations.inc({ channel: channel.id });
+        logReq('CMCD_STARVATION', `channel=${channel.id} user=${check.data.userId} sid=${check.data.sessionRef} seg=${segPath} bl=${cmcdData.bl ?? '?'}`);
+      }
+    }
+
+    node.requests++;
+    if (!node.healthy) {
+      node.errors++;
+      logReq('CDN_NODE_DOWN', `server=${node.id} channel=${channel.id} seg=${segPath} reason=${node.reason}`);
+      res.set('Retry-After', '10');
+      return res.status(503).send(`CDN node ${node.id} unavailable`);
+    }
+
+    const impair = impairments.decide({ session: check.data.sessionRef, channel: channel.id, node: node.id });
+    if (impair) {
+      res.set('X-Impairment', impair.name + (impair.step ? ` step ${impair.step}` : ''));
+      if (impair.effects.length)
+        logReq('IMPAIR', `${impair.rule} profile=${impair.name}${impair.step ? ` step=${impair.step}` : ''} seg=${segPath} ${impair.effects.join(' ')}`);
+    }
+
+    const delay = node.latencyMs + (impair ? impair.latencyMs : 0);
+    if (CMSD_HEADERS) {
+      res.set(cmsd({
+        object: { ot: cmcdData && cmcdData.ot, st: channel.live ? 'l' : 'v' },
+        server: { name: `bpcdn${node.id}.example.lk`, rttMs: delay, throughputKbps: impair && impair.bandwidthKbps }
+      }));
+    }
+    if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+
+    if (impair && impair.error) {
+      res.set('Cache-Control', 'no-store');
+      return res.status(impair.error).send(`Injected fault (${impair.name})`);
+    }
+
+    // Cache key = the upstream URL (local origin: the file), not the token.
+    // Subtitles are generated here (lib/subtitles.js) but cached like any segment
+    const local = source.origin === 'local';
+    const originSeg = mark ? `${mark.dir}/${segPath}` : segPath;
+    const upstreamPath = `${source.basePath}/${originSeg}`;
+    const cacheKey = text ? `subtitles://${channel.id}/${segPath.slice(10)}`
+      : local ? `file://${path.resolve(source.contentDir)}/${originSeg}`
+      : `${source.protocol}://${source.hostname}:${source.port}${upstreamPath}`;
+
+    let result;
+    try {
+      result = await node.cache.get(cacheKey, async conditional => {
+        const done = metric.upstreamLatency.startTimer({ channel: source.id });
+        const origin = await (text ? subtitles.fetch(channel, segPath.slice(10))
+          : local ? readLocalFile(source.contentDir, originSeg, conditional)
+          : upstream(source, upstreamPath, conditional));
+        done({ status: origin.status });
+        return origin;
+      });
+    } catch (err) {
+      node.errors++;
+      logReq('SEG_ERR', `server=${node.id} ${err.message}`);
+      return err.code === 'ETIMEDOUT'
+        ? res.status(504).send('Upstream timeout')
+        : res.status(502).send('Upstream error');
+    }
+
+    const { entry, cache } = result;
+    served = cache;
+    logReq('CDN_SEG', `server=${node.id} channel=${channel.id} user=${check.data.userId} sid=${check.data.sessionRef} seg=${segPath}${ad ? ` ad=${ad.id}` : ''}${mark ? ` wm=${mark.variant}` : ''} cache=${cache}${cmcdData ? ` cmcd=${cmcdSummary(cmcdData)}` : ''}`);
+
+    if (entry.status !== 200) {
+      node.errors++;
+      if (entry.status === 404) logReq('SEG_404', `channel=${channel.id} seg=${segPath}`);
+      res.set('X-Cache', cache);
+      return res.status(entry.status === 404 ? 404 : 502).send(entry.status === 404 ? 'Segment not found' : 'Upstream error');
+    }
+
+    if (ad) trackAdSegment(check.data, channel, req.params.period, ad, segPath);
+    if (mark) {
+      watermarks.served({
+        sid: check.data.sessionRef, user: check.data.userId, channel: channel.id,
+        seg: segPath, n: mark.n, variant: mark.variant, key: cacheKey, etag: entry.etag
+      }, entry.body);
+      metric.wmSegments.inc({ channel: channel.id, variant: mark.variant });
+    }
+
+    if (!entry.contentType) entry.contentType = 'video/mp4';
+    const shaped = impair && (impair.bandwidthKbps || impair.stall || impair.truncateAt !== null);
+    const sent = await sendEntry(req, res, entry, cache, {
+      now: now(),
+      write: shaped ? (status, body) => writeImpaired(res, status, body, impair) : undefined
+    });
+    node.cache.countServed(sent);
+    metric.segmentBytes.inc({ channel: channel.id, node: node.id, cache }, sent);
+  }));
+
+  /** "br:3200,bl:11200,mtp:25400" — the CMCD keys worth a log line */
+  function cmcdSummary(data) {
+    return ['ot', 'br', 'bl', 'mtp', 'bs'].filter(k => data[k] !== undefined).map(k => `${k}:${data[k]}`).join(',') || '-';
+  }
+
+  /** Fire the ad beacons a segment fetch reaches (SSAI tracking, once per session + ad Period) */
+  function trackAdSegment(token, channel, period, ad, segPath) {
+    const fired = adTracker.segment({ sid: token.sessionRef, user: token.userId, channel: channel.id, period, ad, segPath });
+    for (const event of fired) {
+      metric.adBeacons.inc({ event, ad: ad.id });
+      logReq('AD_BEACON', `event=${event} ad=${ad.id} period=${period} channel=${channel.id} user=${token.userId} sid=${token.sessionRef}`);
+    }
+  }
+
+  // ── STAGE 3: DRM LICENSE SERVER ───────────────────────────
+  //   POST /license?cdnToken=X            (URL from the MPD's dashif:laurl)
+  //   POST /license?token=S&channel=Ch120 (session token + channel)
+  //   Body: W3C ClearKey request { kids, type } → only the requested keys
+
+  /** Which channel may this license request unlock? Throws LicenseError */
+  async function authorizeLicense(req) {
+    const { cdnToken, token, channel } = req.query;
+
+    if (cdnToken) {
+      const check = checkCdnToken(cdnToken, '/license', req.ip);
+      if (!check.ok) throw new LicenseError(403, check.reason, check.code);
+      return { channelId: check.data.channel, via: 'cdn', userId: check.data.userId };
+    }
+
+    if (token) {
+      const check = await checkSessionToken(token, req.ip);
+      if (!check.ok) throw new LicenseError(403, `session ${check.reason}`, check.code || 'session');
+      if (!channel) throw new LicenseError(400, 'channel is required with a session token');
+      return { channelId: channel, via: 'session', userId: check.session.userId };
+    }
+
+    throw new LicenseError(401, 'no session or CDN token — license requests must be authenticated', 'no_token');
+  }
+
+  app.post('/license', express.raw({ type: () => true, limit: '64kb' }), asyncRoute(async (req, res) => {
+    logReq('DRM_LICENSE', `ip=${req.ip} contentType=${req.headers['content-type']}`);
+    res.set('Access-Control-Allow-Origin', '*');
+
+    try {
+      const auth = await authorizeLicense(req);
+      const { kids, type } = parseLicenseRequest(req.body);
+
+      const channel = channels.get(auth.channelId);
+      if (!channel) throw new LicenseError(404, `unknown channel ${auth.channelId}`);
+
+      // Re-checked here: entitlements may have changed since the CDN token was issued
+      if (!auth.userId || !users.isEntitled(auth.userId, channel.id))
+        throw new LicenseError(403, `user ${auth.userId || '?'} not entitled to channel ${channel.id}`, 'not_entitled');
+
+      const access = channelAccess('license', channel, req);
+      if (!access.ok) throw new LicenseError(403, access.reason, access.code);
+
+      const unknown = kids.filter(k => !keystore.hasKid(k));
+      if (unknown.length) throw new LicenseError(404, `unknown KID(s) ${unknown.join(', ')}`);
+
+      const foreign = kids.filter(k => !keystore.get(channel.id, k));
+      if (foreign.length) throw new LicenseError(403, `KID(s) ${foreign.join(', ')} not owned by channel ${channel.id}`);
+
+      const disabled = kids.filter(k => keystore.get(channel.id, k).status !== 'active');
+      if (disabled.length) throw new LicenseError(403, `KID(s) ${disabled.join(', ')} disabled`);
+
+      const granted = {};
+      for (const kid of kids) granted[kid] = keystore.get(channel.id, kid).key;
+      const response = buildLicenseResponse(granted, type);
+
+      logReq('DRM_KEY_ISSUED', `channel=${channel.id} user=${auth.userId} via=${auth.via} type=${type} keys=${kids.length} ` +
+        `keyId=${kids[0].slice(0,8)}...`);
+      metric.licenseGrants.inc({ channel: channel.id, via: auth.via });
+      emit('license', { user: auth.userId, channel: channel.id, via: auth.via, kids });
+
+      res.set('Cache-Control', 'no-store');
+      res.json(response);
+    } catch (err) {
+      if (!(err instanceof LicenseError)) throw err;
+      logReq('DRM_DENY', `status=${err.status} reason=${err.message}${err.code ? ` code=${err.code}` : ''}`);
+      denied('license', err.status, err.message, req, { code: err.code });
+      metric.licenseDenials.inc({ status: err.status });
+      res.status(err.status).json({ error: err.message, reason: err.code });
+    }
+  }));
+
+  // Handle preflight for license
+  app.options('/license', (req, res) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type');
+    res.sendStatus(204);
+  });
+
+  // ══════════════════════════════════════════════════════════
+  // ADMIN API
+  // Needs a session token of an account with role "admin", sent as
+  // "Authorization: Bearer <token>" or ?token=
+  // ══════════════════════════════════════════════════════════
+  const requireAdmin = asyncRoute(async (req, res, next) => {
+    const auth  = req.headers.authorization || '';
+    const token = auth.startsWith('Bearer ') ? auth.slice(7) : req.query.token;
+    if (!token) {
+      denied('admin', 401, 'no token', req);
+      return res.status(401).json({ error: 'Admin session token required' });
+    }
+
+    const check = await checkSessionToken(token, req.ip);
+    const user = check.ok && users.get(check.session.userId);
+    if (!user || user.role !== 'admin') {
+      const reason = check.ok ? `user ${check.session.userId} is not admin` : check.reason;
+      logReq('ADMIN_DENY', `path=${req.path} reason=${reason}`);
+      denied('admin', 403, reason, req, check.ok ? { user: check.session.userId, code: 'not_admin' } : { code: check.code || 'session' });
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    req.session = check.session;
+    next();
+  });
+
+  /** Resolve :channel for admin routes, answering 404 for unknown ones */
+  function adminChannel(req, res) {
+    const channel = channels.get(req.params.channel);
+    if (!channel) res.status(404).json({ error: `Unknown channel: ${req.params.channel}` });
+    return channel;
+  }
+
+  /**
+   * Refuse to change the current key of a channel whose segments come
+   * encrypted from a remote origin: they only ever decrypt with the key
+   * they were packaged with.  Returns true once it has answered 409.
+   */
+  function refuseUpstreamRotation(channel, res) {
+    if (!channel.drm || channel.origin === 'local') return false;
+    res.status(409).json({
+      error: `${channel.id} is encrypted upstream — its key cannot be rotated`,
+      hint:  'Package the content yourself (scripts/package.js) and serve it with "origin": "local".'
+    });
+    return true;
+  }
+
+  // ── Keys: list ────────────────────────────────────────────
+  //   GET /api/admin/keys[?channel=Ch120]   (key material never listed)
+  app.get('/api/admin/keys', requireAdmin, (req, res) => {
+    const t = now();
+    res.json(keystore.list(req.query.channel).map(e => ({
+      ...e,
+      current: (keystore.current(e.channel, t) || {}).kid === e.kid
+    })));
+  });
+
+  // ── Keys: generate ────────────────────────────────────────
+  //   POST /api/admin/keys/:channel  { activeFrom? }
+  //   New standby key (or scheduled, with an ISO activeFrom — local
+  //   channels only). The key itself is returned only here, so content
+  //   can be packaged with it.
+  app.post('/api/admin/keys/:channel', requireAdmin, (req, res) => {
+    const channel = adminChannel(req, res);
+    if (!channel) return;
+
+    const { activeFrom } = req.body || {};
+    const at = activeFrom == null ? null : Date.parse(activeFrom);
+    if (activeFrom != null && isNaN(at)) return res.status(400).json({ error: 'activeFrom must be an ISO date' });
+    if (at !== null && refuseUpstreamRotation(channel, res)) return;
+
+    const entry = keystore.generate(channel.id, { activeFrom: at });
+    logReq('KEY_GENERATE', `channel=${channel.id} kid=${entry.kid.slice(0,8)}... by=${req.session.userId}`);
+    res.status(201).json(entry);
+  });
+
+  // ── Keys: rotate ──────────────────────────────────────────
+  //   POST /api/admin/keys/:channel/rotate  { kid?, activateIn? }
+  //   Schedules `kid` (or a freshly generated key) to become the
+  //   current key in activateIn seconds (default: now); 409 for channels
+  //   encrypted upstream
+  app.post('/api/admin/keys/:channel/rotate', requireAdmin, (req, res) => {
+    const channel = adminChannel(req, res);
+    if (!channel || refuseUpstreamRotation(channel, res)) return;
+
+    const { kid, activateIn = 0 } = req.body || {};
+    if (!(activateIn >= 0)) return res.status(400).json({ error: 'activateIn must be a number of seconds >= 0' });
+    const at = now() + activateIn * 1000;
+
+    let entry;
+    if (kid) {
+      entry = keystore.schedule(channel.id, String(kid).toLowerCase(), at);
+      if (!entry) return res.status(404).json({ error: `No key ${kid} in ${channel.id}` });
+    } else {
+      entry = keystore.generate(channel.id, { activeFrom: at });
+    }
+
+    logReq('KEY_ROTATE', `channel=${channel.id} kid=${entry.kid.slice(0,8)}... at=${new Date(at).toISOString()} by=${req.session.userId}`);
+    res.json(entry);
+  });
+
+  // ── Keys: disable / enable ────────────────────────────────
+  //   POST /api/admin/keys/:channel/:kid/disable   → /license refuses it
+  app.post('/api/admin/keys/:channel/:kid/:action(disable|enable)', requireAdmin, (req, res) => {
+    const channel = adminChannel(req, res);
+    if (!channel) return;
+
+    const status = req.params.action === 'disable' ? 'disabled' : 'active';
+    const entry  = keystore.setStatus(channel.id, req.params.kid.toLowerCase(), status);
+    if (!entry) return res.status(404).json({ error: `No key ${req.params.kid} in ${channel.id}` });
+
+    logReq('KEY_' + req.params.action.toUpperCase(), `channel=${channel.id} kid=${entry.kid.slice(0,8)}... by=${req.session.userId}`);
+    res.json(entry);
+  });
+
+  // ── Sessions: revoke every session of a user ──────────────
+  //   POST /api/admin/users/:user/revoke-sessions   (access + refresh tokens)
+  app.post('/api/admin/users/:user/revoke-sessions', requireAdmin, asyncRoute(async (req, res) => {
+    const revoked = await sessionStore.revokeUser(req.params.user);
+    logReq('SESSIONS_REVOKED', `user=${req.params.user} sessions=${revoked} by=${req.session.userId}`);
+    res.json({ user: req.params.user, revoked });
+  }));
+
+  // ── Users: list ───────────────────────────────────────────
+  //   GET /api/admin/users   (no password hashes)
+  app.get('/api/admin/users', requireAdmin, (req, res) => {
+    const ids = [...channels.keys()];
+    res.json(users.list().map(u => ({ ...u, entitled: users.entitledChannels(u.username, ids) })));
+  });
+
+  // ── Users: create ─────────────────────────────────────────
+  //   POST /api/admin/users  { username, password, role?, packages?, channels? }
+  app.post('/api/admin/users', requireAdmin, asyncRoute(async (req, res) => {
+    const user = await users.create(req.body || {});
+    logReq('USER_CREATE', `user=${user.username} role=${user.role} packages=${user.packages.join(',') || '-'} by=${req.session.userId}`);
+    res.status(201).json(user);
+  }));
+
+  // ── Users: disable / enable ───────────────────────────────
+  //   POST /api/admin/users/:user/disable   → login refused, sessions revoked
+  app.post('/api/admin/users/:user/:action(disable|enable)', requireAdmin, asyncRoute(async (req, res) => {
+    const disable = req.params.action === 'disable';
+    const user    = users.setDisabled(req.params.user, disable);
+    const revoked = disable ? await sessionStore.revokeUser(user.username) : 0;
+    logReq('USER_' + req.params.action.toUpperCase(), `user=${user.username} sessions=${revoked} by=${req.session.userId}`);
+    res.json(user);
+  }));
+
+  // ── Users: reset password ─────────────────────────────────
+  //   POST /api/admin/users/:user/password  { password }   (signs the user out everywhere)
+  app.post('/api/admin/users/:user/password', requireAdmin, asyncRoute(async (req, res) => {
+    const user    = await users.setPassword(req.params.user, (req.body || {}).password);
+    const revoked = await sessionStore.revokeUser(user.username);
+    logReq('USER_PASSWORD_RESET', `user=${user.username} sessions=${revoked} by=${req.session.userId}`);
+    res.json(user);
+  }));
+
+  // ── Users: entitlements ───────────────────────────────────
+  //   PUT /api/admin/users/:user/entitlements  { packages?, channels? }
+  app.put('/api/admin/users/:user/entitlements', requireAdmin, (req, res) => {
+    const user = users.setEntitlements(req.params.user, req.body || {});
+    logReq('USER_ENTITLEMENTS', `user=${user.username} packages=${user.packages.join(',') || '-'} ` +
+      `channels=${user.channels.join(',') || '-'} by=${req.session.userId}`);
+    res.json({ ...user, entitled: users.entitledChannels(user.username, [...channels.keys()]) });
+  });
+
+  // ── Packages ──────────────────────────────────────────────
+  //   GET /api/admin/packages
+  //   PUT /api/admin/packages/:name  { channels: [...] }   ("*" = every channel)
+  app.get('/api/admin/packages', requireAdmin, (req, res) => res.json(users.packages()));
+
+  app.put('/api/admin/packages/:name', requireAdmin, (req, res) => {
+    const pkg = users.setPackage(req.params.name, (req.body || {}).channels);
+    logReq('PACKAGE_SET', `package=${pkg.name} channels=${pkg.channels.join(',') || '-'} by=${req.session.userId}`);
+    res.json(pkg);
+  });
+
+  // ── Users: limits & devices ───────────────────────────────
+  //   PUT    /api/admin/users/:user/limits  { streams?, devices? }   (null → server default)
+  //   DELETE /api/admin/users/:user/devices/:device
+  app.put('/api/admin/users/:user/limits', requireAdmin, (req, res) => {
+    const user = users.setLimits(req.params.user, req.body || {});
+    logReq('USER_LIMITS', `user=${user.username} limits=${JSON.stringify(limitsFor(user.username))} by=${req.session.userId}`);
+    res.json({ ...user, effectiveLimits: limitsFor(user.username) });
+  });
+
+  app.delete('/api/admin/users/:user/devices/:device', requireAdmin, (req, res) => {
+    users.removeDevice(req.params.user, req.params.device);
+    streams.release(req.params.user, req.params.device);
+    logReq('DEVICE_REMOVED', `user=${req.params.user} device=${req.params.device} by=${req.session.userId}`);
+    res.json({ removed: req.params.device });
+  });
+
+  // ── Streams: active per user ──────────────────────────────
+  //   GET /api/admin/streams[?user=demo]
+  app.get('/api/admin/streams', requireAdmin, (req, res) => {
+    const t = now();
+    const byUser = {};
+    for (const s of streams.list(req.query.user)) {
+      const u = byUser[s.userId] || (byUser[s.userId] = { limits: limitsFor(s.userId), streams: [] });
+      u.streams.push({
+        id: s.id, channel: s.channel, device: s.deviceId, ip: s.ip, state: s.state,
+        startedAt: new Date(s.startedAt).toISOString(),
+        lastHeartbeatSecsAgo: Math.round((t - s.lastHeartbeat) / 1000)
+      });
+    }
+    res.json({ policy: STREAM_LIMIT_POLICY, heartbeatTimeout: HEARTBEAT_TIMEOUT / 1000, users: byUser });
+  });
+
+  //   DELETE /api/admin/streams/:id   → ends it; its next heartbeat gets 410
+  app.delete('/api/admin/streams/:id', requireAdmin, (req, res) => {
+    const slot = streams.kick(req.params.id, `ended by admin ${req.session.userId}`);
+    if (!slot) return res.status(404).json({ error: `No active stream ${req.params.id}` });
+    logReq('STREAM_KICKED', `user=${slot.userId} device=${slot.deviceId} channel=${slot.channel} by=${req.session.userId}`);
+    res.json({ kicked: slot.id });
+  });
+
+  // ── Edge cache: purge ─────────────────────────────────────
+  //   DELETE /api/admin/cache[?prefix=https://storage.googleapis.com:443/shaka-demo-assets/][&node=cs5]
+  app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+    const targets = req.query.node ? [cdnPool.get(req.query.node)] : cdnPool.list();
+    if (!targets[0]) return res.status(404).json({ error: `No CDN node ${req.query.node}` });
+    const purged = targets.reduce((sum, n) => sum + n.cache.purge(req.query.prefix || ''), 0);
+    logReq('CACHE_PURGE', `node=${req.query.node || '*'} prefix=${req.query.prefix || '*'} entries=${purged} by=${req.session.userId}`);
+    res.json({ purged });
+  });
+
+  // ── CDN nodes ─────────────────────────────────────────────
+  //   GET  /api/admin/cdn                        → strategy + every node
+  //   POST /api/admin/cdn/nodes/:node/down       { reason? }  → 503 for its segments
+  //   POST /api/admin/cdn/nodes/:node/up
+  //   PUT  /api/admin/cdn/nodes/:node            { weight?, latencyMs? }
+  //   PUT  /api/admin/cdn/strategy               { strategy }
+  app.get('/api/admin/cdn', requireAdmin, (req, res) => {
+    res.json({ strategy: cdnPool.strategy(), strategies: CDN_STRATEGIES, nodes: cdnPool.list().map(cdnPool.describe) });
+  });
+
+  app.post('/api/admin/cdn/nodes/:node/:action(down|up)', requireAdmin, (req, res) => {
+    const up = req.params.action === 'up';
+    const node = cdnPool.setHealth(req.params.node, up, (req.body || {}).reason);
+    if (!node) return res.status(404).json({ error: `No CDN node ${req.params.node}` });
+    logReq(up ? 'CDN_NODE_UP' : 'CDN_NODE_DOWN', `server=${node.id}${up ? '' : ` reason=${node.reason}`} by=${req.session.userId}`);
+    res.json(cdnPool.describe(node));
+  });
+
+  app.put('/api/admin/cdn/nodes/:node', requireAdmin, (req, res) => {
+    const { weight, latencyMs } = req.body || {};
+    for (const [k, v] of Object.entries({ weight, latencyMs })) {
+      if (v !== undefined && !(Number.isFinite(v) && v >= 0))
+        return res.status(400).json({ error: `${k} must be a non-negative number` });
+    }
+    const node = cdnPool.configure(req.params.node, { weight, latencyMs });
+    if (!node) return res.status(404).json({ error: `No CDN node ${req.params.node}` });
+    logReq('CDN_NODE_SET', `server=${node.id} weight=${node.weight} latencyMs=${node.latencyMs} by=${req.session.userId}`);
+    res.json(cdnPool.describe(node));
+  });
+
+  app.put('/api/admin/cdn/strategy', requireAdmin, (req, res) => {
+    const { strategy } = req.body || {};
+    if (!cdnPool.setStrategy(strategy))
+      return res.status(400).json({ error: `strategy must be one of ${CDN_STRATEGIES.join(', ')}` });
+    logReq('CDN_STRATEGY', `strategy=${strategy} by=${req.session.userId}`);
+    res.json({ strategy });
+  });
+
+  // ── Network impairments ───────────────────────────────────
+  //   GET    /api/admin/impairments                    → profiles + rules (with the step in force)
+  //   PUT    /api/admin/impairments/profiles/:name     { bandwidthKbps, latencyMs, … } | { timeline, loop }
+  //   PUT    /api/admin/impairments/:scope/:id         { profile: "3g" | {…} } | { timeline: [{ seconds, profile }], loop }
+  //          scope = session (CDN token sid) | channel | node
+  //   DELETE /api/admin/impairments/:scope/:id
+  //   DELETE /api/admin/impairments                    → clears every rule
+  app.get('/api/admin/impairments', requireAdmin, (req, res) => res.json(impairments.list()));
+
+  app.put('/api/admin/impairments/profiles/:name', requireAdmin, (req, res) => {
+    const result = impairments.define(req.params.name, req.body || {});
+    if (!result.ok) return res.status(400).json({ error: result.reason });
+    logReq('IMPAIR_PROFILE', `name=${req.params.name} by=${req.session.userId}`);
+    res.json({ name: req.params.name, profile: req.body });
+  });
+
+  app.put('/api/admin/impairments/:scope(session|channel|node)/:id', requireAdmin, (req, res) => {
+    const { scope, id } = req.params;
+    if (scope === 'channel' && !channels.has(id)) return res.status(404).json({ error: `No channel ${id}` });
+    if (scope === 'node' && !cdnPool.get(id))     return res.status(404).json({ error: `No CDN node ${id}` });
+
+    const body = req.body || {};
+    const spec = body.timeline ? { timeline: body.timeline, loop: !!body.loop } : body.profile;
+    const result = impairments.set(scope, id, spec);
+    if (!result.ok) {
+      return res.status(400).json({
+        error: result.reason,
+        hint: 'Send { "profile": "3g" }, an inline profile, or { "timeline": [{ "seconds": 20, "profile": { "bandwidthKbps": 3000 } }], "loop": true }'
+      });
+    }
+    logReq('IMPAIR_SET', `${scope}:${id} profile=${typeof spec === 'string' ? spec : spec.timeline ? 'timeline' : 'custom'} by=${req.session.userId}`);
+    res.json(impairments.list().rules.find(r => r.scope === scope && r.id === id));
+  });
+
+  app.delete('/api/admin/impairments/:scope(session|channel|node)/:id', requireAdmin, (req, res) => {
+    const { scope, id } = req.params;
+    if (!impairments.clear(scope, id)) return res.status(404).json({ error: `No impairment on ${scope}:${id}` });
+    logReq('IMPAIR_CLEAR', `${scope}:${id} by=${req.session.userId}`);
+    res.json({ cleared: 1 });
+  });
+
+  app.delete('/api/admin/impairments', requireAdmin, (req, res) => {
+    const cleared = impairments.clear();
+    logReq('IMPAIR_CLEAR', `all (${cleared}) by=${req.session.userId}`);
+    res.json({ cleared });
+  });
+
+  // ── Ad insertion ──────────────────────────────────────────
+  //   GET    /api/admin/ads                        → pool, channel schedules, per-user overrides
+  //   GET    /api/admin/ads/tracking[?user=&session=&channel=]
+  //   PUT    /api/admin/ads/schedules/:channel     { preroll, midrolls: [{ at, ads }], postroll, rotation?, packages? }
+  //   DELETE /api/admin/ads/schedules/:channel     → channel without ads
+  //   PUT    /api/admin/ads/users/:user            { channel?, schedule: {…} | null }   (null = ad-free)
+  //   DELETE /api/admin/ads/users/:user[?channel=]
+  //   Schedules apply to manifests requested afterwards.
+  app.get('/api/admin/ads', requireAdmin, (req, res) => res.json(adDecisions.describe()));
+
+  app.get('/api/admin/ads/tracking', requireAdmin, (req, res) => {
+    const { user, session, channel } = req.query;
+    res.json(adTracker.list({ user, session, channel }));
+  });
+
+  app.put('/api/admin/ads/schedules/:channel', requireAdmin, (req, res) => {
+    const channel = adminChannel(req, res);
+    if (!channel) return;
+    const result = adDecisions.setChannelSchedule(channel, req.body || {});
+    if (!result.ok) return res.status(400).json({ error: result.reason });
+    logReq('AD_SCHEDULE', `channel=${channel.id} by=${req.session.userId}`);
+    res.json(adDecisions.describe().schedules[channel.id]);
+  });
+
+  app.delete('/api/admin/ads/schedules/:channel', requireAdmin, (req, res) => {
+    const channel = adminChannel(req, res);
+    if (!channel) return;
+    adDecisions.setChannelSchedule(channel, null);
+    logReq('AD_SCHEDULE', `channel=${channel.id} cleared by=${req.session.userId}`);
+    res.json({ channel: channel.id, schedule: null });
+  });
+
+  app.put('/api/admin/ads/users/:user', requireAdmin, (req, res) => {
+    const { channel, schedule } = req.body || {};
+    if (!users.get(req.params.user)) return res.status(404).json({ error: `No user ${req.params.user}` });
+    if (channel && !channels.has(channel)) return res.status(404).json({ error: `Unknown channel: ${channel}` });
+    if (schedule === undefined)
+      return res.status(400).json({ error: 'schedule is required', hint: 'Send { "schedule": null } for ad-free, or { "schedule": { "preroll": ["*"] } }' });
+
+    const result = adDecisions.setUserSchedule(req.params.user, channel, schedule);
+    if (!result.ok) return res.status(400).json({ error: result.reason });
+    logReq('AD_SCHEDULE', `user=${req.params.user} channel=${channel || '*'} ${schedule ? 'custom' : 'ad-free'} by=${req.session.userId}`);
+    res.json({ user: req.params.user, channel: channel || '*', schedule: adDecisions.scheduleFor(channel || '*', users.get(req.params.user)).schedule });
+  });
+
+  app.delete('/api/admin/ads/users/:user', requireAdmin, (req, res) => {
+    const cleared = adDecisions.clearUserSchedule(req.params.user, req.query.channel);
+    if (!cleared) return res.status(404).json({ error: `No ad override for ${req.params.user}` });
+    logReq('AD_SCHEDULE', `user=${req.params.user} channel=${req.query.channel || 'all'} cleared by=${req.session.userId}`);
+    res.json({ cleared });
+  });
+
+  // ── Playback QoE ──────────────────────────────────────────
+  //   GET /api/admin/qoe[?by=session|user|channel&user=&session=&channel=]
+  //   ← startup, rebuffering, switches, errors and CMCD averages per group
+  app.get('/api/admin/qoe', requireAdmin, (req, res) => {
+    const { by = 'session', user, session, channel } = req.query;
+    if (!QOE_GROUPS.includes(by)) return res.status(400).json({ error: `by must be one of ${QOE_GROUPS.join(', ')}` });
+    res.json(qoe.report({ by, user, session, channel }));
+  });
+
+  // ── Access: what an address may watch ─────────────────────
+  //   GET /api/admin/access[?ip=203.0.113.9]   (default: the caller's own req.ip)
+  //   ← { ip, country, bindings: { session, cdn }, channels: { <id>: { ok, code?, reason? } } }
+  app.get('/api/admin/access', requireAdmin, (req, res) => {
+    const ip = normalizeIp(req.query.ip || req.ip);
+    if (!parseIp(ip)) return res.status(400).json({ error: `not an IP address: ${req.query.ip}` });
+
+    const out = {};
+    for (const ch of channels.values()) {
+      const { ok, code, reason } = checkAccess(ch.access, ip, geo);
+      out[ch.id] = ok ? { ok, rules: ch.access ? ch.access.source : null } : { ok, code, reason, rules: ch.access.source };
+    }
+    res.json({
+      ip,
+      country:  geo ? geo.lookup(ip) : null,
+      geoDb:    geo ? { file: geo.file, ranges: geo.size } : null,
+      bindings: { session: bindKey(ip, SESSION_BIND_IP), cdn: bindKey(ip, CDN_TOKEN_BIND_IP) },
+      channels: out
+    });
+  });
+
+  // ── Watermarks: marked sessions ───────────────────────────
+  //   GET /api/admin/watermark[?channel=Ch120&user=demo]
+  //   ← { bits, sessions: [{ session, user, channels, segments, sequence: "ABBA…", firstSeen, lastSeen }] }
+  app.get('/api/admin/watermark', requireAdmin, (req, res) => {
+    const { channel, user } = req.query;
+    res.json({ bits: watermarks.bits, sessions: watermarks.list({ channel, user }) });
+  });
+
+  // ── Watermarks: identify a leak ───────────────────────────
+  //   POST /api/admin/watermark/decode  { channel?, observations: [{ n: 17, variant: "B" }, …] }
+  //   POST /api/admin/watermark/decode  { channel?, hashes: ["<sha256 of a captured segment>", …] }
+  //   ← { verdict: identified | inconclusive | no_match, sequence, positions, candidates: [{ session, user, matches, p, … }] }
+  app.post('/api/admin/watermark/decode', requireAdmin, (req, res) => {
+    const { channel, observations, hashes } = req.body || {};
+    if (channel && !channels.has(channel)) return res.status(404).json({ error: `Unknown channel ${channel}` });
+    const result = watermarks.decode({ channel, observations, hashes });
+    if (!result.ok) return res.status(400).json({ error: result.reason, hint: 'send observations: [{ n, variant }] or hashes: [sha256 hex]' });
+
+    const best = result.candidates[0];
+    logReq('WM_DECODE', `channel=${result.channel || 'any'} segments=${result.segments} positions=${result.positions}/${watermarks.bits} verdict=${result.verdict}` +
+      (best ? ` best=${best.user}/${best.session} matches=${best.matches} p=${best.p.toExponential(2)}` : '') + ` by=${req.session.userId}`);
+    res.json(result);
+  });
+
+  // ── CATCH ALL → serve index.html ──────────────────────────
+  if (PUBLIC_DIR) {
+    app.get('*', (req, res) => {
+      res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+    });
+  }
+
+  // ── Errors: UserError carries its own status ──────────────
+  app.use((err, req, res, next) => {
+    if (!(err instanceof UserError)) return next(err);
+    res.status(err.status).json({ error: err.message });
+  });
+
+  // ══════════════════════════════════════════════════════════
+  // TIMERS (between start() and stop())
+  // ══════════════════════════════════════════════════════════
+  function startTimers() {
+    // Drop sessions whose refresh token ran out, every 30 seconds
+    // (CDN tokens are stateless — they simply stop verifying)
+    // (a failing store adapter is logged and retried next round, never an unhandled rejection)
+    timers.push(setInterval(async () => {
+      try {
+        const cleaned = await sessionStore.cleanup();
+        if (cleaned > 0) logger.log(`[CLEANUP] Removed ${cleaned} expired session(s)`);
+      } catch (err) {
+        logReq('CLEANUP_ERR', `session store cleanup failed: ${err.message}`);
+      }
+    }, 30000));
+
+    // Stream slots whose player stopped sending heartbeats
+    timers.push(setInterval(() => {
+      for (const s of streams.sweep())
+        logReq('STREAM_TIMEOUT', `user=${s.userId} device=${s.deviceId} channel=${s.channel} (no heartbeat for ${HEARTBEAT_TIMEOUT / 1000}s)`);
+    }, 5000));
+
+    // KEY ROTATION: live channels with live.keyRotation get a new
+    // key every interval, created `lead` ahead so MPDs announce it
+    timers.push(setInterval(() => {
+      for (const ch of channels.values()) {
+        if (!ch.drm || !ch.live || !ch.live.keyRotation) continue;
+        const entry = keystore.rotateIfDue(ch.id, { ...ch.live.keyRotation, anchor: ch.live.availabilityStartTime });
+        if (entry) logReq('KEY_ROTATE', `channel=${ch.id} kid=${entry.kid.slice(0,8)}... at=${new Date(entry.activeFrom).toISOString()} (scheduled)`);
+      }
+    }, 5000));
+  }
+
+  // ══════════════════════════════════════════════════════════
+  // LIFECYCLE
+  // ══════════════════════════════════════════════════════════
+
+  /**
+   * Seed an empty user store, start the timers and, given a `port`
+   * (0 = any free one), listen.  Resolves to { port, url }, or null
+   * when mounted elsewhere instead of listening.
+   */
+  async function start({ port, host } = {}) {
+    if (started) throw new Error('dashpipe: already started');
+    started = true;
+
+    if (USERS.accounts.length || Object.keys(USERS.packages).length) {
+      const seeded = await users.seed({ packages: USERS.packages, users: USERS.accounts });
+      if (seeded) logger.log(`[USERS] Seeded ${USERS.accounts.length} account(s)${USERS.file ? ` into ${USERS.file}` : ''}`);
+    }
+    startTimers();
+    if (port === undefined || port === null) return null;
+
+    server = await new Promise((resolve, reject) => {
+      const s = app.listen(port, host, () => resolve(s)).on('error', reject);
+    });
+    const { port: bound } = server.address();
+    return { port: bound, url: `http://${!host || host === '0.0.0.0' ? '127.0.0.1' : host}:${bound}` };
+  }
+
+  /** Clear the timers, end open log streams and close the listener */
+  async function stop() {
+    started = false;
+    for (const t of timers.splice(0)) clearInterval(t);
+    for (const close of [...logStreams]) close();
+    if (!server) return;
+    const s = server;
+    server = null;
+    await new Promise(resolve => {
+      s.close(() => resolve());
+      s.closeAllConnections();
+    });
+  }
+
+  const dashpipe = {
+    app, start, stop,
+    channels, users, keystore, sessions: sessionStore,
+
+    /** Subscribe to a hook (login · proxy · license · segment · deny) */
+    on(event, listener) {
+      if (!HOOKS.includes(event)) throw new Error(`dashpipe: unknown hook "${event}" (one of ${HOOKS.join(', ')})`);
+      hooks.on(event, listener);
+      return dashpipe;
+    },
+    off(event, listener) {
+      hooks.off(event, listener);
+      return dashpipe;
+    }
+  };
+  return dashpipe;
+}
+
+/** Express 4 does not catch rejected promises — pass them to next() */
+function asyncRoute(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
+
+/**
+ * GET an upstream URL into memory: { status, headers, body } (conditional → If-None-Match / If-Modified-Since).
+ * Rejects with code ETIMEDOUT when the whole exchange takes longer than timeoutMs, so the edge
+ * cache's coalesced waiters are released instead of hanging on a stuck origin.
+ */
+function fetchUpstream(channel, upstreamPath, conditional, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'User-Agent': 'DashPipe/1.0' };
+    if (conditional && conditional.etag)         headers['If-None-Match']     = conditional.etag;
+    if (conditional && conditional.lastModified) headers['If-Modified-Since'] = conditional.lastModified;
+
+    const transport = channel.protocol === 'http' ? http : https;
+    const proxyReq = transport.request({
+      hostname: channel.hostname,
+      port: channel.port,
+      path: upstreamPath,
+      method: 'GET',
+      headers
+    }, (upstream) => {
+      const chunks = [];
+      upstream.on('data', c => chunks.push(c));
+      upstream.on('end', () => {
+        clearTimeout(timer);
+        resolve({ status: upstream.statusCode, headers: upstream.headers, body: Buffer.concat(chunks) });
+      });
+      upstream.on('error', fail);
+    });
+    const timer = timeoutMs ? setTimeout(() => {
+      const err = new Error(`origin ${channel.hostname} timed out after ${timeoutMs}ms (${upstreamPath})`);
+      err.code = 'ETIMEDOUT';
+      proxyReq.destroy(err);
+    }, timeoutMs) : null;
+    function fail(err) {
+      clearTimeout(timer);
+      reject(err);
+    }
+    proxyReq.on('error', fail);
+    proxyReq.end();
+  });
+}
+
+module.exports = { createDashpipe, HOOKS };
@@ -0,0 +1,320 @@
+/**
+ * Edge cache for /cdn/:token/seg/*
+ *
+ * Makes the simulated CDN behave like a real edge: the first player to
+ * ask for a segment pulls it from the origin, everyone after that is
+ * served from here.
+ *
+ *   memory tier   LRU bounded by maxBytes (objects over maxObjectBytes
+ *                 are never kept in memory)
+ *   disk tier     optional (dir), LRU bounded by diskMaxBytes; every
+ *                 object stored is written through, a memory miss that
+ *                 hits disk is promoted back into memory
+ *   coalescing    concurrent misses for one key share a single origin
+ *                 request
+ *   freshness     upstream Cache-Control (no-store / private → not
+ *                 cached, max-age / s-maxage → TTL, no-cache → always
+ *                 revalidate); stale entries with an ETag or
+ *                 Last-Modified are revalidated with a conditional GET
+ *
+ * Entry: { key, status, body, contentType, etag, lastModified,
+ *          cacheControl, storedAt, expiresAt, size }
+ *
+ * get(key, fetchOrigin) — fetchOrigin(conditional) → Promise<{ status, headers, body }>
+ *   conditional: { etag?, lastModified? } when revalidating; answer
+ *   status 304 (no body) if unchanged.
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+/** "public, max-age=60, s-maxage=300" → { public: true, 'max-age': 60, ... } */
+function parseCacheControl(value) {
+  const out = {};
+  for (const part of String(value || '').split(',')) {
+    const [k, v] = part.trim().toLowerCase().split('=');
+    if (k) out[k] = v === undefined ? true : Number(v.replace(/"/g, ''));
+  }
+  return out;
+}
+
+/** How long (ms) an upstream response may be served without revalidation; null = do not store */
+function freshnessOf(cc, defaultTtl) {
+  if (cc['no-store'] || cc.private) return null;
+  if (cc['no-cache']) return 0;
+  if (Number.isFinite(cc['s-maxage'])) return cc['s-maxage'] * 1000;
+  if (Number.isFinite(cc['max-age']))  return cc['max-age'] * 1000;
+  return defaultTtl;
+}
+
+/**
+ * opts: {
+ *   maxBytes        memory tier budget
+ *   maxObjectBytes  largest object kept in memory
+ *   dir             disk tier directory (optional)
+ *   diskMaxBytes    disk tier budget
+ *   defaultTtl      ms, when the origin sends no Cache-Control
+ *   now
+ * }
+ */
+function createEdgeCache({ maxBytes, maxObjectBytes = maxBytes / 8, dir, diskMaxBytes = 0, defaultTtl, now = Date.now }) {
+  const mem      = new Map();   // key → entry, in LRU order (oldest first)
+  const disk     = new Map();   // key → { file, size, meta }, in LRU order
+  const inflight = new Map();   // key → Promise
+  let memBytes  = 0;
+  let diskBytes = 0;
+
+  const stats = {
+    hits: 0, diskHits: 0, misses: 0, revalidated: 0, coalesced: 0, bypass: 0,
+    bytesFromOrigin: 0, bytesServed: 0
+  };
+
+  // ── memory tier ────────────────────────────────────────
+  function memGet(key) {
+    const e = mem.get(key);
+    if (e) { mem.delete(key); mem.set(key, e); }   // most recently used goes last
+    return e || null;
+  }
+
+  function memPut(e) {
+    memDelete(e.key);
+    if (e.size > maxObjectBytes) return;
+    mem.set(e.key, e);
+    memBytes += e.size;
+    for (const [k, old] of mem) {
+      if (memBytes <= maxBytes) break;
+      mem.delete(k);
+      memBytes -= old.size;
+    }
+  }
+
+  function memDelete(key) {
+    const e = mem.get(key);
+    if (e) { mem.delete(key); memBytes -= e.size; }
+  }
+
+  // ── disk tier ──────────────────────────────────────────
+  const fileFor = key => path.join(dir, crypto.createHash('sha1').update(key).digest('hex'));
+
+  if (dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    // Rebuild the index from the .json sidecars, oldest first
+    const found = [];
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.endsWith('.json')) continue;
+      try {
+        const meta = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+        found.push({ file: path.join(dir, name.slice(0, -5)), size: meta.size, meta });
+      } catch { /* half-written sidecar — ignore, it is overwritten on the next store */ }
+    }
+    found.sort((a, b) => a.meta.storedAt - b.meta.storedAt);
+    for (const d of found) { disk.set(d.meta.key, d); diskBytes += d.size; }
+  }
+
+  function diskPut(e) {
+    if (!dir || e.size > diskMaxBytes) return;
+    const old = disk.get(e.key);   // same file name — overwritten below, not unlinked
+    if (old) { disk.delete(e.key); diskBytes -= old.size; }
+    const file = fileFor(e.key);
+    const { body, ...meta } = e;
+    fs.writeFile(file, body, err => {
+      if (err) return;
+      fs.writeFile(file + '.json', JSON.stringify(meta), () => {});
+    });
+    disk.set(e.key, { file, size: e.size, meta });
+    diskBytes += e.size;
+    for (const [k] of disk) {
+      if (diskBytes <= diskMaxBytes) break;
+      diskDelete(k);
+    }
+  }
+
+  function diskDelete(key) {
+    const d = disk.get(key);
+    if (!d) return;
+    disk.delete(key);
+    diskBytes -= d.size;
+    fs.unlink(d.file, () => {});
+    fs.unlink(d.file + '.json', () => {});
+  }
+
+  function diskGet(key) {
+    const d = disk.get(key);
+    if (!d) return Promise.resolve(null);
+    return new Promise(resolve => fs.readFile(d.file, (err, body) => {
+      if (err || body.length !== d.size) { diskDelete(key); return resolve(null); }
+      disk.delete(key); disk.set(key, d);
+      resolve({ ...d.meta, body });
+    }));
+  }
+
+  // ── origin ─────────────────────────────────────────────
+  function store(e) {
+    memPut(e);
+    diskPut(e);
+  }
+
+  function entryFrom(key, upstream, t) {
+    const cc  = parseCacheControl(upstream.headers['cache-control']);
+    const ttl = freshnessOf(cc, defaultTtl);
+    const body = upstream.body;
+    return {
+      key,
+      status:       upstream.status,
+      body,
+      size:         body.length,
+      contentType:  upstream.headers['content-type'] || null,
+      etag:         upstream.headers.etag || `"${crypto.createHash('sha1').update(body).digest('base64url').slice(0, 27)}"`,
+      lastModified: upstream.headers['last-modified'] || null,
+      cacheControl: upstream.headers['cache-control'] || null,
+      storedAt:     t,
+      expiresAt:    ttl === null ? null : t + ttl,
+      cacheable:    ttl !== null && upstream.status === 200
+    };
+  }
+
+  /** Go to the origin (revalidating `stale` if given). Resolves to [entry, cacheStatus] */
+  async function fromOrigin(key, fetchOrigin, stale) {
+    const conditional = stale && (stale.etag || stale.lastModified)
+      ? { etag: stale.etag, lastModified: stale.lastModified }
+      : null;
+    const upstream = await fetchOrigin(conditional);
+    const t = now();
+
+    if (upstream.status === 304 && stale) {
+      const ttl = freshnessOf(parseCacheControl(upstream.headers['cache-control'] || stale.cacheControl), defaultTtl);
+      const fresh = { ...stale, storedAt: t, expiresAt: t + (ttl || 0) };
+      store(fresh);
+      stats.revalidated++;
+      return [fresh, 'REVALIDATED'];
+    }
+
+    stats.bytesFromOrigin += upstream.body.length;
+    const e = entryFrom(key, upstream, t);
+    if (e.cacheable) store(e);
+    else if (e.status === 200) stats.bypass++;
+    if (upstream.status === 200) stats.misses++;
+    return [e, e.cacheable ? 'MISS' : 'BYPASS'];
+  }
+
+  /**
+   * Look up `key`, going to the origin on a miss.
+   * Resolves to { entry, cache } where cache is HIT | MISS | REVALIDATED | BYPASS.
+   */
+  async function get(key, fetchOrigin) {
+    let e = memGet(key);
+    let tier = 'memory';
+    if (!e) {
+      e = await diskGet(key);
+      tier = 'disk';
+      if (e) memPut(e);
+    }
+
+    if (e && e.expiresAt !== null && now() < e.expiresAt) {
+      if (tier === 'disk') stats.diskHits++;
+      stats.hits++;
+      return { entry: e, cache: 'HIT', tier };
+    }
+
+    if (inflight.has(key)) {
+      stats.coalesced++;
+      stats.hits++;   // served without a trip of its own to the origin
+      const [entry, cache] = await inflight.get(key);
+      return { entry, cache: cache === 'BYPASS' ? 'BYPASS' : 'HIT', tier: 'coalesced' };
+    }
+
+    const p = fromOrigin(key, fetchOrigin, e);
+    inflight.set(key, p);
+    try {
+      const [entry, cache] = await p;
+      return { entry, cache, tier: 'origin' };
+    } finally {
+      inflight.delete(key);
+    }
+  }
+
+  /** Drop everything (or every key starting with prefix) */
+  function purge(prefix = '') {
+    const keys = new Set([...mem.keys(), ...disk.keys()].filter(k => k.startsWith(prefix)));
+    for (const key of keys) { memDelete(key); diskDelete(key); }
+    return keys.size;
+  }
+
+  function report() {
+    const lookups = stats.hits + stats.misses + stats.revalidated;
+    return {
+      ...stats,
+      hitRatio: lookups ? +((stats.hits + stats.revalidated) / lookups).toFixed(3) : null,
+      memory: { entries: mem.size, bytes: memBytes, maxBytes },
+      disk:   dir ? { entries: disk.size, bytes: diskBytes, maxBytes: diskMaxBytes, dir } : null,
+      inflight: inflight.size
+    };
+  }
+
+  return { get, purge, stats: report, countServed: n => { stats.bytesServed += n; } };
+}
+
+/** Does an If-None-Match header match this ETag (weak comparison) */
+function etagMatches(header, etag) {
+  if (!header || !etag) return false;
+  if (header.trim() === '*') return true;
+  const strip = t => t.trim().replace(/^W\//, '');
+  return header.split(',').some(t => strip(t) === strip(etag));
+}
+
+/** "bytes=0-99" / "bytes=100-" / "bytes=-100" → { start, end } | null (ignore) | false (unsatisfiable) */
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!m || (m[1] === '' && m[2] === '')) return null;   // absent, multi-range or garbage → full body
+  let start, end;
+  if (m[1] === '') { start = Math.max(0, size - Number(m[2])); end = size - 1; }
+  else { start = Number(m[1]); end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1); }
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+/**
+ * Answer a request from a cache entry: 304 for a matching If-None-Match,
+ * 206 / 416 for Range, 200 otherwise.  Returns the number of body bytes sent.
+ * opts.write(status, body) replaces res.status().send() for the body
+ * (the segment proxy uses it to impair delivery); its result — the bytes
+ * it really wrote, or a promise of them — is returned instead, since a
+ * truncated or abandoned body is shorter than the entry.
+ */
+function sendEntry(req, res, entry, cache, { now = Date.now(), write } = {}) {
+  const send = write || ((status, body) => res.status(status).send(body));
+  res.set('X-Cache', cache);
+  res.set('Accept-Ranges', 'bytes');
+  res.set('ETag', entry.etag);
+  if (entry.lastModified) res.set('Last-Modified', entry.lastModified);
+  if (entry.contentType)  res.set('Content-Type', entry.contentType);
+  res.set('Age', String(Math.max(0, Math.round((now - entry.storedAt) / 1000))));
+  res.set('Cache-Control', entry.cacheControl ||
+    (entry.expiresAt ? `public, max-age=${Math.max(0, Math.round((entry.expiresAt - now) / 1000))}` : 'no-store'));
+
+  if (etagMatches(req.headers['if-none-match'], entry.etag)) {
+    res.status(304).end();
+    return 0;
+  }
+
+  const range = parseRange(req.headers.range, entry.size);
+  if (range === false) {
+    res.set('Content-Range', `bytes */${entry.size}`);
+    res.status(416).end();
+    return 0;
+  }
+  if (range) {
+    const part = entry.body.subarray(range.start, range.end + 1);
+    res.set('Content-Range', `bytes ${range.start}-${range.end}/${entry.size}`);
+    const written = send(206, part);
+    return write ? written : part.length;
+  }
+
+  const written = send(200, entry.body);
+  return write ? written : entry.size;
+}
+
+module.exports = { createEdgeCache, sendEntry, parseCacheControl };
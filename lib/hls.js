@@ -0,0 +1,162 @@
+/**
+ * HLS playlist builder
+ *
+ * Produces a master playlist and per-rendition media playlists from the
+ * same channel definition buildMpd() uses, so every channel is playable
+ * over both DASH and HLS:
+ *
+ *   /cdn/:token/master.m3u8        → EXT-X-STREAM-INF per video rendition
+ *                                    + EXT-X-MEDIA audio group
+ *   /cdn/:token/hls/:rep.m3u8      → fMP4 media playlist (EXT-X-MAP init)
+ *
+ * Segments are the very same $Number$ files the MPD references, served
+ * through /cdn/:token/seg/.  CENC channels signal SAMPLE-AES-CTR with an
+ * identity key URI on the CDN (token checked like any other request).
+ */
+
+'use strict';
+
+/** Expand a $Number$ template */
+function segmentName(template, number) {
+  return template.replace(/\$Number(%0(\d+)d)?\$/g, (_, __, width) =>
+    width ? String(number).padStart(+width, '0') : String(number));
+}
+
+/** Find a representation (and its adaptation set) by id */
+function findRendition(channel, repId) {
+  for (const set of channel.adaptationSets) {
+    const rep = set.representations.find(r => r.id === repId);
+    if (rep) return { set, rep };
+  }
+  return null;
+}
+
+/** EXT-X-KEY / EXT-X-SESSION-KEY attributes for a CENC channel (current key) */
+function keyAttrs(urls) {
+  const kid = urls.kid();
+  return `METHOD=SAMPLE-AES-CTR,URI="${urls.key(kid)}",KEYFORMAT="identity",KEYFORMATVERSIONS="1"`;
+}
+
+/**
+ * Master playlist.
+ * urls: { media(repId), seg(name), key(kidHex) } → absolute URLs,
+ *       kid() → the channel's current KID (hex)
+ */
+function buildMasterPlaylist(channel, urls) {
+  const video = channel.adaptationSets.filter(s => s.contentType === 'video');
+  const audio = channel.adaptationSets.filter(s => s.contentType === 'audio');
+
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-INDEPENDENT-SEGMENTS'];
+  if (channel.drm && urls.kid()) lines.push(`#EXT-X-SESSION-KEY:${keyAttrs(urls)}`);
+  lines.push('');
+
+  // Audio renditions become one EXT-X-MEDIA group
+  let maxAudio = 0;
+  let audioCodec = null;
+  audio.forEach(set => set.representations.forEach((rep, i) => {
+    maxAudio   = Math.max(maxAudio, rep.bandwidth);
+    audioCodec = audioCodec || set.codecs;
+    const name = `${(set.lang || 'und').toUpperCase()} ${Math.round(rep.bandwidth / 1000)}k`;
+    lines.push(`#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="${name}",` +
+      `LANGUAGE="${set.lang || 'und'}",DEFAULT=${i === 0 ? 'YES' : 'NO'},AUTOSELECT=YES,` +
+      `URI="${urls.media(rep.id)}"`);
+  }));
+  if (audio.length) lines.push('');
+
+  if (video.length) {
+    video.forEach(set => set.representations.forEach(rep => {
+      const codecs = [set.codecs, audioCodec].filter(Boolean).join(',');
+      const attrs  = [`BANDWIDTH=${rep.bandwidth + maxAudio}`];
+      if (rep.width && rep.height) attrs.push(`RESOLUTION=${rep.width}x${rep.height}`);
+      if (codecs)        attrs.push(`CODECS="${codecs}"`);
+      if (set.frameRate) attrs.push(`FRAME-RATE=${(+set.frameRate).toFixed(3)}`);
+      if (audio.length)  attrs.push('AUDIO="aud"');
+      lines.push(`#EXT-X-STREAM-INF:${attrs.join(',')}`);
+      lines.push(urls.media(rep.id));
+    }));
+  } else {
+    // Audio-only channel: each audio rendition is a variant of its own
+    audio.forEach(set => set.representations.forEach(rep => {
+      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rep.bandwidth},CODECS="${set.codecs}"`);
+      lines.push(urls.media(rep.id));
+    }));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Media playlist for one representation.
+ *
+ * VOD: every segment of the asset, then EXT-X-ENDLIST.
+ * Live: the segments that finished inside the time-shift window at
+ * wall-clock `now`, numbered continuously across loops of the asset,
+ * with EXT-X-DISCONTINUITY where one loop wraps into the next.
+ */
+function buildMediaPlaylist(channel, repId, urls, now = Date.now()) {
+  const found = findRendition(channel, repId);
+  if (!found) return null;
+  const { set, rep } = found;
+
+  const segSec   = set.segmentDuration / set.timescale;
+  const perLoop  = Math.ceil(channel.durationSec / segSec - 1e-6);
+  const lastSec  = channel.durationSec - (perLoop - 1) * segSec;
+  const durOf    = n => (n === perLoop ? lastSec : segSec);
+
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:7',
+    `#EXT-X-TARGETDURATION:${Math.ceil(segSec)}`
+  ];
+
+  const segLines = [];
+  const pushSeg = (n) => {
+    segLines.push(`#EXTINF:${durOf(n).toFixed(3)},`);
+    segLines.push(urls.seg(segmentName(rep.media, n)));
+  };
+
+  if (!channel.live) {
+    lines.push('#EXT-X-PLAYLIST-TYPE:VOD', '#EXT-X-MEDIA-SEQUENCE:1');
+    for (let n = 1; n <= perLoop; n++) pushSeg(n);
+  } else {
+    const live    = channel.live;
+    const elapsed = (now - live.availabilityStartTime) / 1000;
+    const D       = channel.durationSec;
+    const from    = Math.max(0, elapsed - live.timeShiftBufferSec);
+
+    // Segments (loop, n) whose end lies in (from, elapsed]
+    const window = [];
+    for (let loop = Math.max(0, Math.floor(from / D)); loop * D < elapsed; loop++) {
+      for (let n = 1; n <= perLoop; n++) {
+        const end = loop * D + (n - 1) * segSec + durOf(n);
+        if (end > from && end <= elapsed) window.push({ loop, n, start: end - durOf(n) });
+      }
+    }
+    if (!window.length) {
+      // Nothing has finished yet — publish the first segment so players can wait on it
+      window.push({ loop: Math.max(0, Math.floor(elapsed / D)), n: 1, start: Math.max(0, Math.floor(elapsed / D)) * D });
+    }
+
+    const first = window[0];
+    lines.push(`#EXT-X-MEDIA-SEQUENCE:${first.loop * perLoop + first.n}`);
+    lines.push(`#EXT-X-DISCONTINUITY-SEQUENCE:${first.loop}`);
+    segLines.push(`#EXT-X-PROGRAM-DATE-TIME:${new Date(live.availabilityStartTime + first.start * 1000).toISOString()}`);
+    window.forEach((seg, i) => {
+      if (i > 0 && seg.loop !== window[i - 1].loop) {
+        segLines.push('#EXT-X-DISCONTINUITY');
+        segLines.push(`#EXT-X-PROGRAM-DATE-TIME:${new Date(live.availabilityStartTime + seg.start * 1000).toISOString()}`);
+      }
+      pushSeg(seg.n);
+    });
+  }
+
+  lines.push('#EXT-X-INDEPENDENT-SEGMENTS');
+  if (channel.drm && set.contentType !== 'text' && urls.kid()) lines.push(`#EXT-X-KEY:${keyAttrs(urls)}`);
+  if (rep.initialization) lines.push(`#EXT-X-MAP:URI="${urls.seg(rep.initialization)}"`);
+  lines.push('', ...segLines);
+  if (!channel.live) lines.push('#EXT-X-ENDLIST');
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { buildMasterPlaylist, buildMediaPlaylist, segmentName };
@@ -0,0 +1,218 @@
+/**
+ * Network impairments for the segment proxy
+ *
+ * Makes segments arrive the way they do on a bad network, so ABR
+ * switching can be watched and provoked.  A profile describes the
+ * conditions, a rule applies one to a scope:
+ *
+ *   Profile: { bandwidthKbps   throttle the body to this rate
+ *              latencyMs       added before the response starts
+ *              jitterMs        ± random extra latency
+ *              errorRate       0..1 chance of answering errorStatus (default 503)
+ *              notFoundRate    0..1 chance of answering 404
+ *              stallRate       0..1 chance the body pauses stallMs (default 8000) part-way
+ *              truncateRate    0..1 chance the body is cut short (connection reset) }
+ *
+ *   Timeline: { timeline: [{ seconds, profile }], loop }
+ *             each step's profile is a name or an inline profile; the
+ *             clock starts when the rule is set, the last step holds
+ *             unless loop is true ("3 Mbps for 20s then 300 kbps")
+ *
+ *   Scopes:   session:<sid>   the CDN token's sid claim
+ *             channel:<id>
+ *             node:<id>       a CDN node
+ *   The most specific matching rule wins: session, then channel, then node.
+ */
+
+'use strict';
+
+const SCOPES   = ['session', 'channel', 'node'];
+const CHUNK    = 16 * 1024;   // throttled bodies are written in pieces this size
+const FIELDS   = ['bandwidthKbps', 'latencyMs', 'jitterMs', 'errorRate', 'errorStatus',
+                  'notFoundRate', 'stallRate', 'stallMs', 'truncateRate'];
+const RATES    = ['errorRate', 'notFoundRate', 'stallRate', 'truncateRate'];
+
+const PRESETS = {
+  '3g':        { bandwidthKbps: 1600, latencyMs: 150, jitterMs: 80 },
+  '2g':        { bandwidthKbps: 250, latencyMs: 400, jitterMs: 200 },
+  'lossy':     { latencyMs: 50, errorRate: 0.05, notFoundRate: 0.02 },
+  'flaky':     { stallRate: 0.1, stallMs: 6000, truncateRate: 0.05 },
+  'ramp-down': { timeline: [
+    { seconds: 20, profile: { bandwidthKbps: 3000 } },
+    { seconds: 20, profile: { bandwidthKbps: 300 } }
+  ], loop: true }
+};
+
+/** Reason a plain profile is invalid, or null */
+function profileError(p) {
+  if (!p || typeof p !== 'object' || Array.isArray(p)) return 'profile must be an object';
+  const unknown = Object.keys(p).filter(k => !FIELDS.includes(k));
+  if (unknown.length) return `unknown profile field(s) ${unknown.join(', ')} (allowed: ${FIELDS.join(', ')})`;
+  for (const k of FIELDS) {
+    if (p[k] === undefined) continue;
+    if (!Number.isFinite(p[k]) || p[k] < 0) return `${k} must be a non-negative number`;
+    if (RATES.includes(k) && p[k] > 1) return `${k} must be between 0 and 1`;
+  }
+  if (p.bandwidthKbps === 0) return 'bandwidthKbps must be above 0 (omit it for no throttle)';
+  if (p.errorStatus !== undefined && (p.errorStatus < 500 || p.errorStatus > 599)) return 'errorStatus must be a 5xx status';
+  return null;
+}
+
+/** opts: { random, now } */
+function createImpairments({ random = Math.random, now = Date.now } = {}) {
+  const profiles = new Map(Object.entries(PRESETS));
+  const rules    = new Map();   // "scope:id" → { scope, id, spec, since }
+
+  /** Plain profile for a name or inline object, or null */
+  function plain(ref) {
+    const p = typeof ref === 'string' ? profiles.get(ref) : ref;
+    return p && !p.timeline ? p : null;
+  }
+
+  /** Reason a rule/profile spec is invalid, or null */
+  function specError(spec) {
+    if (typeof spec === 'string') return profiles.has(spec) ? null : `unknown profile ${spec}`;
+    if (!spec || !spec.timeline) return profileError(spec);
+    if (!Array.isArray(spec.timeline) || !spec.timeline.length) return 'timeline must be a non-empty array of { seconds, profile }';
+    for (const [i, step] of spec.timeline.entries()) {
+      if (!(Number.isFinite(step.seconds) && step.seconds > 0)) return `timeline[${i}].seconds must be a positive number`;
+      if (typeof step.profile === 'string' && !plain(step.profile))
+        return `timeline[${i}].profile ${step.profile} is not a plain profile`;
+      if (typeof step.profile !== 'string') {
+        const err = profileError(step.profile);
+        if (err) return `timeline[${i}]: ${err}`;
+      }
+    }
+    return null;
+  }
+
+  /** The profile in force for a rule right now: { profile, name, step } */
+  function current(rule) {
+    const spec = typeof rule.spec === 'string' ? profiles.get(rule.spec) : rule.spec;
+    const name = typeof rule.spec === 'string' ? rule.spec : 'custom';
+    if (!spec) return null;   // named profile since replaced by something unusable
+    if (!spec.timeline) return { profile: spec, name, step: null };
+
+    const total = spec.timeline.reduce((sum, s) => sum + s.seconds, 0);
+    let t = (now() - rule.since) / 1000;
+    if (spec.loop) t %= total;
+    let i = 0;
+    while (i < spec.timeline.length - 1 && t >= spec.timeline[i].seconds) t -= spec.timeline[i++].seconds;
+    const ref = spec.timeline[i].profile;
+    const step = `${i + 1}/${spec.timeline.length}` + (typeof ref === 'string' ? ` ${ref}` : '');
+    return { profile: plain(ref) || {}, name, step };
+  }
+
+  /** Apply spec (profile name, inline profile or timeline) to scope:id. Returns { ok, reason } */
+  function set(scope, id, spec) {
+    if (!SCOPES.includes(scope)) return { ok: false, reason: `scope must be one of ${SCOPES.join(', ')}` };
+    const err = specError(spec);
+    if (err) return { ok: false, reason: err };
+    rules.set(`${scope}:${id}`, { scope, id, spec, since: now() });
+    return { ok: true };
+  }
+
+  function clear(scope, id) {
+    if (scope === undefined) { const n = rules.size; rules.clear(); return n; }
+    return rules.delete(`${scope}:${id}`) ? 1 : 0;
+  }
+
+  /** Define (or replace) a named profile or timeline. Returns { ok, reason } */
+  function define(name, spec) {
+    if (typeof spec === 'string') return { ok: false, reason: 'a profile cannot be an alias of another' };
+    const err = specError(spec);
+    if (err) return { ok: false, reason: err };
+    profiles.set(name, spec);
+    return { ok: true };
+  }
+
+  /**
+   * What to do to one segment request.  ctx: { session, channel, node }.
+   * Returns null (no rule) or { rule, name, step, latencyMs, error,
+   * bandwidthKbps, stall, truncateAt, effects } — random draws are made
+   * here so the caller can log exactly what was injected.
+   */
+  function decide({ session, channel, node }) {
+    const rule = rules.get(`session:${session}`) || rules.get(`channel:${channel}`) || rules.get(`node:${node}`);
+    if (!rule) return null;
+    const active = current(rule);
+    if (!active) return null;
+    const p = active.profile;
+
+    const effects = [];
+    const latencyMs = Math.max(0, Math.round((p.latencyMs || 0) + (p.jitterMs ? (random() * 2 - 1) * p.jitterMs : 0)));
+    if (latencyMs) effects.push(`latency=${latencyMs}ms`);
+
+    let error = null;
+    if (p.errorRate && random() < p.errorRate) error = p.errorStatus || 503;
+    else if (p.notFoundRate && random() < p.notFoundRate) error = 404;
+    if (error) effects.push(`status=${error}`);
+
+    const bandwidthKbps = error ? null : p.bandwidthKbps || null;
+    if (bandwidthKbps) effects.push(`throttle=${bandwidthKbps}kbps`);
+
+    const stall = !error && p.stallRate && random() < p.stallRate
+      ? { ms: p.stallMs ?? 8000, at: random() } : null;
+    if (stall) effects.push(`stall=${stall.ms}ms@${Math.round(stall.at * 100)}%`);
+
+    const truncateAt = !error && p.truncateRate && random() < p.truncateRate ? random() * 0.9 : null;
+    if (truncateAt !== null) effects.push(`truncate@${Math.round(truncateAt * 100)}%`);
+
+    return { rule: `${rule.scope}:${rule.id}`, name: active.name, step: active.step, latencyMs, error, bandwidthKbps, stall, truncateAt, effects };
+  }
+
+  function list() {
+    return {
+      profiles: Object.fromEntries(profiles),
+      rules: [...rules.values()].map(r => {
+        const c = current(r);
+        return {
+          scope: r.scope, id: r.id, spec: r.spec, since: new Date(r.since).toISOString(),
+          active: c ? { name: c.name, step: c.step, profile: c.profile } : null
+        };
+      })
+    };
+  }
+
+  return { set, clear, define, decide, list, size: () => rules.size };
+}
+
+/**
+ * Write `body` with status under an impairment decision: throttled to
+ * bandwidthKbps, paused once for stall.ms, and/or cut off at truncateAt
+ * (the connection is destroyed, so the player sees a short read).
+ * Resolves to the number of body bytes written.
+ */
+function writeImpaired(res, status, body, { bandwidthKbps, stall, truncateAt }) {
+  const cutAt    = truncateAt !== null ? Math.floor(body.length * truncateAt) : body.length;
+  const stallAt  = stall ? Math.floor(body.length * stall.at) : -1;
+  const perMs    = bandwidthKbps ? bandwidthKbps / 8 : 0;   // bytes per ms
+  let offset  = 0;
+  let stalled = !stall;
+  let closed  = false;
+
+  res.status(status);
+  res.set('Content-Length', String(body.length));
+  res.flushHeaders();
+  res.on('close', () => { closed = true; });
+
+  return new Promise(resolve => {
+    function next() {
+      if (closed) return resolve(offset);
+      if (!stalled && offset >= stallAt) { stalled = true; return setTimeout(next, stall.ms); }
+      if (offset >= cutAt) {
+        if (cutAt < body.length) res.destroy();
+        else res.end();
+        return resolve(offset);
+      }
+      const end   = Math.min(offset + CHUNK, cutAt, stalled ? Infinity : stallAt);
+      const chunk = body.subarray(offset, end);
+      offset = end;
+      res.write(chunk);
+      setTimeout(next, perMs ? chunk.length / perMs : 0);
+    }
+    next();
+  });
+}
+
+module.exports = { createImpairments, writeImpaired, SCOPES, PRESETS };
@@ -0,0 +1,186 @@
+/**
+ * ClearKey key store
+ *
+ * Holds every KID/key pair per channel, replacing the hardcoded
+ * CLEARKEYS table.  buildMpd(), the HLS key URI and /license all read
+ * from here.  The store is persisted to one file, encrypted at rest
+ * with AES-256-GCM under a key derived (scrypt) from the master key:
+ *
+ *   { "version": 1, "salt": "..", "iv": "..", "tag": "..", "data": ".." }
+ *
+ * Entry: { channel, kid, key, status, source, createdAt, activeFrom }
+ *   status      'active' | 'disabled'
+ *   activeFrom  ms epoch — the key becomes the channel's current key
+ *               (cenc:default_KID) from this instant; keys with a future
+ *               activeFrom are "announced" ahead of a rotation; null
+ *               means standby (generated but not scheduled yet)
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+/** Derive the file-encryption key from the master secret */
+function deriveKey(masterKey, salt) {
+  return crypto.scryptSync(String(masterKey), salt, 32);
+}
+
+function encrypt(masterKey, plain) {
+  const salt   = crypto.randomBytes(16);
+  const iv     = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(masterKey, salt), iv);
+  const data   = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return {
+    version: 1,
+    salt: salt.toString('base64'),
+    iv:   iv.toString('base64'),
+    tag:  cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(masterKey, box) {
+  if (!box || box.version !== 1) throw new Error('unsupported key store format');
+  const decipher = crypto.createDecipheriv('aes-256-gcm',
+    deriveKey(masterKey, Buffer.from(box.salt, 'base64')), Buffer.from(box.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/** Entry without key material, for listings */
+function publicEntry(e) {
+  const { key, ...rest } = e;
+  return rest;
+}
+
+/**
+ * Create a key store backed by `file`.
+ * opts: { file, masterKey, now }   (now() defaults to Date.now)
+ */
+function createKeyStore({ file, masterKey, now = Date.now }) {
+  let entries = [];
+
+  if (file && fs.existsSync(file)) {
+    let plain;
+    try { plain = decrypt(masterKey, JSON.parse(fs.readFileSync(file, 'utf8'))); }
+    catch (err) {
+      throw new Error(`keystore: cannot decrypt ${file} — wrong KEYSTORE_MASTER_KEY? (${err.message})`);
+    }
+    entries = JSON.parse(plain).entries || [];
+  }
+
+  /** Write atomically: temp file + rename */
+  function save() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(encrypt(masterKey, JSON.stringify({ entries }))), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  function get(channelId, kid) {
+    return entries.find(e => e.channel === channelId && e.kid === kid) || null;
+  }
+
+  function hasKid(kid) {
+    return entries.some(e => e.kid === kid);
+  }
+
+  function list(channelId) {
+    return entries
+      .filter(e => !channelId || e.channel === channelId)
+      .sort((a, b) => (a.activeFrom ?? Infinity) - (b.activeFrom ?? Infinity))
+      .map(publicEntry);
+  }
+
+  /** Add a fresh random KID/key pair. Returns the full entry (with key) */
+  function generate(channelId, { activeFrom = now(), source = 'generated' } = {}) {
+    const entry = {
+      channel:    channelId,
+      kid:        crypto.randomBytes(16).toString('hex'),
+      key:        crypto.randomBytes(16).toString('hex'),
+      status:     'active',
+      source,
+      createdAt:  now(),
+      activeFrom
+    };
+    entries.push(entry);
+    save();
+    return entry;
+  }
+
+  /**
+   * Import the catalog's keys for a channel the first time it is seen.
+   * A DRM channel with no keys anywhere gets a generated one.
+   */
+  function seed(channelId, keys, drm) {
+    if (entries.some(e => e.channel === channelId)) return false;
+    const pairs = Object.entries(keys || {});
+    if (!pairs.length) {
+      if (drm) generate(channelId, { activeFrom: 0, source: 'seed' });
+      return drm;
+    }
+    for (const [kid, key] of pairs) {
+      entries.push({ channel: channelId, kid, key, status: 'active', source: 'catalog', createdAt: now(), activeFrom: 0 });
+    }
+    save();
+    return true;
+  }
+
+  function setStatus(channelId, kid, status) {
+    const e = get(channelId, kid);
+    if (!e) return null;
+    e.status = status;
+    save();
+    return publicEntry(e);
+  }
+
+  /** Active, scheduled keys of a channel, oldest activation first */
+  function activeKeys(channelId) {
+    return entries
+      .filter(e => e.channel === channelId && e.status === 'active' && e.activeFrom != null)
+      .sort((a, b) => a.activeFrom - b.activeFrom);
+  }
+
+  /** The key in force at time t (latest activeFrom <= t) */
+  function current(channelId, t = now()) {
+    const live = activeKeys(channelId).filter(e => e.activeFrom <= t);
+    return live[live.length - 1] || null;
+  }
+
+  /** Every key in force at some point in [from, to]: current(from) first, then later ones */
+  function keysBetween(channelId, from, to) {
+    const cur = current(channelId, from);
+    const later = activeKeys(channelId).filter(e => e.activeFrom > from && e.activeFrom <= to);
+    return cur ? [cur, ...later] : later;
+  }
+
+  /** Schedule a key (standby or already scheduled) to take over at activeFrom */
+  function schedule(channelId, kid, activeFrom) {
+    const e = get(channelId, kid);
+    if (!e) return null;
+    e.activeFrom = activeFrom;
+    e.status     = 'active';
+    save();
+    return publicEntry(e);
+  }
+
+  /**
+   * Periodic rotation for live channels: keys switch every intervalMs,
+   * on boundaries counted from anchor.  The next key is created leadMs
+   * before its boundary so manifests can announce it.  Returns the new
+   * entry, or null when nothing was due.
+   */
+  function rotateIfDue(channelId, { intervalMs, leadMs, anchor }, t = now()) {
+    const next = anchor + (Math.floor((t - anchor) / intervalMs) + 1) * intervalMs;
+    if (t < next - leadMs) return null;
+    if (activeKeys(channelId).some(e => e.activeFrom >= next)) return null;
+    return generate(channelId, { activeFrom: next, source: 'rotation' });
+  }
+
+  return { get, hasKid, list, generate, seed, setStatus, schedule, current, keysBetween, rotateIfDue };
+}
+
+module.exports = { createKeyStore };
@@ -0,0 +1,67 @@
+/**
+ * Local on-disk origin
+ *
+ * Reads segments, init segments and manifests for channels whose
+ * origin is "local", straight from a content directory.  Lets the
+ * whole pipeline run with no network at all.
+ *
+ *   content/
+ *   └── Ch120/
+ *       ├── v-0144p-0100k-libx264-init.mp4
+ *       ├── v-0144p-0100k-libx264-1.m4s
+ *       └── ...
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.mp4':  'video/mp4',
+  '.m4s':  'video/iso.segment',
+  '.m4v':  'video/mp4',
+  '.m4a':  'audio/mp4',
+  '.mpd':  'application/dash+xml',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.vtt':  'text/vtt',
+  '.ttml': 'application/ttml+xml'
+};
+
+/** Content-Type for a file in the content directory */
+function contentTypeFor(file) {
+  return CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Resolve relPath inside root. Returns null when the path escapes the
+ * content directory (../ tricks) so callers can answer 404.
+ */
+function resolveInside(root, relPath) {
+  const full = path.resolve(root, relPath);
+  if (full !== root && !full.startsWith(root + path.sep)) return null;
+  return full;
+}
+
+/**
+ * Read one file from a channel's content directory, in the shape the
+ * edge cache expects from an origin: { status, headers, body }.
+ * conditional.lastModified → 304 when the file has not changed.
+ */
+function readLocalFile(root, relPath, conditional) {
+  return new Promise((resolve, reject) => {
+    const full = resolveInside(path.resolve(root), relPath);
+    const notFound = { status: 404, headers: {}, body: Buffer.alloc(0) };
+    if (!full) return resolve(notFound);
+
+    fs.stat(full, (err, st) => {
+      if (err || !st.isFile()) return resolve(notFound);
+      const headers = { 'content-type': contentTypeFor(full), 'last-modified': st.mtime.toUTCString() };
+      if (conditional && conditional.lastModified === headers['last-modified'])
+        return resolve({ status: 304, headers, body: Buffer.alloc(0) });
+      fs.readFile(full, (e, body) => (e ? reject(e) : resolve({ status: 200, headers, body })));
+    });
+  });
+}
+
+module.exports = { readLocalFile, contentTypeFor };
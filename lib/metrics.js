@@ -0,0 +1,123 @@
+/**
+ * Prometheus metrics
+ *
+ * A small registry rendering the text exposition format (0.0.4) for
+ * GET /metrics — counters, histograms and gauges read at scrape time.
+ *
+ *   const m = createRegistry({ prefix: 'dashpipe_' });
+ *   const logins = m.counter('logins_total', 'Login attempts', ['result']);
+ *   logins.inc({ result: 'ok' });
+ *   const lat = m.histogram('upstream_latency_seconds', 'Origin fetch time', ['channel'], [0.05, 0.1, 0.5]);
+ *   const end = lat.startTimer({ channel: 'Ch120' }); …; end();
+ *   m.gauge('active_streams', 'Stream slots in use', () => streams.size());
+ *   res.type(CONTENT_TYPE).send(await m.render());
+ *
+ * Gauge collectors return a number, [{ labels, value }], or a Promise of either.
+ */
+
+'use strict';
+
+const CONTENT_TYPE    = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const NAME_RE         = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+const escapeLabel = v => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/** { a: 1, b: 'x' } → '{a="1",b="x"}' ('' when empty) */
+function labelString(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+/** Number as Prometheus prints it */
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isNaN(v) ? 'NaN' : String(v);
+}
+
+function createRegistry({ prefix = '' } = {}) {
+  const metrics = new Map();   // full name → metric
+
+  function register(name, help, type, extra) {
+    const full = prefix + name;
+    if (!NAME_RE.test(full)) throw new Error(`metrics: invalid name ${full}`);
+    if (metrics.has(full)) throw new Error(`metrics: ${full} registered twice`);
+    const m = { name: full, help, type, ...extra };
+    metrics.set(full, m);
+    return m;
+  }
+
+  /** Series key + normalised labels (only declared names, in order) */
+  function seriesOf(labelNames, labels = {}) {
+    const picked = {};
+    for (const l of labelNames) picked[l] = labels[l] === undefined ? '' : String(labels[l]);
+    return { key: labelNames.map(l => picked[l]).join('\u0001'), labels: picked };
+  }
+
+  function counter(name, help, labelNames = []) {
+    const m = register(name, help, 'counter', { series: new Map() });
+    return {
+      inc(labels, n = 1) {
+        const s = seriesOf(labelNames, labels);
+        const cur = m.series.get(s.key) || { labels: s.labels, value: 0 };
+        cur.value += n;
+        m.series.set(s.key, cur);
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const m = register(name, help, 'histogram', { series: new Map(), bounds });
+    function observe(labels, v) {
+      const s = seriesOf(labelNames, labels);
+      let cur = m.series.get(s.key);
+      if (!cur) m.series.set(s.key, cur = { labels: s.labels, counts: bounds.map(() => 0), sum: 0, count: 0 });
+      for (let i = 0; i < bounds.length; i++) if (v <= bounds[i]) cur.counts[i]++;
+      cur.sum += v;
+      cur.count++;
+    }
+    return {
+      observe,
+      /** Returns end(extraLabels) which observes the elapsed seconds */
+      startTimer(labels = {}) {
+        const t0 = process.hrtime.bigint();
+        return extra => observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - t0) / 1e9);
+      }
+    };
+  }
+
+  function gauge(name, help, collect) {
+    register(name, help, 'gauge', { collect });
+  }
+
+  /** Text exposition of every metric */
+  async function render() {
+    const out = [];
+    for (const m of metrics.values()) {
+      out.push(`# HELP ${m.name} ${m.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      out.push(`# TYPE ${m.name} ${m.type}`);
+
+      if (m.type === 'counter') {
+        for (const s of m.series.values()) out.push(`${m.name}${labelString(s.labels)} ${formatValue(s.value)}`);
+      } else if (m.type === 'histogram') {
+        for (const s of m.series.values()) {
+          m.bounds.forEach((b, i) => out.push(`${m.name}_bucket${labelString({ ...s.labels, le: formatValue(b) })} ${s.counts[i]}`));
+          out.push(`${m.name}_bucket${labelString({ ...s.labels, le: '+Inf' })} ${s.count}`);
+          out.push(`${m.name}_sum${labelString(s.labels)} ${formatValue(s.sum)}`);
+          out.push(`${m.name}_count${labelString(s.labels)} ${s.count}`);
+        }
+      } else {
+        const v = await m.collect();
+        const series = Array.isArray(v) ? v : [{ labels: {}, value: v }];
+        for (const s of series) out.push(`${m.name}${labelString(s.labels || {})} ${formatValue(+s.value)}`);
+      }
+    }
+    return out.join('\n') + '\n';
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = { createRegistry, CONTENT_TYPE, DEFAULT_BUCKETS };
@@ -0,0 +1,260 @@
+/**
+ * Manifest rewriting for upstream MPDs
+ *
+ * Channels with "manifest": { "source": "upstream", "path": "dash.mpd" }
+ * serve the origin's own MPD instead of one built from the catalog.  It
+ * is parsed (lib/xml.js) and passed through the channel's chain of
+ * named transforms, in order:
+ *
+ *   base-url          segments → our CDN nodes: one MPD-level BaseURL per
+ *                     node, absolute origin URLs made relative, Location
+ *                     dropped (players must come back to us)
+ *   license           ClearKey laurl → our /license (added where missing,
+ *                     with a ClearKey ContentProtection for cenc-only sets)
+ *   clearkey-only     drops Widevine / PlayReady / … ContentProtection,
+ *                     which this server cannot license
+ *   tier-cap          drops video Representations above the user's
+ *                     package cap: { tiers: { basic: { maxHeight: 480 } }, default }
+ *   drop-unsupported  drops AdaptationSets and Representations whose type,
+ *                     mimeType or codec is not allowed
+ *
+ *   "transforms": ["base-url", "license", { "name": "tier-cap", "tiers": { … } }]
+ *
+ * A transform is (doc, opts, ctx) → void and edits the tree in place.
+ * ctx: {
+ *   upstreamUrl  absolute URL the MPD was fetched from
+ *   segRoot      absolute URL that /cdn/:token/seg/ maps to (origin + basePath + "/")
+ *   nodes        [{ id, weight, base }] CDN node segment bases, primary first
+ *   licUrl       our license URL for this CDN token
+ *   user         public user ({ role, packages }) or null
+ *   note(msg)    record what a transform changed or could not do
+ * }
+ */
+
+'use strict';
+
+const {
+  parseXml, serialize, localName, elements, descendants, textOf, setText,
+  element, remove, insertBefore, rootOf
+} = require('./xml');
+
+const CLEARKEY      = ['urn:uuid:e2719d58-a985-b3c9-781a-b030af78d30e', 'urn:uuid:1077efec-c0b2-4d02-ace3-3c1e52e2fb4b'];
+const MP4PROTECTION = 'urn:mpeg:dash:mp4protection:2011';
+const SCHEME        = /^[a-z][a-z0-9+.-]*:/i;
+
+// Attributes that may hold segment URLs, per element
+const URL_ATTRS = {
+  SegmentTemplate:     ['media', 'initialization', 'index'],
+  Initialization:      ['sourceURL'],
+  RepresentationIndex: ['sourceURL'],
+  SegmentURL:          ['media', 'index']
+};
+
+const SUPPORTED = {
+  contentTypes: ['video', 'audio', 'text'],
+  mimeTypes:    ['video/mp4', 'audio/mp4', 'application/mp4', 'text/vtt', 'application/ttml+xml'],
+  codecs:       ['avc1', 'avc3', 'mp4a', 'wvtt', 'stpp']
+};
+
+const DEFAULT_CHAIN = ['base-url', 'license', 'clearkey-only', 'drop-unsupported'];
+
+/** url relative to root if it lies below it, else null */
+function under(root, url) {
+  return url.startsWith(root) ? url.slice(root.length) : null;
+}
+
+const schemeOf = cp => (cp.attrs.schemeIdUri || '').toLowerCase();
+
+/** video | audio | text | image | … for an AdaptationSet */
+function typeOf(set) {
+  if (set.attrs.contentType) return set.attrs.contentType;
+  const rep  = elements(set, 'Representation')[0];
+  const mime = set.attrs.mimeType || (rep && rep.attrs.mimeType) || '';
+  if (mime === 'application/ttml+xml' || /^(stpp|wvtt)/.test(set.attrs.codecs || (rep && rep.attrs.codecs) || '')) return 'text';
+  return mime.split('/')[0];
+}
+
+// ══════════════════════════════════════════════════════════
+// TRANSFORMS
+// ══════════════════════════════════════════════════════════
+
+function baseUrl(doc, opts, ctx) {
+  const mpd = rootOf(doc);
+  const manifestDir = new URL('.', ctx.upstreamUrl).href;
+
+  // Where the upstream MPD-level BaseURL points, relative to the channel's segment root
+  const own  = elements(mpd, 'BaseURL');
+  const base = own.length ? new URL(textOf(own[0]).trim(), manifestDir).href : manifestDir;
+  const rel  = under(ctx.segRoot, base);
+  if (rel === null) throw new Error(`MPD BaseURL ${base} is outside the channel origin ${ctx.segRoot}`);
+
+  for (const el of [...own, ...elements(mpd, 'Location'), ...elements(mpd, 'PatchLocation')]) remove(mpd, el);
+
+  const first = elements(mpd).find(el => localName(el.name) !== 'ProgramInformation') || null;
+  mpd.attrs['xmlns:dvb'] = mpd.attrs['xmlns:dvb'] || 'urn:dvb:dash:dash-extensions:2014-1';
+  ctx.nodes.forEach((n, i) => insertBefore(mpd, element('BaseURL', {
+    serviceLocation: n.id, 'dvb:priority': String(i + 1), 'dvb:weight': String(n.weight)
+  }, n.base + rel), first));
+
+  // Absolute URLs further down: below the parent's base → relative (keeps
+  // failover); elsewhere on the origin → the primary node; other hosts stay
+  const map = (url, parentBase) => {
+    const r = under(parentBase, url);
+    if (r !== null) return r;
+    const s = under(ctx.segRoot, url);
+    if (s !== null) return ctx.nodes[0].base + s;
+    ctx.note(`${url} is not on the channel origin — left as is`);
+    return url;
+  };
+
+  (function walk(el, parentBase) {
+    for (const child of elements(el)) {
+      const name = localName(child.name);
+      if (name === 'BaseURL') continue;
+      let effective = parentBase;
+      const b = elements(child, 'BaseURL')[0];
+      if (b) {
+        const url = textOf(b).trim();
+        effective = new URL(url, parentBase).href;
+        if (SCHEME.test(url)) setText(b, map(effective, parentBase));
+      }
+      for (const attr of URL_ATTRS[name] || []) {
+        if (child.attrs[attr] && SCHEME.test(child.attrs[attr])) child.attrs[attr] = map(child.attrs[attr], effective);
+      }
+      walk(child, effective);
+    }
+  })(mpd, base);
+}
+
+function license(doc, opts, ctx) {
+  const mpd = rootOf(doc);
+  for (const el of [...descendants(mpd, 'AdaptationSet'), ...descendants(mpd, 'Representation')]) {
+    const cps = elements(el, 'ContentProtection');
+    if (!cps.length) continue;
+
+    let clearkey = cps.filter(cp => CLEARKEY.includes(schemeOf(cp)));
+    const cenc = cps.find(cp => schemeOf(cp) === MP4PROTECTION);
+    if (!clearkey.length && cenc && opts.add !== false) {
+      const ck = element('ContentProtection', { schemeIdUri: CLEARKEY[0], value: 'ClearKey1.0' });
+      const kids = elements(el);
+      insertBefore(el, ck, kids[kids.indexOf(cps[cps.length - 1]) + 1] || null);
+      clearkey = [ck];
+      ctx.note('added ClearKey ContentProtection');
+    }
+
+    for (const cp of clearkey) {
+      const laurls = elements(cp, 'laurl');
+      if (laurls.length) laurls.forEach(l => setText(l, ctx.licUrl));
+      else insertBefore(cp, element('dashif:laurl', { 'xmlns:dashif': 'https://dashif.org/CPS', licenseType: 'temporary' }, ctx.licUrl), null);
+    }
+  }
+}
+
+function clearkeyOnly(doc, opts, ctx) {
+  const mpd = rootOf(doc);
+  for (const el of [...descendants(mpd, 'AdaptationSet'), ...descendants(mpd, 'Representation')]) {
+    for (const cp of elements(el, 'ContentProtection')) {
+      const scheme = schemeOf(cp);
+      if (scheme.startsWith('urn:uuid:') && !CLEARKEY.includes(scheme)) {
+        remove(el, cp);
+        ctx.note(`dropped ${cp.attrs.value || scheme}`);
+      }
+    }
+  }
+}
+
+/** { maxHeight, maxBandwidth } for a user, null = uncapped. The most generous package wins */
+function capFor(user, { tiers = {}, default: fallback = null }) {
+  if (user && user.role === 'admin') return null;
+  const caps = ((user && user.packages) || []).filter(p => tiers[p]).map(p => tiers[p]);
+  if (!caps.length) return fallback;
+  const most = k => (caps.some(c => !c[k]) ? null : Math.max(...caps.map(c => c[k])));
+  return { maxHeight: most('maxHeight'), maxBandwidth: most('maxBandwidth') };
+}
+
+function tierCap(doc, opts, ctx) {
+  const cap = capFor(ctx.user, opts);
+  if (!cap || (!cap.maxHeight && !cap.maxBandwidth)) return;
+
+  for (const set of descendants(rootOf(doc), 'AdaptationSet')) {
+    if (typeOf(set) !== 'video') continue;
+    const reps = elements(set, 'Representation');
+    const over = reps.filter(r =>
+      (cap.maxHeight && +(r.attrs.height || set.attrs.height || 0) > cap.maxHeight) ||
+      (cap.maxBandwidth && +r.attrs.bandwidth > cap.maxBandwidth));
+    // Never empty a set: the lowest bitrate stays even if it is over the cap
+    if (over.length === reps.length) over.sort((a, b) => a.attrs.bandwidth - b.attrs.bandwidth).shift();
+    if (!over.length) continue;
+
+    over.forEach(r => remove(set, r));
+    for (const a of ['maxWidth', 'maxHeight', 'maxBandwidth']) delete set.attrs[a];
+    ctx.note(`removed ${over.map(r => r.attrs.id).join(', ')} (cap ${cap.maxHeight ? cap.maxHeight + 'p' : ''}${cap.maxBandwidth ? ' ' + cap.maxBandwidth + 'bps' : ''})`);
+  }
+}
+
+function dropUnsupported(doc, opts, ctx) {
+  const contentTypes = opts.contentTypes || SUPPORTED.contentTypes;
+  const mimeTypes    = opts.mimeTypes    || SUPPORTED.mimeTypes;
+  const codecs       = opts.codecs       || SUPPORTED.codecs;
+  const codecOk = list => list.split(',').every(c => codecs.some(p => c.trim().startsWith(p)));
+
+  for (const period of elements(rootOf(doc), 'Period')) {
+    for (const set of elements(period, 'AdaptationSet')) {
+      const type = typeOf(set);
+      const mime = set.attrs.mimeType;
+      if (!contentTypes.includes(type) || (mime && !mimeTypes.includes(mime))) {
+        remove(period, set);
+        ctx.note(`dropped AdaptationSet ${set.attrs.id || ''} (${type || '?'} ${mime || ''})`.replace(/\s+\)/, ')'));
+        continue;
+      }
+      for (const rep of elements(set, 'Representation')) {
+        const c = rep.attrs.codecs || set.attrs.codecs;
+        const m = rep.attrs.mimeType;
+        if ((c && !codecOk(c)) || (m && !mimeTypes.includes(m))) {
+          remove(set, rep);
+          ctx.note(`dropped Representation ${rep.attrs.id} (${c || m})`);
+        }
+      }
+      if (!elements(set, 'Representation').length) remove(period, set);
+    }
+  }
+}
+
+const TRANSFORMS = {
+  'base-url':         baseUrl,
+  'license':          license,
+  'clearkey-only':    clearkeyOnly,
+  'tier-cap':         tierCap,
+  'drop-unsupported': dropUnsupported
+};
+
+/** ["base-url", { name, …opts }] → [{ name, …opts }]. Throws on unknown transforms */
+function normalizeChain(list = DEFAULT_CHAIN) {
+  if (!Array.isArray(list)) throw new Error('manifest.transforms must be an array');
+  return list.map(step => {
+    const s = typeof step === 'string' ? { name: step } : step;
+    if (!s || !TRANSFORMS[s.name])
+      throw new Error(`unknown manifest transform ${JSON.stringify(s && s.name)} (known: ${Object.keys(TRANSFORMS).join(', ')})`);
+    return s;
+  });
+}
+
+/**
+ * Run an upstream MPD through a transform chain.
+ * Returns { xml, notes }.  Throws if the document is not an MPD or a
+ * transform cannot do its job (e.g. segments on another host).
+ */
+function rewriteMpd(source, chain, ctx) {
+  const doc = parseXml(source);
+  const mpd = rootOf(doc);
+  if (!mpd || localName(mpd.name) !== 'MPD') throw new Error('upstream document is not an MPD');
+
+  const notes = [];
+  for (const step of chain) TRANSFORMS[step.name](doc, step, { ...ctx, note: msg => notes.push(`${step.name}: ${msg}`) });
+
+  const banner = `<!-- DASHPIPE — rewritten from ${ctx.upstreamUrl}\n     transforms: ${chain.map(s => s.name).join(' → ')} -->\n`;
+  doc.children.splice(doc.children.indexOf(mpd), 0, { type: 'comment', raw: banner.trimEnd() }, { type: 'text', raw: '\n' });
+  return { xml: serialize(doc), notes };
+}
+
+module.exports = { rewriteMpd, normalizeChain, TRANSFORMS, DEFAULT_CHAIN, SUPPORTED };
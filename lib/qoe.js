@@ -0,0 +1,281 @@
+/**
+ * Playback QoE
+ *
+ * What the player experienced, from two sources, kept per session and
+ * channel so it lines up with the token / CDN / license entries in the
+ * request log (same sid):
+ *
+ *   CMCD     Common Media Client Data (CTA-5004) the player attaches to
+ *            segment requests — ?CMCD=br%3D3200%2Cbl%3D11200%2Cot%3Dv or
+ *            the CMCD-Object / -Request / -Session / -Status headers
+ *   beacons  POST /api/qoe events:
+ *              { type: 'startup',  ms }                 load → first frame
+ *              { type: 'rebuffer', ms }                 one stall, when it ends
+ *              { type: 'bitrate',  from, to, auto? }    kbps, on each switch
+ *              { type: 'error',    code, message?, fatal? }
+ *
+ * report() rolls records up by session, user or channel.  cmsd()
+ * builds the CMSD (CTA-5006) headers an edge can answer with.
+ */
+
+'use strict';
+
+const TYPES      = ['startup', 'rebuffer', 'bitrate', 'error'];
+const GROUPS     = ['session', 'user', 'channel'];
+const MAX_EVENTS = 50;    // per beacon
+const MAX_KEPT   = 20;    // switches / errors remembered per record
+
+// CMCD keys with the type they must have (custom keys, "x-..." or
+// with a hyphen, pass through untyped)
+const CMCD_KEYS = {
+  br: 'number', bl: 'number', bs: 'boolean', cid: 'string', d: 'number', dl: 'number',
+  mtp: 'number', nor: 'string', nrr: 'string', ot: 'token', pr: 'number', rtp: 'number',
+  sf: 'token', sid: 'string', st: 'token', su: 'boolean', tb: 'number', v: 'number'
+};
+
+// ══════════════════════════════════════════════════════════
+// CMCD
+// ══════════════════════════════════════════════════════════
+
+/**
+ * Parse one CMCD payload ("br=3200,bs,cid=\"Ch120\",ot=v") into
+ * { ok, data, reason }.  Bare keys are true; strings are quoted.
+ */
+function parseCmcdString(text) {
+  const data = {};
+  let i = 0;
+  while (i < text.length) {
+    const key = /^\s*([a-z][a-z0-9_.-]*)/.exec(text.slice(i));
+    if (!key) return { ok: false, reason: `bad key at offset ${i}` };
+    i += key[0].length;
+
+    let value = true;
+    if (text[i] === '=') {
+      i++;
+      if (text[i] === '"') {
+        let s = '';
+        for (i++; i < text.length && text[i] !== '"'; i++) s += text[i] === '\\' ? text[++i] : text[i];
+        if (text[i] !== '"') return { ok: false, reason: `unterminated string for ${key[1]}` };
+        i++;
+        value = s;
+      } else {
+        const raw = /^[^,]*/.exec(text.slice(i))[0];
+        i += raw.length;
+        value = /^-?\d+(\.\d+)?$/.test(raw.trim()) ? +raw : raw.trim();
+      }
+    }
+
+    const type = CMCD_KEYS[key[1]];
+    const actual = typeof value === 'string' && type === 'token' ? 'token' : typeof value;
+    if (type && type !== actual) return { ok: false, reason: `${key[1]} must be a ${type}` };
+    data[key[1]] = value;
+
+    i = text.indexOf(',', i);
+    if (i < 0) break;
+    i++;
+  }
+  return { ok: true, data };
+}
+
+/**
+ * CMCD of one request: the CMCD query parameter plus the four CMCD-*
+ * headers.  Null when the player sent none.
+ */
+function parseCmcd(query, headers = {}) {
+  const parts = [query, headers['cmcd-object'], headers['cmcd-request'], headers['cmcd-session'], headers['cmcd-status']]
+    .filter(p => typeof p === 'string' && p.trim());
+  if (!parts.length) return null;
+
+  const data = {};
+  for (const p of parts) {
+    const parsed = parseCmcdString(p);
+    if (!parsed.ok) return parsed;
+    Object.assign(data, parsed.data);
+  }
+  return { ok: true, data };
+}
+
+// ══════════════════════════════════════════════════════════
+// CMSD
+// ══════════════════════════════════════════════════════════
+
+/** Structured-field value: true → bare key, strings quoted, tokens/numbers as-is */
+const sfParam = (k, v) => (v === true ? k : `${k}=${typeof v === 'string' && !/^[a-z]+$/.test(v) ? JSON.stringify(v) : v}`);
+
+/**
+ * CMSD-Static / CMSD-Dynamic headers for one response.
+ *   object:  { ot, st }            object type, stream type (v / l)
+ *   server:  { name, rttMs, throughputKbps }
+ * The edge advertises the throttle it applies as etp and suggests a
+ * bitrate (mb) comfortably under it.
+ */
+function cmsd({ object = {}, server }) {
+  const statics = Object.entries({ ot: object.ot, sf: 'd', st: object.st })
+    .filter(([, v]) => v !== undefined).map(([k, v]) => sfParam(k, v));
+
+  const dynamic = [JSON.stringify(server.name)];
+  if (server.throughputKbps) dynamic.push(sfParam('etp', server.throughputKbps), sfParam('mb', Math.floor(server.throughputKbps * 0.8)));
+  if (server.rttMs !== undefined) dynamic.push(sfParam('rtt', server.rttMs));
+
+  return { 'CMSD-Static': statics.join(','), 'CMSD-Dynamic': dynamic.join(';') };
+}
+
+// ══════════════════════════════════════════════════════════
+// STORE
+// ══════════════════════════════════════════════════════════
+
+/** Reason a beacon event is invalid, or null */
+function eventError(e) {
+  if (!e || typeof e !== 'object') return 'event must be an object';
+  if (!TYPES.includes(e.type)) return `type must be one of ${TYPES.join(', ')}`;
+  const num = v => Number.isFinite(v) && v >= 0;
+  if ((e.type === 'startup' || e.type === 'rebuffer') && !num(e.ms)) return `${e.type}.ms must be a non-negative number`;
+  if (e.type === 'bitrate' && !(num(e.to) && (e.from === undefined || e.from === null || num(e.from))))
+    return 'bitrate.to (and from, if given) must be non-negative kbps';
+  if (e.type === 'error' && !(typeof e.code === 'string' || Number.isInteger(e.code))) return 'error.code must be a string or integer';
+  return null;
+}
+
+const mean = xs => (xs.length ? Math.round(xs.reduce((a, b) => a + b, 0) / xs.length) : null);
+
+function percentile(xs, p) {
+  if (!xs.length) return null;
+  const sorted = [...xs].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/** opts: { now, maxRecords } — the oldest (session, channel) record goes first */
+function createQoeStore({ now = Date.now, maxRecords = 2000 } = {}) {
+  const records = new Map();   // "sid|channel" → record
+
+  function recordFor({ session, user, channel }) {
+    const key = `${session}|${channel}`;
+    let r = records.get(key);
+    if (!r) {
+      r = {
+        session, user, channel, since: now(), last: now(), playingSince: null,
+        startupMs: null, rebuffers: 0, rebufferMs: 0, switchCount: 0, switches: [], errorCount: 0, errors: [], fatal: 0,
+        cmcd: { requests: 0, br: [], mtp: [], bl: [], starvations: 0, playerSession: null, contentId: null, streamType: null }
+      };
+      records.set(key, r);
+      if (records.size > maxRecords) records.delete(records.keys().next().value);
+    }
+    r.last = now();
+    return r;
+  }
+
+  /** Record one CDN request's CMCD. ctx: { session, user, channel } */
+  function cmcd(ctx, data) {
+    const c = recordFor(ctx).cmcd;
+    c.requests++;
+    if (data.br !== undefined && data.ot !== 'a')   c.br.push(data.br);   // video (or muxed) bitrate
+    if (data.mtp !== undefined) c.mtp.push(data.mtp);
+    if (data.bl !== undefined)  c.bl.push(data.bl);
+    for (const k of ['br', 'mtp', 'bl']) if (c[k].length > 500) c[k].shift();
+    if (data.bs) c.starvations++;
+    if (data.sid) c.playerSession = data.sid;
+    if (data.cid) c.contentId = data.cid;
+    if (data.st)  c.streamType = data.st === 'l' ? 'live' : 'vod';
+  }
+
+  /**
+   * Record a beacon's events.  ctx: { session, user, channel }.
+   * Returns { ok, accepted } or { ok: false, reason } (nothing recorded).
+   */
+  function beacon(ctx, events) {
+    if (!Array.isArray(events) || !events.length) return { ok: false, reason: 'events must be a non-empty array' };
+    if (events.length > MAX_EVENTS) return { ok: false, reason: `at most ${MAX_EVENTS} events per beacon` };
+    for (const [i, e] of events.entries()) {
+      const err = eventError(e);
+      if (err) return { ok: false, reason: `events[${i}]: ${err}` };
+    }
+
+    const r = recordFor(ctx);
+    const at = new Date(now()).toISOString();
+    for (const e of events) {
+      if (e.type === 'startup') {
+        if (r.startupMs === null) r.startupMs = Math.round(e.ms);
+        r.playingSince = r.playingSince ?? now();
+      } else if (e.type === 'rebuffer') {
+        r.rebuffers++;
+        r.rebufferMs += Math.round(e.ms);
+      } else if (e.type === 'bitrate') {
+        r.switches.push({ at, from: e.from ?? null, to: e.to, auto: e.auto !== false });
+        if (r.switches.length > MAX_KEPT) r.switches.shift();
+        r.switchCount++;
+      } else {
+        if (e.fatal) r.fatal++;
+        r.errors.push({ at, code: String(e.code), message: String(e.message || '').slice(0, 200), fatal: !!e.fatal });
+        if (r.errors.length > MAX_KEPT) r.errors.shift();
+        r.errorCount++;
+      }
+    }
+    return { ok: true, accepted: events.length };
+  }
+
+  /** Rebuffer time over (rebuffering + playing) since the first frame */
+  function rebufferRatio(rs) {
+    const watched = rs.reduce((n, r) => n + (r.playingSince === null ? 0 : r.last - r.playingSince), 0);
+    const stalled = rs.reduce((n, r) => n + r.rebufferMs, 0);
+    return watched || stalled ? +(stalled / Math.max(watched, stalled)).toFixed(4) : null;
+  }
+
+  /** One summary over a group of records */
+  function summarize(rs) {
+    const startups = rs.map(r => r.startupMs).filter(v => v !== null);
+    const cm = rs.map(r => r.cmcd);
+    return {
+      sessions: new Set(rs.map(r => r.session)).size,
+      startupMs: { avg: mean(startups), p50: percentile(startups, 0.5), p95: percentile(startups, 0.95), max: startups.length ? Math.max(...startups) : null },
+      rebuffers: rs.reduce((n, r) => n + r.rebuffers, 0),
+      rebufferMs: rs.reduce((n, r) => n + r.rebufferMs, 0),
+      rebufferRatio: rebufferRatio(rs),
+      bitrateSwitches: rs.reduce((n, r) => n + r.switchCount, 0),
+      errors: rs.reduce((n, r) => n + r.errorCount, 0),
+      fatalErrors: rs.reduce((n, r) => n + r.fatal, 0),
+      cmcd: {
+        requests: cm.reduce((n, c) => n + c.requests, 0),
+        avgBitrateKbps: mean(cm.flatMap(c => c.br)),
+        avgThroughputKbps: mean(cm.flatMap(c => c.mtp)),
+        avgBufferMs: mean(cm.flatMap(c => c.bl)),
+        starvations: cm.reduce((n, c) => n + c.starvations, 0)
+      }
+    };
+  }
+
+  /**
+   * Reports filtered by { user, session, channel } and grouped by
+   * `by` (session · user · channel).  Session reports also carry the
+   * recent switches and errors and the player's own CMCD session id.
+   */
+  function report({ by = 'session', user, session, channel } = {}) {
+    const rs = [...records.values()].filter(r =>
+      (!user || r.user === user) && (!session || r.session === session) && (!channel || r.channel === channel));
+
+    const groups = new Map();
+    for (const r of rs) {
+      const key = by === 'session' ? `${r.session}|${r.channel}` : r[by];
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(r);
+    }
+
+    return [...groups.values()].map(g => {
+      const head = g[0];
+      const base = by === 'session'
+        ? { session: head.session, user: head.user, channel: head.channel }
+        : { [by]: head[by] };
+      const out = { ...base, ...summarize(g), since: new Date(Math.min(...g.map(r => r.since))).toISOString(), last: new Date(Math.max(...g.map(r => r.last))).toISOString() };
+      if (by === 'session') {
+        delete out.sessions;
+        out.cmcd = { ...out.cmcd, playerSession: head.cmcd.playerSession, contentId: head.cmcd.contentId, streamType: head.cmcd.streamType };
+        out.recentSwitches = head.switches;
+        out.recentErrors = head.errors;
+      }
+      return out;
+    });
+  }
+
+  return { cmcd, beacon, report, size: () => records.size };
+}
+
+module.exports = { parseCmcd, cmsd, createQoeStore, TYPES, GROUPS };
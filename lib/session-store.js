@@ -0,0 +1,243 @@
+/**
+ * Session store
+ *
+ * Login sessions with access/refresh token pairs, kept in a pluggable
+ * adapter so they can outlive the process (file) or be shared between
+ * instances (Redis-compatible backend).
+ *
+ *   access token   "<sid>.<secret>"    used on every request; idle expiry
+ *                                      slides forward while it is in use
+ *   refresh token  "<sid>.<secret>"    POST /token/refresh → new pair; the
+ *                                      old refresh token stops working
+ *
+ * Only SHA-256 hashes of the secrets are stored, so a leaked session
+ * file does not hand out live tokens.
+ *
+ * Record: { id, userId, ip, createdAt, lastSeenAt, expiresAt,
+ *           refreshExpiresAt, maxExpiresAt, accessHash, refreshHash,
+ *           prevRefreshHash }
+ *
+ * Adapter contract — every method may return a value or a Promise:
+ *
+ *   get(id)             → record | null
+ *   set(id, record)     → void     record.refreshExpiresAt is when the record
+ *                                  can be dropped (Redis: SET .. PXAT)
+ *   delete(id)          → void
+ *   idsForUser(userId)  → [id]     (Redis: a SADD/SMEMBERS set per user)
+ *   purgeExpired(now)   → number   records removed (Redis: 0, keys expire)
+ *   size()              → number
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+function sha256(s) {
+  return crypto.createHash('sha256').update(s).digest('hex');
+}
+
+/** Constant-time compare of two hex digests */
+function sameHash(a, b) {
+  return typeof a === 'string' && typeof b === 'string' && a.length === b.length &&
+    crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+/** "<sid>.<secret>" → { id, secret } or null */
+function splitToken(token) {
+  const m = /^([0-9a-f]{24})\.([A-Za-z0-9_-]{20,})$/.exec(token || '');
+  return m ? { id: m[1], secret: m[2] } : null;
+}
+
+function newSecret() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// ══════════════════════════════════════════════════════════
+// ADAPTERS
+// ══════════════════════════════════════════════════════════
+
+/** Plain Map — sessions are lost on restart */
+function createMemoryAdapter() {
+  const records = new Map();
+  return {
+    get:        id => records.get(id) || null,
+    set:        (id, rec) => { records.set(id, rec); },
+    delete:     id => { records.delete(id); },
+    idsForUser: userId => [...records.values()].filter(r => r.userId === userId).map(r => r.id),
+    purgeExpired(now) {
+      let n = 0;
+      for (const [id, r] of records) if (now > r.refreshExpiresAt) { records.delete(id); n++; }
+      return n;
+    },
+    size: () => records.size
+  };
+}
+
+/**
+ * Append-only JSON-lines file: one {op:"set",rec} / {op:"del",id} per
+ * line, replayed on start.  Compacted (rewritten with live records
+ * only) once dead lines outnumber live records.
+ */
+function createFileAdapter(file) {
+  const records = new Map();
+  let lines = 0;
+
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      let op;
+      try { op = JSON.parse(line); } catch { continue; }   // torn last line after a crash
+      if (op.op === 'set') records.set(op.rec.id, op.rec);
+      else if (op.op === 'del') records.delete(op.id);
+      lines++;
+    }
+  } else {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  function append(op) {
+    fs.appendFileSync(file, JSON.stringify(op) + '\n', { mode: 0o600 });
+    if (++lines > 100 && lines > 2 * records.size) compact();
+  }
+
+  /** Rewrite the log with one line per live record (temp file + rename) */
+  function compact() {
+    const live = [...records.values()].map(rec => JSON.stringify({ op: 'set', rec }) + '\n');
+    const tmp  = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, live.join(''), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+    lines = live.length;
+  }
+
+  return {
+    get:        id => records.get(id) || null,
+    set(id, rec)  { records.set(id, rec); append({ op: 'set', rec }); },
+    delete(id)    { if (records.delete(id)) append({ op: 'del', id }); },
+    idsForUser: userId => [...records.values()].filter(r => r.userId === userId).map(r => r.id),
+    purgeExpired(now) {
+      let n = 0;
+      for (const [id, r] of records) if (now > r.refreshExpiresAt) { records.delete(id); n++; }
+      if (n) compact();
+      return n;
+    },
+    size: () => records.size
+  };
+}
+
+// ══════════════════════════════════════════════════════════
+// SESSION STORE
+// ══════════════════════════════════════════════════════════
+
+/**
+ * opts: {
+ *   adapter,
+ *   accessTtl    idle lifetime of an access token (ms), slides on use
+ *   refreshTtl   lifetime of a refresh token (ms), renewed on refresh
+ *   maxAge       hard limit for the whole session (ms) — nothing slides past it
+ *   touchEvery   write a sliding-expiry update at most this often (ms)
+ *   now
+ * }
+ */
+function createSessionStore({ adapter, accessTtl, refreshTtl, maxAge, touchEvery = 60 * 1000, now = Date.now }) {
+
+  /** New access/refresh pair for a (new or refreshed) session record */
+  function issue(rec, t) {
+    const access  = newSecret();
+    const refresh = newSecret();
+    rec.accessHash       = sha256(access);
+    rec.prevRefreshHash  = rec.refreshHash || null;
+    rec.refreshHash      = sha256(refresh);
+    rec.lastSeenAt       = t;
+    rec.expiresAt        = Math.min(t + accessTtl, rec.maxExpiresAt);
+    rec.refreshExpiresAt = Math.min(t + refreshTtl, rec.maxExpiresAt);
+    return { accessToken: `${rec.id}.${access}`, refreshToken: `${rec.id}.${refresh}` };
+  }
+
+  /** Start a session. Returns { accessToken, refreshToken, session } */
+  async function create(userId, ip) {
+    const t   = now();
+    const rec = { id: crypto.randomBytes(12).toString('hex'), userId, ip, createdAt: t, maxExpiresAt: t + maxAge };
+    const tokens = issue(rec, t);
+    await adapter.set(rec.id, rec);
+    return { ...tokens, session: rec };
+  }
+
+  /** Validate an access token and slide its expiry. Returns { ok, reason, session } */
+  async function check(token) {
+    const parts = splitToken(token);
+    if (!parts) return { ok: false, reason: 'token not found' };
+    const rec = await adapter.get(parts.id);
+    if (!rec || !sameHash(sha256(parts.secret), rec.accessHash)) return { ok: false, reason: 'token not found' };
+
+    const t = now();
+    if (t > rec.expiresAt) return { ok: false, reason: 'token expired' };
+
+    if (t - rec.lastSeenAt >= touchEvery) {
+      rec.lastSeenAt = t;
+      rec.expiresAt  = Math.min(t + accessTtl, rec.maxExpiresAt);
+      await adapter.set(rec.id, rec);
+    }
+    return { ok: true, session: rec };
+  }
+
+  /**
+   * Trade a refresh token for a new pair.  Re-using an already spent
+   * refresh token revokes the session (it has probably been stolen).
+   * Returns { ok, reason } or { ok, accessToken, refreshToken, session }.
+   */
+  async function refresh(token) {
+    const parts = splitToken(token);
+    if (!parts) return { ok: false, reason: 'refresh token not found' };
+    const rec = await adapter.get(parts.id);
+    if (!rec) return { ok: false, reason: 'refresh token not found' };
+
+    const hash = sha256(parts.secret);
+    if (sameHash(hash, rec.prevRefreshHash)) {
+      await adapter.delete(rec.id);
+      return { ok: false, reason: 'refresh token reused — session revoked' };
+    }
+    if (!sameHash(hash, rec.refreshHash)) return { ok: false, reason: 'refresh token not found' };
+
+    const t = now();
+    if (t > rec.refreshExpiresAt) return { ok: false, reason: 'refresh token expired' };
+
+    const tokens = issue(rec, t);
+    await adapter.set(rec.id, rec);
+    return { ok: true, ...tokens, session: rec };
+  }
+
+  /** Session behind an access token, without validating or touching it */
+  async function peek(token) {
+    const parts = splitToken(token);
+    const rec = parts && await adapter.get(parts.id);
+    return rec && sameHash(sha256(parts.secret), rec.accessHash) ? rec : null;
+  }
+
+  /** End the session an access (or refresh) token belongs to */
+  async function revoke(token) {
+    const parts = splitToken(token);
+    const rec = parts && await adapter.get(parts.id);
+    if (!rec) return false;
+    const hash = sha256(parts.secret);
+    if (!sameHash(hash, rec.accessHash) && !sameHash(hash, rec.refreshHash)) return false;
+    await adapter.delete(rec.id);
+    return true;
+  }
+
+  /** End every session of a user. Returns how many were revoked */
+  async function revokeUser(userId) {
+    const ids = await adapter.idsForUser(userId);
+    for (const id of ids) await adapter.delete(id);
+    return ids.length;
+  }
+
+  return {
+    create, check, refresh, peek, revoke, revokeUser,
+    cleanup: () => adapter.purgeExpired(now()),
+    size:    () => adapter.size()
+  };
+}
+
+module.exports = { createSessionStore, createMemoryAdapter, createFileAdapter };
@@ -0,0 +1,135 @@
+/**
+ * Concurrent stream slots
+ *
+ * Every /proxy/:channel load takes a slot for (user, device); the
+ * player keeps it alive with heartbeats and frees it on stop.  A slot
+ * whose heartbeats stop for `heartbeatTimeout` is released by sweep().
+ *
+ * Slot: { id, userId, deviceId, channel, sessionId, ip,
+ *         startedAt, lastHeartbeat, state }
+ *
+ * One device holds at most one slot: loading another channel on the
+ * same device replaces its slot instead of taking a second one, and
+ * heartbeats are addressed by (user, device).
+ *
+ * Policies when a user is at the limit:
+ *   'reject'       the new stream is refused (429)
+ *   'kick-oldest'  the slot with the oldest start is ended; its next
+ *                  heartbeat learns why
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const POLICIES = ['reject', 'kick-oldest'];
+
+// What a heartbeat may report the player is doing ('starting' until the first one)
+const STATES = ['starting', 'playing', 'paused', 'buffering', 'seeking', 'ended'];
+
+/** opts: { heartbeatTimeout (ms), now } */
+function createStreamTracker({ heartbeatTimeout, now = Date.now }) {
+  const slots = new Map();   // id → slot
+  const ended = new Map();   // "user/device" → { reason, at } — answers heartbeats of kicked slots
+
+  const deviceKey = (userId, deviceId) => `${userId}/${deviceId}`;
+
+  function forUser(userId) {
+    return [...slots.values()]
+      .filter(s => s.userId === userId)
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  function end(slot, reason) {
+    slots.delete(slot.id);
+    ended.set(deviceKey(slot.userId, slot.deviceId), { reason, at: now() });
+  }
+
+  function find(userId, deviceId) {
+    return forUser(userId).find(s => s.deviceId === deviceId) || null;
+  }
+
+  /**
+   * Take a slot.  opts: { userId, deviceId, channel, sessionId, ip, max, policy }
+   * (max 0: no streams, whatever the policy).  Returns { ok, slot, kicked: [slot] } or { ok: false, reason, active: [slot] }.
+   */
+  function acquire({ userId, deviceId, channel, sessionId, ip, max, policy }) {
+    const mine    = forUser(userId);
+    const same    = mine.find(s => s.deviceId === deviceId);
+    const others  = mine.filter(s => s !== same);
+    const kicked  = [];
+
+    if (others.length >= max) {
+      if (policy !== 'kick-oldest' || max === 0)
+        return { ok: false, reason: `concurrent stream limit reached (${max})`, active: others };
+      while (others.length >= max) {
+        const victim = others.shift();
+        end(victim, `replaced by a newer stream on device ${deviceId}`);
+        kicked.push(victim);
+      }
+    }
+
+    if (same) slots.delete(same.id);
+    ended.delete(deviceKey(userId, deviceId));
+
+    const t = now();
+    const slot = {
+      id: crypto.randomBytes(8).toString('hex'),
+      userId, deviceId, channel, sessionId, ip,
+      startedAt: t,
+      lastHeartbeat: t,
+      state: 'starting'
+    };
+    slots.set(slot.id, slot);
+    return { ok: true, slot, kicked };
+  }
+
+  /** Keep the device's slot alive. Returns { ok, slot } or { ok: false, reason } */
+  function heartbeat(userId, deviceId, state) {
+    const slot = find(userId, deviceId);
+    if (!slot) {
+      const why = ended.get(deviceKey(userId, deviceId));
+      return { ok: false, reason: why ? why.reason : 'no active stream on this device' };
+    }
+    slot.lastHeartbeat = now();
+    if (state) slot.state = state;
+    return { ok: true, slot };
+  }
+
+  /** Player stopped. Returns the freed slot or null */
+  function release(userId, deviceId) {
+    const slot = find(userId, deviceId);
+    if (slot) end(slot, 'stopped');
+    return slot;
+  }
+
+  /** End a slot by id (admin). Returns it or null */
+  function kick(id, reason) {
+    const slot = slots.get(id);
+    if (slot) end(slot, reason);
+    return slot || null;
+  }
+
+  /** Free slots whose heartbeats stopped. Returns the freed slots */
+  function sweep() {
+    const t = now();
+    const freed = [];
+    for (const slot of slots.values()) {
+      if (t - slot.lastHeartbeat > heartbeatTimeout) {
+        end(slot, 'heartbeat timeout');
+        freed.push(slot);
+      }
+    }
+    // Kicked/stopped ids are remembered long enough for a late heartbeat
+    for (const [key, e] of ended) if (t - e.at > 10 * heartbeatTimeout) ended.delete(key);
+    return freed;
+  }
+
+  function list(userId) {
+    return userId ? forUser(userId) : [...slots.values()].sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  return { acquire, heartbeat, release, kick, sweep, list, size: () => slots.size };
+}
+
+module.exports = { createStreamTracker, POLICIES, STATES };
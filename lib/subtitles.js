@@ -0,0 +1,272 @@
+/**
+ * Subtitles
+ *
+ * Sidecar caption files, one per channel and language, served as WebVTT
+ * through the CDN like any segment:
+ *
+ *   subtitles/              (SUBTITLES_DIR, or the channel's "subtitles.dir")
+ *   └── Ch120/
+ *       ├── en.srt          SubRip — converted to WebVTT
+ *       ├── es.vtt          WebVTT — STYLE / REGION blocks kept
+ *       └── fr.ttml         TTML / DFXP — timing and text (styling dropped)
+ *
+ * The file name is the language (BCP 47: "en", "pt-BR").  Each language
+ * becomes a text/vtt AdaptationSet whose URLs sit under seg/subtitles/:
+ *
+ *   mode "segments" (default)  <lang>-$Number$.vtt, cut on the fly into
+ *                              segmentDuration windows numbered like the
+ *                              media ($Number$ 1 = [0, d)), so live loops
+ *                              and ad-spliced Periods stay time-aligned.
+ *                              A cue crossing a boundary is repeated,
+ *                              clipped, in both segments.
+ *   mode "sidecar"             <lang>.vtt, the whole file (on-demand only;
+ *                              live and ad-spliced MPDs use segments)
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { parseXml, descendants, elements, localName, rootOf } = require('./xml');
+
+const FORMATS = { '.vtt': 'webvtt', '.srt': 'srt', '.ttml': 'ttml', '.dfxp': 'ttml', '.xml': 'ttml' };
+const TIMING  = /((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})(.*)/;
+
+// ══════════════════════════════════════════════════════════
+// PARSERS → { header: [blocks], cues: [{ id, start, end, settings, text }] }
+// ══════════════════════════════════════════════════════════
+
+/** "01:02:03.450", "02:03,45" → seconds */
+function parseTimestamp(ts) {
+  const parts = ts.replace(',', '.').split(':').map(Number);
+  return parts.reduce((sum, p) => sum * 60 + p, 0);
+}
+
+/** seconds → "00:01:02.345" */
+function formatTimestamp(sec) {
+  const ms = Math.round(sec * 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+const blocksOf = text => text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/).map(b => b.trim()).filter(Boolean);
+
+/** One cue block (optional id line, timing line, text). Null if it has no timing line */
+function parseCueBlock(block) {
+  const lines = block.split('\n');
+  const t = lines.findIndex(l => l.includes('-->'));
+  if (t < 0 || t > 1) return null;
+  const m = TIMING.exec(lines[t]);
+  if (!m) return null;
+  return {
+    id:       t === 1 ? lines[0].trim() : null,
+    start:    parseTimestamp(m[1]),
+    end:      parseTimestamp(m[2]),
+    settings: m[3].trim(),
+    text:     lines.slice(t + 1).join('\n')
+  };
+}
+
+function parseWebVtt(text) {
+  const blocks = blocksOf(text);
+  if (!blocks.length || !/^WEBVTT(\s|$)/.test(blocks[0])) throw new Error('missing WEBVTT header');
+  const header = [];
+  const cues = [];
+  for (const b of blocks.slice(1)) {
+    if (/^(STYLE|REGION)\s*(\n|$)/.test(b)) header.push(b);
+    else if (!/^NOTE(\s|$)/.test(b)) {
+      const cue = parseCueBlock(b);
+      if (cue) cues.push(cue);
+    }
+  }
+  return { header, cues };
+}
+
+/** SubRip: same cue layout, comma decimals, no settings; <font> and {\an8} tags dropped */
+function parseSrt(text) {
+  const cues = blocksOf(text).map(parseCueBlock).filter(Boolean).map(c => ({
+    ...c,
+    settings: '',
+    text: c.text.replace(/<\/?font[^>]*>/gi, '').replace(/\{\\[^}]*\}/g, '')
+  }));
+  return { header: [], cues };
+}
+
+/** TTML time expression → seconds (clock time, frames, or offset h/m/s/ms/f/t) */
+function ttmlTime(expr, { frameRate, tickRate }) {
+  if (!expr) return null;
+  const clock = /^(\d+):(\d{2}):(\d{2})(?:([.:])(\d+))?$/.exec(expr.trim());
+  if (clock) {
+    const [, h, m, s, sep, frac] = clock;
+    const extra = !frac ? 0 : sep === '.' ? +`0.${frac}` : +frac / frameRate;
+    return +h * 3600 + +m * 60 + +s + extra;
+  }
+  const offset = /^([\d.]+)(h|ms|m|s|f|t)$/.exec(expr.trim());
+  if (!offset) throw new Error(`bad TTML time "${expr}"`);
+  const v = +offset[1];
+  return { h: v * 3600, m: v * 60, s: v, ms: v / 1000, f: v / frameRate, t: v / tickRate }[offset[2]];
+}
+
+const escapeCue = s => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/** Text of a TTML <p>: spans flattened, <br/> → newline */
+function ttmlText(el) {
+  return el.children.map(c => {
+    if (c.type === 'text')    return c.raw.replace(/\s+/g, ' ').replace(/&(lt|gt|amp|quot|apos);/g, (_, e) => ({ lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" })[e]);
+    if (c.type === 'cdata')   return c.raw.slice(9, -3);
+    if (c.type !== 'element') return '';
+    return localName(c.name) === 'br' ? '\n' : ttmlText(c);
+  }).join('');
+}
+
+function parseTtml(text) {
+  const tt = rootOf(parseXml(text.replace(/^\uFEFF/, '')));
+  if (!tt || localName(tt.name) !== 'tt') throw new Error('root element is not <tt>');
+  const attr = name => Object.entries(tt.attrs).find(([k]) => localName(k) === name);
+  const rate = { frameRate: +(attr('frameRate') || [0, 30])[1], tickRate: +(attr('tickRate') || [0, 1])[1] };
+
+  const cues = [];
+  // <div begin> offsets the paragraphs inside it
+  (function walk(el, base) {
+    for (const child of elements(el)) {
+      const name = localName(child.name);
+      const begin = ttmlTime(child.attrs.begin, rate);
+      if (name === 'p') {
+        const start = base + (begin || 0);
+        const end = child.attrs.end ? base + ttmlTime(child.attrs.end, rate)
+          : child.attrs.dur ? start + ttmlTime(child.attrs.dur, rate) : null;
+        const body = ttmlText(child).split('\n').map(l => l.trim()).join('\n').trim();
+        if (end !== null && body) cues.push({ id: child.attrs['xml:id'] || null, start, end, settings: '', text: escapeCue(body) });
+      } else {
+        walk(child, base + (begin || 0));
+      }
+    }
+  })(descendants(tt, 'body')[0] || tt, 0);
+  return { header: [], cues: cues.sort((a, b) => a.start - b.start) };
+}
+
+const PARSERS = { webvtt: parseWebVtt, srt: parseSrt, ttml: parseTtml };
+
+/** WebVTT text for `cues` (header blocks first) */
+function serializeWebVtt(header, cues) {
+  const out = ['WEBVTT', ...header];
+  for (const c of cues) {
+    out.push(`${c.id ? c.id + '\n' : ''}${formatTimestamp(c.start)} --> ${formatTimestamp(c.end)}${c.settings ? ' ' + c.settings : ''}\n${c.text}`);
+  }
+  return out.join('\n\n') + '\n';
+}
+
+/** Cues overlapping [from, to), clipped to it */
+function cuesBetween(cues, from, to) {
+  return cues
+    .filter(c => c.start < to && c.end > from)
+    .map(c => ({ ...c, start: Math.max(c.start, from), end: Math.min(c.end, to) }));
+}
+
+// ══════════════════════════════════════════════════════════
+// STORE
+// ══════════════════════════════════════════════════════════
+
+/**
+ * Load every channel's subtitle files.  channels: Map from loadChannels
+ * (channel.subtitles: { dir, mode, segmentSec, labels } or null).
+ * Files that fail to parse are skipped and listed in `errors`.
+ */
+function createSubtitleStore({ channels }) {
+  const tracks = new Map();   // channelId → Map<lang, track>
+  const errors = [];
+
+  for (const ch of channels.values()) {
+    const cfg = ch.subtitles;
+    const langs = new Map();
+    tracks.set(ch.id, langs);
+    if (!cfg || !fs.existsSync(cfg.dir)) continue;
+
+    for (const file of fs.readdirSync(cfg.dir).sort()) {
+      const format = FORMATS[path.extname(file).toLowerCase()];
+      if (!format) continue;
+      const lang = path.basename(file, path.extname(file));
+      if (langs.has(lang)) { errors.push(`${ch.id}: ${file}: a file for "${lang}" was already loaded`); continue; }
+      try {
+        const { header, cues } = PARSERS[format](fs.readFileSync(path.join(cfg.dir, file), 'utf8'));
+        langs.set(lang, { lang, label: cfg.labels[lang] || lang, format, file, header, cues });
+      } catch (err) {
+        errors.push(`${ch.id}: ${file}: ${err.message}`);
+      }
+    }
+  }
+
+  /** Languages a channel has: [{ lang, label, format, cues }] */
+  function list(channelId) {
+    return [...(tracks.get(channelId) || new Map()).values()]
+      .map(t => ({ lang: t.lang, label: t.label, format: t.format, cues: t.cues.length }));
+  }
+
+  /**
+   * text/vtt AdaptationSets (in the catalog's adaptationSets shape) for
+   * a channel.  segmented: force segments even in sidecar mode.
+   */
+  function adaptationSets(channel, { segmented = false } = {}) {
+    const cfg = channel.subtitles;
+    const langs = tracks.get(channel.id);
+    if (!cfg || !langs || !langs.size) return [];
+    const sidecar = cfg.mode === 'sidecar' && !segmented;
+
+    return [...langs.values()].map(t => {
+      const bytes = t.cues.reduce((n, c) => n + c.text.length + 40, 0);
+      return {
+        contentType: 'text',
+        mimeType:    'text/vtt',
+        lang:        t.lang,
+        label:       t.label,
+        role:        'subtitle',
+        baseUrl:     'subtitles/',
+        timescale:   1000,
+        segmentDuration: Math.round(cfg.segmentSec * 1000),
+        representations: [{
+          id:        `sub-${t.lang}`,
+          bandwidth: Math.max(1000, Math.ceil(bytes * 8 / (channel.durationSec || 1))),
+          ...(sidecar ? { sidecar: `${t.lang}.vtt` } : { media: `${t.lang}-$Number$.vtt` })
+        }]
+      };
+    });
+  }
+
+  /**
+   * Origin for seg/subtitles/<name>: "<lang>-<n>.vtt" (segment n) or
+   * "<lang>.vtt" (whole file).  Resolves to { status, headers, body }
+   * like readLocalFile, so it can sit behind the edge cache.
+   */
+  async function fetch(channel, name) {
+    const notFound = { status: 404, headers: {}, body: Buffer.alloc(0) };
+    const m = /^(.+?)(?:-(\d+))?\.vtt$/.exec(name);
+    const track = m && (tracks.get(channel.id) || new Map()).get(m[1]);
+    if (!track) return notFound;
+
+    let cues = track.cues;
+    if (m[2]) {
+      const d = channel.subtitles.segmentSec;
+      const n = +m[2];
+      if (n < 1 || (n - 1) * d >= channel.durationSec) return notFound;
+      cues = cuesBetween(cues, (n - 1) * d, Math.min(n * d, channel.durationSec));
+    }
+
+    const body = Buffer.from(serializeWebVtt(track.header, cues));
+    return {
+      status: 200,
+      headers: {
+        'content-type':  'text/vtt; charset=utf-8',
+        'cache-control': 'public, max-age=3600',
+        'etag':          `"${crypto.createHash('sha1').update(body).digest('base64url').slice(0, 27)}"`
+      },
+      body
+    };
+  }
+
+  return { list, adaptationSets, fetch, errors };
+}
+
+module.exports = {
+  createSubtitleStore, parseWebVtt, parseSrt, parseTtml, serializeWebVtt, cuesBetween, formatTimestamp
+};
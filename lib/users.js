@@ -0,0 +1,281 @@
+/**
+ * User accounts
+ *
+ * Replaces the plaintext USERS table.  Accounts live in one JSON file
+ * (only password hashes, never passwords):
+ *
+ *   { "version": 1,
+ *     "packages": { "basic": ["Ch200"], "premium": ["Ch120", "Ch121", "Ch300"] },
+ *     "users": { "demo": { username, passwordHash, role, disabled,
+ *                          packages: ["premium"], channels: [], createdAt, updatedAt } } }
+ *
+ *   passwordHash  "scrypt$<N>$<r>$<p>$<salt b64>$<hash b64>"
+ *   role          'admin' | 'viewer'   (admins are entitled to every channel)
+ *   packages      bundles of channel ids; "*" in a package means every channel
+ *   channels      extra channel ids granted one by one
+ *   limits        optional { streams, devices } overriding the server defaults
+ *   devices       [{ id, name, firstSeen, lastSeen }] registered playback devices
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES        = ['admin', 'viewer'];
+const SCRYPT       = { N: 16384, r: 8, p: 1 };
+const KEY_LEN      = 32;
+const MIN_PASSWORD = 6;
+const USERNAME_RE  = /^[a-z0-9][a-z0-9_.-]{1,31}$/;
+
+/** Error carrying the HTTP status the admin routes should answer with */
+class UserError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LEN, SCRYPT);
+  return `scrypt$${SCRYPT.N}$${SCRYPT.r}$${SCRYPT.p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [alg, N, r, p, salt, hash] = String(stored).split('$');
+  if (alg !== 'scrypt' || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, { N: +N, r: +r, p: +p });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/** Account without the password hash, for listings and login responses */
+function publicUser(u) {
+  const { passwordHash, ...rest } = u;
+  return rest;
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD)
+    throw new UserError(400, `password must be at least ${MIN_PASSWORD} characters`);
+}
+
+function checkList(name, list) {
+  if (list == null) return [];
+  if (!Array.isArray(list) || list.some(x => typeof x !== 'string'))
+    throw new UserError(400, `${name} must be an array of strings`);
+  return [...new Set(list)];
+}
+
+/**
+ * Create a user store backed by `file`.
+ * opts: { file, now }   (now() defaults to Date.now)
+ */
+function createUserStore({ file, now = Date.now }) {
+  let data = { version: 1, packages: {}, users: {} };
+
+  if (file && fs.existsSync(file)) {
+    try { data = JSON.parse(fs.readFileSync(file, 'utf8')); }
+    catch (err) { throw new Error(`users: cannot read ${file} (${err.message})`); }
+    data.packages = data.packages || {};
+    data.users    = data.users || {};
+  }
+
+  /** Write atomically: temp file + rename */
+  function save() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  function get(username) {
+    return Object.prototype.hasOwnProperty.call(data.users, username) ? data.users[username] : null;
+  }
+
+  function mustGet(username) {
+    const u = get(username);
+    if (!u) throw new UserError(404, `No user ${username}`);
+    return u;
+  }
+
+  function checkPackages(list) {
+    const pkgs = checkList('packages', list);
+    const unknown = pkgs.filter(p => !data.packages[p]);
+    if (unknown.length) throw new UserError(400, `unknown package(s) ${unknown.join(', ')}`);
+    return pkgs;
+  }
+
+  function list() {
+    return Object.values(data.users).map(publicUser);
+  }
+
+  /** First run only: import default packages and accounts */
+  async function seed({ packages, users }) {
+    if (Object.keys(data.users).length) return false;
+    data.packages = { ...packages };
+    for (const u of users) await create(u);
+    return true;
+  }
+
+  /** { username, password, role?, packages?, channels? } → public user */
+  async function create({ username, password, role = 'viewer', packages, channels }) {
+    if (typeof username !== 'string' || !USERNAME_RE.test(username))
+      throw new UserError(400, 'username must be 2-32 chars: a-z 0-9 . _ -');
+    if (get(username)) throw new UserError(409, `User ${username} already exists`);
+    if (!ROLES.includes(role)) throw new UserError(400, `role must be one of ${ROLES.join(', ')}`);
+    checkPassword(password);
+
+    const t = now();
+    data.users[username] = {
+      username,
+      passwordHash: await hashPassword(password),
+      role,
+      disabled:  false,
+      packages:  checkPackages(packages),
+      channels:  checkList('channels', channels),
+      createdAt: t,
+      updatedAt: t
+    };
+    save();
+    return publicUser(data.users[username]);
+  }
+
+  /**
+   * Check a login.  Unknown users still pay for one scrypt so the
+   * response time does not reveal which usernames exist.
+   * Returns { ok, reason, user }.
+   */
+  async function authenticate(username, password) {
+    const u = get(username);
+    const ok = await verifyPassword(password, u ? u.passwordHash : DUMMY_HASH);
+    if (!u || !ok) return { ok: false, reason: 'Invalid credentials' };
+    if (u.disabled) return { ok: false, reason: 'Account disabled' };
+    return { ok: true, user: publicUser(u) };
+  }
+
+  async function setPassword(username, password) {
+    const u = mustGet(username);
+    checkPassword(password);
+    u.passwordHash = await hashPassword(password);
+    u.updatedAt    = now();
+    save();
+    return publicUser(u);
+  }
+
+  function setDisabled(username, disabled) {
+    const u = mustGet(username);
+    u.disabled  = !!disabled;
+    u.updatedAt = now();
+    save();
+    return publicUser(u);
+  }
+
+  /** Replace a user's packages and/or single-channel grants */
+  function setEntitlements(username, { packages, channels }) {
+    const u = mustGet(username);
+    if (packages !== undefined) u.packages = checkPackages(packages);
+    if (channels !== undefined) u.channels = checkList('channels', channels);
+    u.updatedAt = now();
+    save();
+    return publicUser(u);
+  }
+
+  function setPackage(name, channels) {
+    if (typeof name !== 'string' || !USERNAME_RE.test(name))
+      throw new UserError(400, 'package name must be 2-32 chars: a-z 0-9 . _ -');
+    data.packages[name] = checkList('channels', channels);
+    save();
+    return { name, channels: data.packages[name] };
+  }
+
+  /** Per-user { streams, devices } overrides; null clears one */
+  function setLimits(username, limits) {
+    const u = mustGet(username);
+    const next = { ...(u.limits || {}) };
+    for (const k of ['streams', 'devices']) {
+      if (limits[k] === undefined) continue;
+      if (limits[k] === null) { delete next[k]; continue; }
+      if (!Number.isInteger(limits[k]) || limits[k] < 0) throw new UserError(400, `${k} must be a non-negative integer or null`);
+      next[k] = limits[k];
+    }
+    u.limits    = next;
+    u.updatedAt = now();
+    save();
+    return publicUser(u);
+  }
+
+  /**
+   * Remember the device a user plays on.  At `max` devices, policy
+   * 'kick-oldest' forgets the least recently seen one; otherwise the
+   * new device is refused (max 0: every new device is).  Returns
+   * { ok, device, evicted } or { ok: false, reason, devices }.
+   * dryRun answers the same without changing anything.
+   */
+  function registerDevice(username, deviceId, { max, policy, name, dryRun = false }) {
+    const u = mustGet(username);
+    const list = u.devices || [];
+    const t = now();
+
+    const known = list.find(d => d.id === deviceId);
+    if (known) {
+      // lastSeen only needs minute precision — spare the file a write per request
+      if (!dryRun && t - known.lastSeen > 60 * 1000) { known.lastSeen = t; save(); }
+      return { ok: true, device: known, evicted: [] };
+    }
+
+    if (list.length >= max && (policy !== 'kick-oldest' || max === 0))
+      return { ok: false, reason: `device limit reached (${max})`, devices: [...list] };
+    const byAge   = [...list].sort((a, b) => a.lastSeen - b.lastSeen);
+    const evicted = byAge.slice(0, Math.max(0, list.length - max + 1));
+
+    const device = { id: deviceId, name: name || null, firstSeen: t, lastSeen: t };
+    if (dryRun) return { ok: true, device, evicted };
+    u.devices = [...list.filter(d => !evicted.includes(d)), device];
+    save();
+    return { ok: true, device, evicted };
+  }
+
+  function removeDevice(username, deviceId) {
+    const u = mustGet(username);
+    const before = (u.devices || []).length;
+    u.devices = (u.devices || []).filter(d => d.id !== deviceId);
+    if (u.devices.length === before) throw new UserError(404, `No device ${deviceId} for ${username}`);
+    save();
+  }
+
+  /** Is the user allowed to watch channelId? */
+  function isEntitled(username, channelId) {
+    const u = get(username);
+    if (!u || u.disabled) return false;
+    if (u.role === 'admin' || u.channels.includes(channelId)) return true;
+    return u.packages.some(p => {
+      const chans = data.packages[p] || [];
+      return chans.includes('*') || chans.includes(channelId);
+    });
+  }
+
+  /** The subset of channelIds the user may watch, in the given order */
+  function entitledChannels(username, channelIds) {
+    return channelIds.filter(id => isEntitled(username, id));
+  }
+
+  return {
+    get: username => (get(username) ? publicUser(get(username)) : null),
+    list, seed, create, authenticate, setPassword, setDisabled, setEntitlements,
+    setLimits, registerDevice, removeDevice,
+    packages: () => ({ ...data.packages }),
+    setPackage, isEntitled, entitledChannels
+  };
+}
+
+// Compared against when the username does not exist (never matches)
+const DUMMY_HASH = `scrypt$${SCRYPT.N}$${SCRYPT.r}$${SCRYPT.p}$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(KEY_LEN).toString('base64')}`;
+
+module.exports = { createUserStore, UserError, ROLES };
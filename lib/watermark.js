@@ -0,0 +1,238 @@
+/**
+ * A/B forensic watermarking
+ *
+ * Every media segment of a watermarked channel exists twice at the
+ * origin, pre-marked: variant A and variant B, same file names, in two
+ * directories below the channel's basePath / contentDir.  Each session
+ * gets its own bit sequence — HMAC(secret, session ref), `bits` long —
+ * and segment n is served from the variant its bit picks:
+ *
+ *   position = (n - 1) mod bits        bit 0 → A, bit 1 → B
+ *
+ * so every session downloads a different mix, and a recording of the
+ * stream spells out the sequence of whoever made it.  All
+ * representations of segment n carry the same bit, so ABR switches do
+ * not matter; longer recordings repeat the sequence and are voted on.
+ * Init segments (and names without a number) are never marked.
+ *
+ * Decoding takes what a capture shows — [{ n, variant }], or SHA-256
+ * hashes of the captured segment files, matched against the variants
+ * the edge has served — and ranks the sessions that watched the
+ * channel by how many positions agree.  `p` is the chance that some
+ * session agrees that well by luck (binomial tail × sessions compared).
+ *
+ * The registry of marked sessions (sid → user, channels, first/last
+ * seen) and the hashes of the variant files served can be kept in a
+ * JSON-lines file, so leaks stay traceable — by variant or by hash —
+ * after a restart:
+ *
+ *   { "sid": "…", "user": "demo", "channel": "Ch200", "t": 1767225600000 }
+ *   { "hash": "<sha256 hex>", "channel": "Ch200", "seg": "v-720p-17.m4s", "n": 17, "variant": "B" }
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const VARIANTS = ['A', 'B'];
+
+/** Position of a media segment: the last number in its file name ("v-720p-17.m4s" → 17) */
+function segmentNumber(segPath) {
+  const name = path.posix.basename(segPath);
+  if (/init/i.test(name)) return null;
+  const m = /(\d+)(?=\.[^.]*$|$)/.exec(name);
+  return m ? +m[1] : null;
+}
+
+/** P(X ≥ k) for X ~ Binomial(n, ½) */
+function binomialTail(n, k) {
+  let term = Math.pow(0.5, n);   // C(n, 0) / 2^n
+  let sum = 0;
+  for (let i = 0; i <= n; i++) {
+    if (i >= k) sum += term;
+    term = term * (n - i) / (i + 1);
+  }
+  return Math.min(1, sum);
+}
+
+/**
+ * opts: {
+ *   secret      HMAC key for the bit sequences (keep it: decoding needs the same one)
+ *   bits        sequence length (default 32)
+ *   file        JSON-lines registry of marked sessions and segment hashes, or null (memory only)
+ *   maxHashes   segment hashes remembered for decoding by hash (oldest dropped)
+ *   now
+ * }
+ */
+function createWatermarker({ secret, bits = 32, file = null, maxHashes = 100000, now = Date.now }) {
+  if (!secret) throw new Error('watermark: a secret is required');
+  if (!(Number.isInteger(bits) && bits >= 8 && bits <= 256)) throw new Error('watermark: bits must be an integer from 8 to 256');
+
+  const sessions = new Map();   // sid → { sid, user, channels: Set, firstSeen, lastSeen, segments }
+  const hashes   = new Map();   // sha256 hex → { channel, seg, n, variant, version }
+  const indexed  = new Set();   // versions ("<cache key> <etag>") already hashed
+
+  /** Remember a hash, dropping the oldest past maxHashes. True if it is new */
+  function addHash(hash, rec) {
+    if (hashes.has(hash)) return false;
+    if (hashes.size >= maxHashes) {
+      const [oldest, { version }] = hashes.entries().next().value;
+      hashes.delete(oldest);
+      indexed.delete(version);
+    }
+    hashes.set(hash, rec);
+    return true;
+  }
+
+  if (file && fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      let r;
+      try { r = JSON.parse(line); } catch { continue; }   // torn last line after a crash
+      if (r.hash) {
+        addHash(r.hash, { channel: r.channel, seg: r.seg, n: r.n, variant: r.variant, version: null });
+        continue;
+      }
+      const s = sessions.get(r.sid) || { sid: r.sid, user: r.user, channels: new Set(), firstSeen: r.t, lastSeen: r.t, segments: 0 };
+      s.channels.add(r.channel);
+      s.lastSeen = Math.max(s.lastSeen, r.t);
+      sessions.set(r.sid, s);
+    }
+  } else if (file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  /** The session's sequence: [0 | 1] × bits (the first bits of its HMAC, 256 at most) */
+  function sequence(sid) {
+    const digest = crypto.createHmac('sha256', secret).update(`wm:${sid}`).digest();
+    return Array.from({ length: bits }, (_, i) => (digest[i >> 3] >> (7 - (i & 7))) & 1);
+  }
+
+  /**
+   * Which variant a session gets for a segment of a watermarked channel
+   * (channel.watermark: { variants: [dirA, dirB] }).  Null when the
+   * segment is not marked.  → { n, variant: 'A' | 'B', dir }
+   */
+  function variantFor(channel, sid, segPath) {
+    if (!channel.watermark || !sid) return null;
+    const n = segmentNumber(segPath);
+    if (!n) return null;
+    const bit = sequence(sid)[(n - 1) % bits];
+    return { n, variant: VARIANTS[bit], dir: channel.watermark.variants[bit] };
+  }
+
+  /**
+   * A marked segment went out: register the session and, given the
+   * body, remember its hash for decoding captures by hash.  `key` and
+   * `etag` (the variant file's cache key and ETag) skip re-hashing a
+   * body already seen; a new ETag is hashed again.
+   */
+  function served({ sid, user, channel, seg, n, variant, key, etag }, body) {
+    const t = now();
+    let s = sessions.get(sid);
+    if (!s) sessions.set(sid, s = { sid, user, channels: new Set(), firstSeen: t, lastSeen: t, segments: 0 });
+    if (!s.channels.has(channel)) {
+      s.channels.add(channel);
+      if (file) fs.appendFileSync(file, JSON.stringify({ sid, user, channel, t }) + '\n', { mode: 0o600 });
+    }
+    s.lastSeen = t;
+    s.segments++;
+
+    const version = key && etag ? `${key} ${etag}` : null;
+    if (body && !(version && indexed.has(version))) {
+      const hash = crypto.createHash('sha256').update(body).digest('hex');
+      const known = hashes.get(hash);
+      if (addHash(hash, { channel, seg, n, variant, version })) {
+        if (file) fs.appendFileSync(file, JSON.stringify({ hash, channel, seg, n, variant }) + '\n', { mode: 0o600 });
+      } else if (version && !known.version) {
+        known.version = version;   // loaded from the file: now tied to this cache entry
+      }
+      if (version) indexed.add(version);
+    }
+  }
+
+  /**
+   * Identify who a capture came from.
+   *   { channel?, observations: [{ n, variant: 'A' | 'B' }] }
+   *   { channel?, hashes: [sha256 hex] }   (of the captured segment files)
+   * Returns { ok: false, reason } or { ok, verdict, positions, sequence, candidates, … }.
+   * verdict: identified · inconclusive · no_match
+   */
+  function decode({ channel = null, observations = [], hashes: captured = [] } = {}) {
+    if (!Array.isArray(observations) || !Array.isArray(captured)) return { ok: false, reason: 'observations and hashes must be arrays' };
+
+    const seen = [];
+    for (const o of observations) {
+      const variant = String(o && o.variant).toUpperCase();
+      if (!(Number.isInteger(o && o.n) && o.n > 0) || !VARIANTS.includes(variant))
+        return { ok: false, reason: `bad observation ${JSON.stringify(o)} (expected { n: segment number, variant: "A" | "B" })` };
+      seen.push({ n: o.n, bit: VARIANTS.indexOf(variant) });
+    }
+    let unknownHashes = 0;
+    const hashChannels = new Set();
+    for (const h of captured) {
+      const hit = hashes.get(String(h).toLowerCase());
+      if (!hit) { unknownHashes++; continue; }
+      hashChannels.add(hit.channel);
+      seen.push({ n: hit.n, bit: VARIANTS.indexOf(hit.variant) });
+    }
+    if (!channel && hashChannels.size === 1) channel = [...hashChannels][0];
+
+    // Majority vote per position; ties stay unknown
+    const votes = Array.from({ length: bits }, () => [0, 0]);
+    for (const { n, bit } of seen) votes[(n - 1) % bits][bit]++;
+    const observed = votes.map(([a, b]) => (a === b ? null : a > b ? 0 : 1));
+    const positions = observed.filter(b => b !== null).length;
+    const result = {
+      ok:        true,
+      channel,
+      segments:  seen.length,
+      unknownHashes,
+      positions,
+      sequence:  observed.map(b => (b === null ? '?' : VARIANTS[b])).join('')
+    };
+    if (!positions) return { ...result, verdict: 'no_match', candidates: [] };
+
+    const pool = [...sessions.values()].filter(s => !channel || s.channels.has(channel));
+    const ranked = pool.map(s => {
+      const seq = sequence(s.sid);
+      const matches = observed.reduce((n, b, i) => n + (b !== null && b === seq[i] ? 1 : 0), 0);
+      return { s, matches };
+    }).sort((a, b) => b.matches - a.matches);
+
+    const candidates = ranked.slice(0, 5).map(({ s, matches }) => ({
+      session:   s.sid,
+      user:      s.user,
+      channels:  [...s.channels],
+      matches,
+      agreement: +(matches / positions).toFixed(3),
+      p:         Math.min(1, binomialTail(positions, matches) * pool.length),
+      firstSeen: new Date(s.firstSeen).toISOString(),
+      lastSeen:  new Date(s.lastSeen).toISOString()
+    }));
+
+    const best = candidates[0];
+    const verdict = !best ? 'no_match'
+      : best.p < 0.001 && best.agreement >= 0.9 && (!candidates[1] || candidates[1].matches < best.matches) ? 'identified'
+      : 'inconclusive';
+    return { ...result, verdict, compared: pool.length, candidates };
+  }
+
+  /** Marked sessions, newest first (filter by channel / user) */
+  function list({ channel, user } = {}) {
+    return [...sessions.values()]
+      .filter(s => (!channel || s.channels.has(channel)) && (!user || s.user === user))
+      .sort((a, b) => b.lastSeen - a.lastSeen)
+      .map(s => ({
+        session: s.sid, user: s.user, channels: [...s.channels], segments: s.segments,
+        sequence: sequence(s.sid).map(b => VARIANTS[b]).join(''),
+        firstSeen: new Date(s.firstSeen).toISOString(), lastSeen: new Date(s.lastSeen).toISOString()
+      }));
+  }
+
+  return { variantFor, served, decode, list, sequence, bits, size: () => sessions.size, hashCount: () => hashes.size };
+}
+
+module.exports = { createWatermarker, segmentNumber, binomialTail, VARIANTS };
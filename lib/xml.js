@@ -0,0 +1,170 @@
+/**
+ * Minimal XML tree for manifest rewriting
+ *
+ * Enough XML for MPDs: elements, attributes, text, comments, CDATA,
+ * processing instructions and DOCTYPE.  Whatever is not touched is
+ * written back byte-for-byte (text and comments are kept raw), so a
+ * rewritten MPD diffs cleanly against the upstream one.
+ *
+ *   Node: { type: 'element', name, attrs: { name: value }, children }
+ *         { type: 'text' | 'comment' | 'cdata' | 'pi' | 'doctype', raw }
+ *   Document: { type: 'document', children }
+ *
+ * Attribute values are decoded on parse and escaped on serialize;
+ * text is raw — use textOf() / setText() to read or replace it.
+ * No namespace processing: names keep their prefix ("cenc:pssh"),
+ * localName() strips it.
+ */
+
+'use strict';
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decode(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (all, e) => {
+    if (e[0] === '#') return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : +e.slice(1));
+    return ENTITIES[e] ?? all;
+  });
+}
+
+const escapeText = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttr = s => escapeText(s).replace(/"/g, '&quot;');
+
+/** Parse a document. Throws on malformed input (with the offset) */
+function parseXml(src) {
+  const doc = { type: 'document', children: [] };
+  const stack = [doc];
+  const top = () => stack[stack.length - 1];
+  const fail = (msg, at) => { throw new Error(`xml: ${msg} at offset ${at}`); };
+  let i = 0;
+
+  /** Push a raw node that runs from `start` to the end of `close` */
+  function raw(type, start, close) {
+    const end = src.indexOf(close, start);
+    if (end < 0) fail(`unterminated ${type}`, start);
+    top().children.push({ type, raw: src.slice(start, end + close.length) });
+    i = end + close.length;
+  }
+
+  while (i < src.length) {
+    const lt = src.indexOf('<', i);
+    if (lt < 0) { top().children.push({ type: 'text', raw: src.slice(i) }); break; }
+    if (lt > i) top().children.push({ type: 'text', raw: src.slice(i, lt) });
+
+    if (src.startsWith('<!--', lt))           raw('comment', lt, '-->');
+    else if (src.startsWith('<![CDATA[', lt)) raw('cdata', lt, ']]>');
+    else if (src.startsWith('<?', lt))        raw('pi', lt, '?>');
+    else if (src.startsWith('<!', lt))        raw('doctype', lt, '>');
+    else if (src[lt + 1] === '/') {
+      const end = src.indexOf('>', lt);
+      if (end < 0) fail('unterminated end tag', lt);
+      const name = src.slice(lt + 2, end).trim();
+      const open = stack.pop();
+      if (open.type !== 'element' || open.name !== name) fail(`</${name}> does not close <${open.name || '(document)'}>`, lt);
+      i = end + 1;
+    } else {
+      const nameRe = /<([^\s/>]+)/y;
+      nameRe.lastIndex = lt;
+      const m = nameRe.exec(src);
+      if (!m) fail('bad start tag', lt);
+      const el = { type: 'element', name: m[1], attrs: {}, children: [] };
+      let pos = nameRe.lastIndex;
+      top().children.push(el);
+
+      const attrRe = /\s*([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+      const endRe  = /\s*(\/?)>/y;
+      for (;;) {
+        endRe.lastIndex = pos;
+        const e = endRe.exec(src);
+        if (e) { pos = endRe.lastIndex; if (!e[1]) stack.push(el); break; }   // "/>" has no children
+        attrRe.lastIndex = pos;
+        const a = attrRe.exec(src);
+        if (!a) fail(`bad attribute in <${el.name}>`, pos);
+        el.attrs[a[1]] = decode(a[2] ?? a[3]);
+        pos = attrRe.lastIndex;
+      }
+      i = pos;
+    }
+  }
+  if (stack.length > 1) fail(`<${top().name}> is never closed`, src.length);
+  return doc;
+}
+
+function serialize(node) {
+  switch (node.type) {
+    case 'document': return node.children.map(serialize).join('');
+    case 'element': {
+      const attrs = Object.entries(node.attrs).map(([k, v]) => ` ${k}="${escapeAttr(v)}"`).join('');
+      return node.children.length
+        ? `<${node.name}${attrs}>${node.children.map(serialize).join('')}</${node.name}>`
+        : `<${node.name}${attrs}/>`;
+    }
+    default: return node.raw;
+  }
+}
+
+/** "cenc:default_KID" → "default_KID" */
+const localName = name => name.slice(name.indexOf(':') + 1);
+
+/** Child elements, optionally only those with local name `name` (case-insensitive) */
+function elements(el, name) {
+  return el.children.filter(c => c.type === 'element' &&
+    (!name || localName(c.name).toLowerCase() === name.toLowerCase()));
+}
+
+/** Every descendant element with local name `name`, document order */
+function descendants(el, name, out = []) {
+  for (const c of elements(el)) {
+    if (localName(c.name).toLowerCase() === name.toLowerCase()) out.push(c);
+    descendants(c, name, out);
+  }
+  return out;
+}
+
+/** Decoded text content (text + CDATA, not recursive) */
+function textOf(el) {
+  return el.children.map(c => (c.type === 'text' ? decode(c.raw) : c.type === 'cdata' ? c.raw.slice(9, -3) : '')).join('');
+}
+
+function setText(el, value) {
+  el.children = [{ type: 'text', raw: escapeText(value) }];
+}
+
+function element(name, attrs = {}, text) {
+  return { type: 'element', name, attrs, children: text === undefined ? [] : [{ type: 'text', raw: escapeText(text) }] };
+}
+
+const isBlank = n => !!n && n.type === 'text' && !n.raw.trim();
+
+/** Remove `child` from `parent`, with the indentation in front of it */
+function remove(parent, child) {
+  const i = parent.children.indexOf(child);
+  if (i < 0) return;
+  const ws = isBlank(parent.children[i - 1]);
+  parent.children.splice(ws ? i - 1 : i, ws ? 2 : 1);
+}
+
+/** Insert `child` before `ref` (null → append), indented like its siblings */
+function insertBefore(parent, child, ref) {
+  const kids = parent.children;
+  if (ref) {
+    const i = kids.indexOf(ref);
+    const indent = isBlank(kids[i - 1]) ? kids[i - 1].raw : '';
+    kids.splice(i, 0, child, ...(indent ? [{ type: 'text', raw: indent }] : []));
+    return;
+  }
+  // Append: before the closing tag's indentation, copying the last element's
+  const last = elements(parent).pop();
+  const j = last ? kids.indexOf(last) : -1;
+  const indent = j > 0 && isBlank(kids[j - 1]) ? kids[j - 1].raw : '';
+  const end = isBlank(kids[kids.length - 1]) && kids.length - 1 > j ? kids.length - 1 : kids.length;
+  kids.splice(end, 0, ...(indent ? [{ type: 'text', raw: indent }] : []), child);
+}
+
+/** The document's root element */
+const rootOf = doc => elements(doc)[0] || null;
+
+module.exports = {
+  parseXml, serialize, localName, elements, descendants, textOf, setText,
+  element, remove, insertBefore, rootOf
+};
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/**
+ * DASHPIPE packager
+ *
+ * Splits already-fragmented MP4 files into the init + $Number$ segment
+ * layout the local origin serves:
+ *
+ *   node scripts/package.js [--group N] <outDir> <input.mp4> [more.mp4 ...]
+ *
+ *   video-720p.mp4  →  outDir/video-720p-init.mp4
+ *                      outDir/video-720p-1.m4s
+ *                      outDir/video-720p-2.m4s ...
+ *
+ * Each moof+mdat fragment becomes one segment (or N of them with
+ * --group N).  A channels.json representation snippet is printed for
+ * every input so the result can be pasted straight into the catalog.
+ *
+ * Inputs must already be fragmented (e.g. ffmpeg -movflags
+ * frag_keyframe+empty_moov+default_base_moof, or mp4fragment).
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+// Boxes that only make sense for the original single file
+const SKIP_BOXES = new Set(['sidx', 'mfra', 'free', 'skip']);
+
+/** List the boxes in buf[start, end): [{ type, start, end, body }] */
+function readBoxes(buf, start = 0, end = buf.length) {
+  const boxes = [];
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size   = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    let header = 8;
+    if (size === 1) {
+      size   = Number(buf.readBigUInt64BE(pos + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+    if (size < header || pos + size > end) throw new Error(`corrupt box "${type}" at offset ${pos}`);
+    boxes.push({ type, start: pos, end: pos + size, body: pos + header });
+    pos += size;
+  }
+  return boxes;
+}
+
+/** Depth-first search for the first box matching a path like ['trak','mdia','mdhd'] */
+function findBox(buf, boxes, names) {
+  const box = boxes.find(b => b.type === names[0]);
+  if (!box || names.length === 1) return box;
+  return findBox(buf, readBoxes(buf, box.body, box.end), names.slice(1));
+}
+
+/** Track facts from moov: handler, timescale, and (for video) dimensions */
+function readTrackInfo(buf, moov) {
+  const inner = readBoxes(buf, moov.body, moov.end);
+  const info  = {};
+
+  const mdhd = findBox(buf, inner, ['trak', 'mdia', 'mdhd']);
+  if (mdhd) {
+    const v = buf.readUInt8(mdhd.body);
+    info.timescale = buf.readUInt32BE(mdhd.body + (v === 1 ? 20 : 12));
+  }
+
+  const hdlr = findBox(buf, inner, ['trak', 'mdia', 'hdlr']);
+  if (hdlr) info.handler = buf.toString('latin1', hdlr.body + 8, hdlr.body + 12);
+
+  const tkhd = findBox(buf, inner, ['trak', 'tkhd']);
+  if (tkhd && info.handler === 'vide') {
+    info.width  = buf.readUInt32BE(tkhd.end - 8) >>> 16;
+    info.height = buf.readUInt32BE(tkhd.end - 4) >>> 16;
+  }
+  return info;
+}
+
+/** baseMediaDecodeTime of a moof's first traf (null when there is no tfdt) */
+function readDecodeTime(buf, moof) {
+  const tfdt = findBox(buf, readBoxes(buf, moof.body, moof.end), ['traf', 'tfdt']);
+  if (!tfdt) return null;
+  const v = buf.readUInt8(tfdt.body);
+  return v === 1 ? Number(buf.readBigUInt64BE(tfdt.body + 4)) : buf.readUInt32BE(tfdt.body + 4);
+}
+
+/**
+ * Split one fragmented MP4 into { init, fragments[] } where each
+ * fragment is { buf, decodeTime }.  A styp directly before a moof is
+ * kept with that fragment.
+ */
+function splitFragments(buf) {
+  const boxes = readBoxes(buf);
+  const firstMoof = boxes.findIndex(b => b.type === 'moof');
+  if (firstMoof === -1) throw new Error('no moof box found — input is not a fragmented MP4');
+
+  const moov = boxes.find(b => b.type === 'moov');
+  if (!moov) throw new Error('no moov box found');
+
+  const initEnd = boxes[firstMoof - 1] && boxes[firstMoof - 1].type === 'styp' ? firstMoof - 1 : firstMoof;
+  const init = Buffer.concat(
+    boxes.slice(0, initEnd).filter(b => !SKIP_BOXES.has(b.type)).map(b => buf.subarray(b.start, b.end))
+  );
+
+  const fragments = [];
+  let current = null;
+  boxes.slice(initEnd).forEach((b, i, rest) => {
+    if (SKIP_BOXES.has(b.type)) return;
+    const startsFragment = b.type === 'styp' || (b.type === 'moof' && !(rest[i - 1] && rest[i - 1].type === 'styp'));
+    if (startsFragment) {
+      current = { parts: [], decodeTime: null };
+      fragments.push(current);
+    }
+    if (!current) return;
+    if (b.type === 'moof') current.decodeTime = readDecodeTime(buf, b);
+    current.parts.push(buf.subarray(b.start, b.end));
+  });
+
+  return {
+    init,
+    track: readTrackInfo(buf, moov),
+    fragments: fragments.map(f => ({ buf: Buffer.concat(f.parts), decodeTime: f.decodeTime }))
+  };
+}
+
+/** Package one input file into outDir. Returns a catalog representation snippet */
+function packageFile(input, outDir, group) {
+  const name = path.basename(input, path.extname(input));
+  const { init, track, fragments } = splitFragments(fs.readFileSync(input));
+
+  fs.writeFileSync(path.join(outDir, `${name}-init.mp4`), init);
+
+  const segments = [];
+  for (let i = 0; i < fragments.length; i += group) segments.push(fragments.slice(i, i + group));
+
+  const sizes = [];
+  segments.forEach((frags, i) => {
+    const data = Buffer.concat(frags.map(f => f.buf));
+    sizes.push(data.length);
+    fs.writeFileSync(path.join(outDir, `${name}-${i + 1}.m4s`), data);
+  });
+
+  // Segment duration from the decode-time step between the first two segments
+  const t0 = segments[0] && segments[0][0].decodeTime;
+  const t1 = segments[1] && segments[1][0].decodeTime;
+  const segmentDuration = t0 != null && t1 != null ? t1 - t0 : null;
+
+  const rep = {
+    id: name,
+    bandwidth: null,
+    initialization: `${name}-init.mp4`,
+    media: `${name}-$Number$.m4s`
+  };
+  if (track.width)  rep.width  = track.width;
+  if (track.height) rep.height = track.height;
+  // @bandwidth must carry the peak segment, not the average: each segment's
+  // bitrate over its own duration (next decode time; the last one: nominal)
+  if (segmentDuration && track.timescale) {
+    const peak = Math.max(...sizes.map((size, i) => {
+      const next = segments[i + 1] && segments[i + 1][0].decodeTime;
+      const start = segments[i][0].decodeTime;
+      const ticks = next != null && start != null && next > start ? next - start : segmentDuration;
+      return (size * 8 * track.timescale) / ticks;
+    }));
+    rep.bandwidth = Math.round(peak);
+  }
+
+  return {
+    name,
+    segments: segments.length,
+    contentType: { vide: 'video', soun: 'audio', text: 'text', subt: 'text' }[track.handler] || track.handler,
+    timescale: track.timescale,
+    segmentDuration,
+    representation: rep
+  };
+}
+
+function main(argv) {
+  let group = 1;
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--group') group = parseInt(argv[++i], 10);
+    else args.push(argv[i]);
+  }
+  if (args.length < 2 || !(group >= 1)) {
+    console.error('usage: node scripts/package.js [--group N] <outDir> <input.mp4> [more.mp4 ...]');
+    process.exit(1);
+  }
+
+  const [outDir, ...inputs] = args;
+  fs.mkdirSync(outDir, { recursive: true });
+
+  for (const input of inputs) {
+    try {
+      const r = packageFile(input, outDir, group);
+      console.log(`[PACKAGE] ${input} → ${r.segments} segment(s) in ${outDir}`);
+      console.log(`          ${r.contentType} timescale=${r.timescale} segmentDuration=${r.segmentDuration}`);
+      console.log(JSON.stringify(r.representation, null, 2));
+    } catch (err) {
+      console.error(`[PACKAGE] ${input}: ${err.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = { splitFragments, packageFile };
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * DASHPIPE watermark tool
+ *
+ * Makes the A/B variants a "watermark" channel serves, and traces a
+ * captured recording back to the session that made it:
+ *
+ *   node scripts/watermark.js mark <contentDir> [--variants A,B]
+ *
+ *     content/Ch200/v-720p-17.m4s  →  content/Ch200/A/v-720p-17.m4s
+ *                                     content/Ch200/B/v-720p-17.m4s
+ *
+ *     Every numbered media segment is copied twice with a top-level
+ *     'free' box appended that names its variant.  Players skip the
+ *     box; a real deployment would mark the pictures themselves (the
+ *     encoder's job), but the copies already differ, so captures decode
+ *     by hash and by tag alike.
+ *
+ *   node scripts/watermark.js decode <captureDir> --server http://localhost:3000 --token <admin token> [--channel Ch200]
+ *
+ *     Reads every captured segment: files carrying a variant tag become
+ *     { n, variant } observations, the rest are sent as SHA-256 hashes
+ *     to POST /api/admin/watermark/decode, which names the session and
+ *     user.
+ */
+
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const { segmentNumber } = require('../lib/watermark');
+
+const TAG = 'dashpipe-wm:';
+
+/** A top-level 'free' box holding "dashpipe-wm:<variant>" */
+function tagBox(variant) {
+  const payload = Buffer.from(TAG + variant, 'latin1');
+  const box = Buffer.alloc(8 + payload.length);
+  box.writeUInt32BE(box.length, 0);
+  box.write('free', 4, 'latin1');
+  payload.copy(box, 8);
+  return box;
+}
+
+/** The variant a segment's trailing tag box names, or null */
+function readTag(buf) {
+  const at = buf.lastIndexOf(Buffer.from('free' + TAG, 'latin1'));
+  if (at < 4 || buf.readUInt32BE(at - 4) !== buf.length - (at - 4)) return null;
+  return buf.toString('latin1', at + 4 + TAG.length);
+}
+
+/** Numbered media segments below dir, relative paths (variant dirs skipped) */
+function listSegments(dir, skip = new Set(), prefix = '') {
+  const out = [];
+  for (const e of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${e.name}` : e.name;
+    if (e.isDirectory()) {
+      if (!(prefix === '' && skip.has(e.name))) out.push(...listSegments(dir, skip, rel));
+    } else if (segmentNumber(rel) !== null) {
+      out.push(rel);
+    }
+  }
+  return out.sort();
+}
+
+/** Write <dir>/<variant>/<segment> for both variants. Returns the segment count */
+function markDir(dir, variants = ['A', 'B']) {
+  const segments = listSegments(dir, new Set(variants));
+  for (const rel of segments) {
+    const body = fs.readFileSync(path.join(dir, rel));
+    variants.forEach((variant, i) => {
+      const out = path.join(dir, variant, rel);
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, Buffer.concat([body, tagBox('AB'[i])]));
+    });
+  }
+  return segments.length;
+}
+
+/** Captured files → { observations: [{ n, variant }], hashes: [sha256 hex] } */
+function readCapture(dir) {
+  const observations = [];
+  const hashes = [];
+  for (const rel of listSegments(dir)) {
+    const body = fs.readFileSync(path.join(dir, rel));
+    const variant = readTag(body);
+    if (variant) observations.push({ n: segmentNumber(rel), variant });
+    else hashes.push(crypto.createHash('sha256').update(body).digest('hex'));
+  }
+  return { observations, hashes };
+}
+
+async function decode(dir, { server, token, channel }) {
+  const capture = readCapture(dir);
+  console.log(`[WATERMARK] ${dir}: ${capture.observations.length} tagged segment(s), ${capture.hashes.length} by hash`);
+
+  const res = await fetch(`${server.replace(/\/+$/, '')}/api/admin/watermark/decode`, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body:    JSON.stringify({ channel, ...capture })
+  });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(`${res.status} ${body.error || res.statusText}`);
+
+  console.log(`[WATERMARK] sequence ${body.sequence}  (${body.positions} position(s) known, ${body.unknownHashes} unknown hash(es))`);
+  console.log(`[WATERMARK] verdict: ${body.verdict}`);
+  for (const c of body.candidates)
+    console.log(`            ${c.user.padEnd(12)} session=${c.session}  matches=${c.matches}/${body.positions}  p=${c.p.toExponential(2)}`);
+  return body;
+}
+
+function usage() {
+  console.error('usage: node scripts/watermark.js mark <contentDir> [--variants A,B]');
+  console.error('       node scripts/watermark.js decode <captureDir> --server URL --token ADMIN_TOKEN [--channel ID]');
+  process.exit(1);
+}
+
+function main(argv) {
+  const [command, dir, ...rest] = argv;
+  const opts = {};
+  for (let i = 0; i < rest.length; i++) {
+    if (!rest[i].startsWith('--')) usage();
+    opts[rest[i].slice(2)] = rest[++i];
+  }
+  if (!dir) usage();
+
+  if (command === 'mark') {
+    const variants = (opts.variants || 'A,B').split(',');
+    if (variants.length !== 2) usage();
+    const count = markDir(dir, variants);
+    console.log(`[WATERMARK] ${count} segment(s) → ${variants.map(v => path.join(dir, v)).join(', ')}`);
+    console.log(`            channels.json: "watermark": ${JSON.stringify({ variants })}`);
+  } else if (command === 'decode') {
+    if (!opts.server || !opts.token) usage();
+    decode(dir, opts).catch(err => {
+      console.error(`[WATERMARK] decode failed: ${err.message}`);
+      process.exitCode = 1;
+    });
+  } else {
+    usage();
+  }
+}
+
+if (require.main === module) main(process.argv.slice(2));
+
+module.exports = { markDir, readCapture, readTag, tagBox };
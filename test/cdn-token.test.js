@@ -0,0 +1,75 @@
+/**
+ * Stateless CDN tokens: signature, expiry, ACL and IP checks, and
+ * signing-key rollover with a grace window.
+ *
+ *   npm test
+ */
+
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { createCdnTokenSigner } = require('../lib/cdn-token');
+
+const T0  = Date.parse('2026-01-01T00:00:00Z');
+const TTL = 60 * 1000;
+
+const claims = {
+  channel: 'Ch120', cdnServer: 'cs5', userId: 'demo', sessionId: 'abc123', ip: '192.0.2.7',
+  acl: ['/manifest.mpd', '/seg/*']
+};
+
+test('a signed token verifies and carries its claims', () => {
+  const clock = { t: T0 };
+  const signer = createCdnTokenSigner({ keys: [{ id: 'k1', secret: 's1' }], ttl: TTL, refSecret: 'ref', now: () => clock.t });
+  const token = signer.sign(claims);
+
+  const check = signer.verify(token, { path: '/seg/v-1.m4s', ip: '192.0.2.7' });
+  assert.ok(check.ok);
+  assert.equal(check.secsLeft, 60);
+  assert.deepEqual(
+    [check.data.keyId, check.data.channel, check.data.cdnServer, check.data.userId, check.data.ip],
+    ['k1', 'Ch120', 'cs5', 'demo', '192.0.2.7']
+  );
+  assert.equal(check.data.sessionRef, signer.sessionRef('abc123'));
+  assert.ok(!token.includes('abc123'), 'the session id itself is never in the URL');
+});
+
+test('tampering, expiry, paths and IPs are refused with stable codes', () => {
+  const clock = { t: T0 };
+  const signer = createCdnTokenSigner({ keys: [{ id: 'k1', secret: 's1' }], ttl: TTL, now: () => clock.t });
+  const token = signer.sign(claims);
+
+  assert.equal(signer.verify('garbage').code, 'malformed');
+  assert.equal(signer.verify(token.replace('uid=demo', 'uid=admin')).code, 'bad_signature');
+  assert.equal(signer.verify(token.replace('kid=k1', 'kid=k9')).code, 'unknown_key');
+  assert.equal(signer.verify(token, { path: '/license' }).code, 'path_not_allowed');
+  assert.equal(signer.verify(token, { path: '/manifest.mpd' }).ok, true);
+  assert.equal(signer.verify(token, { ip: '198.51.100.1' }).code, 'ip_mismatch');
+
+  clock.t = T0 + TTL;
+  assert.equal(signer.verify(token).code, 'expired');
+});
+
+test('key rollover: the old key verifies until its grace window ends', () => {
+  const clock = { t: T0 };
+  const old = createCdnTokenSigner({ keys: [{ id: 'k1', secret: 's1' }], ttl: TTL, refSecret: 'ref', now: () => clock.t });
+  const issued = old.sign(claims);
+
+  const rolled = createCdnTokenSigner({
+    keys: [{ id: 'k2', secret: 's2' }, { id: 'k1', secret: 's1', until: T0 + 30 * 1000 }],
+    ttl: TTL, refSecret: 'ref', now: () => clock.t
+  });
+  assert.equal(rolled.verify(rolled.sign(claims)).data.keyId, 'k2', 'the first key signs');
+  const during = rolled.verify(issued);
+  assert.ok(during.ok);
+  assert.equal(during.data.sessionRef, rolled.sessionRef('abc123'), 'session references survive the rollover');
+
+  clock.t = T0 + 31 * 1000;
+  assert.equal(rolled.verify(issued).code, 'key_retired');
+  assert.ok(rolled.verify(rolled.sign(claims)).ok);
+});
+
+test('a signer needs at least one key', () => {
+  assert.throws(() => createCdnTokenSigner({ keys: [], ttl: TTL }), /at least one signing key/);
+});
@@ -0,0 +1,70 @@
+/**
+ * ClearKey license messages: request parsing, the JWK Set response and
+ * the common-system PSSH box.
+ *
+ *   npm test
+ */
+
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLicenseRequest, buildLicenseResponse, buildCommonPssh, LicenseError } = require('../lib/clearkey');
+
+const KID = '9ab40503e44b480293256257542f2299';
+const KEY = '166630c67582ac7d76e5b8fc8c42f083';
+const b64url = hex => Buffer.from(hex, 'hex').toString('base64url');
+const b64    = hex => Buffer.from(hex, 'hex').toString('base64');
+
+/** The LicenseError parseLicenseRequest throws for `body` */
+function refusal(body) {
+  try { parseLicenseRequest(body); }
+  catch (err) {
+    assert.ok(err instanceof LicenseError);
+    return err;
+  }
+  assert.fail('expected a LicenseError');
+}
+
+test('parses Buffer, string and pre-parsed requests', () => {
+  const msg = { kids: [b64url(KID)], type: 'temporary' };
+  const want = { kids: [KID], type: 'temporary' };
+  assert.deepEqual(parseLicenseRequest(Buffer.from(JSON.stringify(msg))), want);
+  assert.deepEqual(parseLicenseRequest(JSON.stringify(msg)), want);
+  assert.deepEqual(parseLicenseRequest(msg), want);
+});
+
+test('defaults the session type, accepts padded base64 and drops duplicate KIDs', () => {
+  const parsed = parseLicenseRequest({ kids: [b64url(KID), b64(KID), b64url(KID)] });
+  assert.deepEqual(parsed, { kids: [KID], type: 'temporary' });
+  assert.equal(parseLicenseRequest({ kids: [b64url(KID)], type: 'persistent-license' }).type, 'persistent-license');
+});
+
+test('malformed requests are 400s', () => {
+  assert.match(refusal('{not json').message, /not valid JSON/);
+  assert.match(refusal({}).message, /non-empty "kids" array/);
+  assert.match(refusal({ kids: [] }).message, /non-empty "kids" array/);
+  assert.match(refusal({ kids: [b64url(KID)], type: 'forever' }).message, /unsupported session type "forever"/);
+  assert.match(refusal({ kids: [b64url('00ff')] }).message, /malformed kid/, 'a KID is 16 bytes');
+  assert.match(refusal({ kids: ['not a kid!'] }).message, /malformed kid/);
+  assert.equal(refusal({ kids: [42] }).status, 400);
+});
+
+test('the response is a JWK Set in base64url', () => {
+  assert.deepEqual(buildLicenseResponse({ [KID]: KEY }, 'temporary'), {
+    keys: [{ kty: 'oct', kid: b64url(KID), k: b64url(KEY) }],
+    type: 'temporary'
+  });
+});
+
+test('the common PSSH box lists every KID', () => {
+  const next = '00112233445566778899aabbccddeeff';
+  const box = Buffer.from(buildCommonPssh([KID, next]), 'base64');
+  assert.equal(box.readUInt32BE(0), box.length);
+  assert.equal(box.toString('latin1', 4, 8), 'pssh');
+  assert.equal(box[8], 1, 'version 1 carries a KID list');
+  assert.equal(box.toString('hex', 12, 28), '1077efecc0b24d02ace33c1e52e2fb4b');
+  assert.equal(box.readUInt32BE(28), 2);
+  assert.deepEqual([box.toString('hex', 32, 48), box.toString('hex', 48, 64)], [KID, next]);
+  assert.equal(box.readUInt32BE(64), 0);
+});
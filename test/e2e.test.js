@@ -0,0 +1,566 @@
+/**
+ * End-to-end: login → proxy → MPD → segments → license against a
+ * mock upstream on an ephemeral port.  Every instance is in-memory
+ * (no files), silent, and runs on an injected clock.
+ *
+ *   npm test
+ */
+
+'use strict';
+
+const test    = require('node:test');
+const assert  = require('node:assert/strict');
+const http    = require('http');
+const path    = require('path');
+const crypto  = require('crypto');
+const express = require('express');
+const { createDashpipe, HOOKS } = require('../lib/dashpipe');
+
+const KID = '9ab40503e44b480293256257542f2299';
+const KEY = '166630c67582ac7d76e5b8fc8c42f083';
+const b64url = hex => Buffer.from(hex, 'hex').toString('base64url');
+
+const ADAPTATION_SETS = [{
+  contentType: 'video', mimeType: 'video/mp4', codecs: 'avc1.42c00d', timescale: 90000, segmentDuration: 360000,
+  representations: [{ id: 'v1', bandwidth: 100000, width: 256, height: 144, initialization: 'v-init.mp4', media: 'v-$Number$.m4s' }]
+}];
+
+const silent = { log() {}, warn() {} };
+
+// ── Mock upstream: 20-byte segments, cacheable for an hour ("hang" paths never answer) ──
+let upstreamHits = 0;
+const upstream = http.createServer((req, res) => {
+  upstreamHits++;
+  if (req.url.includes('missing')) { res.statusCode = 404; return res.end(); }
+  if (req.url.includes('hang')) return;   // a stuck origin: never answers
+  res.writeHead(200, { 'Content-Type': 'video/iso.segment', 'Cache-Control': 'max-age=3600', 'ETag': '"v1"' });
+  res.end(Buffer.from('0123456789abcdefghij'));
+});
+test.after(() => upstream.close());
+
+/** Two channels on `origin`, with optional "access" blocks */
+function catalog(origin, access = {}) {
+  return {
+    channels: {
+      Clear: { name: 'Clear', origin, basePath: '/clear', drm: false, duration: 'PT16S', minBufferTime: 'PT2S', adaptationSets: ADAPTATION_SETS, access: access.Clear },
+      Enc:   { name: 'Enc', origin, basePath: '/enc', drm: true, keys: { [KID]: KEY }, duration: 'PT16S', minBufferTime: 'PT2S', adaptationSets: ADAPTATION_SETS, access: access.Enc }
+    }
+  };
+}
+
+/** A fresh instance on `clock`, collecting every hook into `events` */
+function instance(origin, clock, extra = {}) {
+  const events = [];
+  const dp = createDashpipe({
+    channels: catalog(origin),
+    ads: null,
+    users: {
+      packages: { basic: ['Clear'], premium: ['Clear', 'Enc'] },
+      accounts: [
+        { username: 'demo', password: 'demo123', role: 'viewer', packages: ['premium'] },
+        { username: 'test', password: 'test456', role: 'viewer', packages: ['basic'] }
+      ]
+    },
+    cdnNodes: [{ id: 'n1', weight: 1, latencyMs: 0 }],
+    now: () => clock.t,
+    logger: silent,
+    publicDir: null,
+    ...extra
+  });
+  for (const hook of HOOKS) dp.on(hook, e => events.push({ hook, ...e }));
+  return { dp, events };
+}
+
+/** Request headers claiming to come from `ip` (honoured with trustProxy) */
+const from = ip => (ip ? { 'x-forwarded-for': ip } : {});
+
+async function login(base, username, password, ip) {
+  const res = await fetch(`${base}/login`, {
+    method: 'POST', headers: { 'content-type': 'application/json', ...from(ip) }, body: JSON.stringify({ username, password })
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+/** /proxy → { status, location, reason } without following the redirect */
+async function proxy(base, channel, token, ip) {
+  const res = await fetch(`${base}/proxy/${channel}?token=${encodeURIComponent(token)}`, { redirect: 'manual', headers: from(ip) });
+  await res.arrayBuffer();
+  return { status: res.status, location: res.headers.get('location'), reason: res.headers.get('x-deny-reason') };
+}
+
+const baseUrlOf = mpd => /<BaseURL[^>]*>([^<]+)<\/BaseURL>/.exec(mpd)[1];
+
+test('dashpipe end to end', async t => {
+  await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+  const origin = `http://127.0.0.1:${upstream.address().port}`;
+  const clock = { t: Date.parse('2026-01-01T00:00:00Z') };
+
+  const { dp, events } = instance(origin, clock);
+  const { url } = await dp.start({ port: 0, host: '127.0.0.1' });
+  t.after(() => dp.stop());
+
+  let token;
+  await t.test('login grants a session and fires the login hook', async () => {
+    const ok = await login(url, 'demo', 'demo123');
+    assert.equal(ok.status, 200);
+    assert.ok(ok.body.token);
+    token = ok.body.token;
+    assert.ok(events.some(e => e.hook === 'login' && e.user === 'demo'));
+
+    const bad = await login(url, 'demo', 'nope');
+    assert.equal(bad.status, 401);
+    assert.ok(events.some(e => e.hook === 'deny' && e.stage === 'login' && e.user === 'demo'));
+  });
+
+  let manifestUrl, segBase;
+  await t.test('proxy redirects to a CDN manifest listing the node', async () => {
+    const p = await proxy(url, 'Clear', token);
+    assert.equal(p.status, 302);
+    assert.ok(p.location.startsWith(`${url}/cdn/`));
+    manifestUrl = p.location;
+    assert.ok(events.some(e => e.hook === 'proxy' && e.channel === 'Clear' && e.node === 'n1'));
+
+    const res = await fetch(manifestUrl);
+    assert.equal(res.status, 200);
+    const mpd = await res.text();
+    segBase = baseUrlOf(mpd);
+    assert.match(segBase, /\/n\/n1\/seg\/$/);
+    assert.match(mpd, /media="v-\$Number\$\.m4s"/);
+  });
+
+  await t.test('segments are fetched once, then served from the edge cache', async () => {
+    const before = upstreamHits;
+    const first = await fetch(`${segBase}v-1.m4s`);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    assert.equal(await first.text(), '0123456789abcdefghij');
+
+    const second = await fetch(`${segBase}v-1.m4s`);
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    await second.arrayBuffer();
+    assert.equal(upstreamHits, before + 1);
+
+    const seen = events.filter(e => e.hook === 'segment' && e.seg === 'v-1.m4s').map(e => e.cache);
+    assert.deepEqual(seen, ['MISS', 'HIT']);
+  });
+
+  await t.test('a stuck origin times out every waiting player with 504', async () => {
+    const slow = instance(origin, clock, { upstreamTimeoutMs: 200 });
+    const started = await slow.dp.start({ port: 0, host: '127.0.0.1' });
+    t.after(() => slow.dp.stop());
+
+    const { body } = await login(started.url, 'demo', 'demo123');
+    const p = await proxy(started.url, 'Clear', body.token);
+    const base = baseUrlOf(await (await fetch(p.location)).text());
+    const statuses = await Promise.all([1, 2].map(async () => {
+      const res = await fetch(`${base}hang-1.m4s`);
+      await res.text();
+      return res.status;
+    }));
+    assert.deepEqual(statuses, [504, 504]);
+  });
+
+  await t.test('the basic package is refused a premium channel', async () => {
+    const { body } = await login(url, 'test', 'test456');
+    const p = await proxy(url, 'Enc', body.token);
+    assert.equal(p.status, 403);
+    assert.ok(events.some(e => e.hook === 'deny' && e.stage === 'proxy' && e.user === 'test' && e.channel === 'Enc'));
+  });
+
+  await t.test('ClearKey license: granted with the CDN token, refused when not entitled', async () => {
+    const p = await proxy(url, 'Enc', token);
+    const cdnToken = decodeURIComponent(/\/cdn\/([^/]+)\//.exec(p.location)[1]);
+    const res = await fetch(`${url}/license?cdnToken=${encodeURIComponent(cdnToken)}`, {
+      method: 'POST', body: JSON.stringify({ kids: [b64url(KID)], type: 'temporary' })
+    });
+    assert.equal(res.status, 200);
+    const { keys } = await res.json();
+    assert.equal(keys[0].k, b64url(KEY));
+    assert.ok(events.some(e => e.hook === 'license' && e.channel === 'Enc' && e.via === 'cdn'));
+
+    const { body } = await login(url, 'test', 'test456');
+    const denied = await fetch(`${url}/license?token=${body.token}&channel=Enc`, {
+      method: 'POST', body: JSON.stringify({ kids: [b64url(KID)] })
+    });
+    assert.equal(denied.status, 403);
+    assert.ok(events.some(e => e.hook === 'deny' && e.stage === 'license' && e.status === 403));
+  });
+
+  await t.test('HLS identity keys are refused once the user loses the channel', async () => {
+    const res = await fetch(`${url}/proxy/Enc?token=${encodeURIComponent(token)}&e=.m3u8`, { redirect: 'manual' });
+    await res.arrayBuffer();
+    const keyUrl = new URL(`hls/key/${KID}`, res.headers.get('location')).href;
+
+    const granted = await fetch(keyUrl);
+    assert.equal(granted.status, 200);
+    assert.equal(Buffer.from(await granted.arrayBuffer()).toString('hex'), KEY);
+
+    dp.users.setEntitlements('demo', { packages: ['basic'] });
+    t.after(() => dp.users.setEntitlements('demo', { packages: ['premium'] }));
+    const refused = await fetch(keyUrl);
+    assert.equal(refused.status, 403);
+    await refused.text();
+    assert.ok(events.some(e => e.hook === 'deny' && e.stage === 'license' && e.code === 'not_entitled' && e.user === 'demo'));
+  });
+
+  await t.test('CDN tokens expire on the injected clock', async () => {
+    clock.t += 61 * 1000;
+    const res = await fetch(`${segBase}v-2.m4s`);
+    assert.equal(res.status, 403);
+    await res.text();
+    assert.ok(events.some(e => e.hook === 'deny' && e.stage === 'cdn' && e.code === 'expired'));
+  });
+
+  await t.test('a throwing hook listener does not fail the request', async () => {
+    dp.on('login', () => { throw new Error('listener bug'); });
+    const ok = await login(url, 'demo', 'demo123');
+    assert.equal(ok.status, 200);
+    assert.throws(() => dp.on('nope', () => {}), /unknown hook/);
+  });
+});
+
+test('mounted under a path inside another app', async t => {
+  const clock = { t: Date.parse('2026-01-01T00:00:00Z') };
+  const { dp } = instance('http://127.0.0.1:1', clock, {
+    // no network: the injected upstream answers every origin fetch
+    upstream: async () => ({ status: 200, headers: { 'content-type': 'video/mp4' }, body: Buffer.from('mounted') })
+  });
+  assert.equal(await dp.start(), null);
+
+  const parent = express();
+  parent.use('/tv', dp.app);
+  const server = await new Promise(resolve => { const s = parent.listen(0, '127.0.0.1', () => resolve(s)); });
+  t.after(async () => {
+    await dp.stop();
+    await new Promise(resolve => server.close(resolve));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/tv`;
+
+  const { body } = await login(base, 'demo', 'demo123');
+  const p = await proxy(base, 'Clear', body.token);
+  assert.equal(p.status, 302);
+  assert.ok(p.location.startsWith(`${base}/cdn/`));
+
+  const mpd = await (await fetch(p.location)).text();
+  const segBase = baseUrlOf(mpd);
+  assert.ok(segBase.startsWith(`${base}/cdn/`));
+
+  const seg = await fetch(`${segBase}v-1.m4s`);
+  assert.equal(seg.status, 200);
+  assert.equal(await seg.text(), 'mounted');
+});
+
+test('IP binding, CIDR lists and geo rules', async t => {
+  const clock = { t: Date.parse('2026-01-01T00:00:00Z') };
+  const { dp, events } = instance('http://127.0.0.1:1', clock, {
+    channels: catalog('http://127.0.0.1:1', {
+      Clear: { deny: ['192.0.2.128/25'], countries: { allow: ['LK'] } },
+      Enc:   { countries: { deny: ['DE'] } }
+    }),
+    geoDb:          path.join(__dirname, '..', 'geoip.sample.csv'),
+    trustProxy:     true,
+    sessions:       { bindIp: 'subnet' },
+    cdnTokenBindIp: 'ip',
+    upstream:       async () => ({ status: 200, headers: {}, body: Buffer.from('seg') })
+  });
+  const { url } = await dp.start({ port: 0, host: '127.0.0.1' });
+  t.after(() => dp.stop());
+
+  // 192.0.2.0/24 is LK, 198.51.100.0/24 US, 203.0.113.0/24 DE in the sample database
+  const { body } = await login(url, 'demo', 'demo123', '192.0.2.10');
+
+  const ok = await proxy(url, 'Clear', body.token, '192.0.2.20');
+  assert.equal(ok.status, 302, 'same /24 as the login');
+  assert.ok(events.some(e => e.hook === 'proxy' && e.country === 'LK'));
+
+  const moved = await proxy(url, 'Clear', body.token, '198.51.100.5');
+  assert.deepEqual([moved.status, moved.reason], [403, 'session_ip']);
+
+  // The CDN token is bound to the exact address
+  const manifest = await fetch(ok.location, { headers: from('192.0.2.20') });
+  assert.equal(manifest.status, 200);
+  await manifest.text();
+  const other = await fetch(ok.location, { headers: from('192.0.2.21') });
+  assert.deepEqual([other.status, other.headers.get('x-deny-reason')], [403, 'ip_mismatch']);
+  await other.text();
+
+  const de = await login(url, 'demo', 'demo123', '203.0.113.5');
+  const blocked = await proxy(url, 'Clear', de.body.token, '203.0.113.5');
+  assert.deepEqual([blocked.status, blocked.reason], [403, 'geo_blocked']);
+  assert.ok(events.some(e => e.hook === 'deny' && e.stage === 'proxy' && e.code === 'geo_blocked'));
+
+  const listed = await login(url, 'demo', 'demo123', '192.0.2.200');
+  assert.equal((await proxy(url, 'Clear', listed.body.token, '192.0.2.200')).reason, 'ip_denied');
+
+  const license = await fetch(`${url}/license?token=${de.body.token}&channel=Enc`, {
+    method: 'POST', headers: from('203.0.113.5'), body: JSON.stringify({ kids: [b64url(KID)] })
+  });
+  assert.equal(license.status, 403);
+  assert.equal((await license.json()).reason, 'geo_blocked');
+});
+
+test('A/B watermarks trace a capture to its session', async t => {
+  const clock = { t: Date.parse('2026-01-01T00:00:00Z') };
+  const channels = catalog('http://127.0.0.1:1');
+  channels.channels.Clear.watermark = true;
+  const fetched = [];
+  const { dp, events } = instance('http://127.0.0.1:1', clock, {
+    channels,
+    watermark: { secret: 'wm-test', bits: 16 },
+    users: {
+      packages: { basic: ['Clear'] },
+      accounts: [
+        { username: 'demo',  password: 'demo123',  role: 'viewer', packages: ['basic'] },
+        { username: 'test',  password: 'test456',  role: 'viewer', packages: ['basic'] },
+        { username: 'admin', password: 'admin789', role: 'admin' }
+      ]
+    },
+    // the variant directory is part of what the origin is asked for, and so of the body
+    upstream: async (channel, upstreamPath) => {
+      fetched.push(upstreamPath);
+      return { status: 200, headers: {}, body: Buffer.from(`segment ${upstreamPath}`) };
+    }
+  });
+  const { url } = await dp.start({ port: 0, host: '127.0.0.1' });
+  t.after(() => dp.stop());
+
+  /** Watch segments 1..16 of Clear as `user`: the bodies a capture would hold */
+  async function watch(username, password, { refreshAfter } = {}) {
+    const { body } = await login(url, username, password);
+    const manifestBase = async token => baseUrlOf(await (await fetch((await proxy(url, 'Clear', token)).location)).text());
+    let segBase = await manifestBase(body.token);
+    assert.equal((await fetch(`${segBase}v-init.mp4`)).status, 200);
+    const bodies = [];
+    for (let n = 1; n <= 16; n++) {
+      bodies.push(Buffer.from(await (await fetch(`${segBase}v-${n}.m4s`)).arrayBuffer()));
+      if (n === refreshAfter) {
+        // the player refreshes its token and reloads the manifest halfway through
+        const refreshed = await (await fetch(`${url}/token/refresh`, {
+          method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ refreshToken: body.refreshToken })
+        })).json();
+        assert.ok(refreshed.success);
+        segBase = await manifestBase(refreshed.token);
+      }
+    }
+    return bodies;
+  }
+  const leaked = await watch('demo', 'demo123', { refreshAfter: 8 });
+  await watch('test', 'test456');
+
+  assert.ok(fetched.includes('/clear/v-init.mp4'), 'init segments are not marked');
+  assert.ok(fetched.some(p => p.startsWith('/clear/A/')) && fetched.some(p => p.startsWith('/clear/B/')));
+  assert.ok(events.some(e => e.hook === 'segment' && e.user === 'demo' && (e.wm === 'A' || e.wm === 'B')));
+
+  const admin = (await login(url, 'admin', 'admin789')).body.token;
+  const decode = async payload => {
+    const res = await fetch(`${url}/api/admin/watermark/decode`, {
+      method: 'POST', headers: { 'content-type': 'application/json', authorization: `Bearer ${admin}` }, body: JSON.stringify(payload)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const { sessions } = await (await fetch(`${url}/api/admin/watermark?channel=Clear&user=demo`, { headers: { authorization: `Bearer ${admin}` } })).json();
+  assert.equal(sessions.length, 1, 'a token refresh does not start a new watermark sequence');
+
+  // By segment hashes
+  const byHash = await decode({ hashes: leaked.map(b => crypto.createHash('sha256').update(b).digest('hex')) });
+  assert.equal(byHash.status, 200);
+  assert.equal(byHash.body.verdict, 'identified');
+  assert.equal(byHash.body.channel, 'Clear');
+  assert.deepEqual([byHash.body.candidates[0].user, byHash.body.candidates[0].session], ['demo', sessions[0].session]);
+  assert.equal(byHash.body.sequence, sessions[0].sequence);
+
+  // By the variants seen in the capture
+  const observations = leaked.map((b, i) => ({ n: i + 1, variant: b.toString().includes('/A/') ? 'A' : 'B' }));
+  const byVariant = await decode({ channel: 'Clear', observations });
+  assert.equal(byVariant.body.verdict, 'identified');
+  assert.equal(byVariant.body.candidates[0].user, 'demo');
+
+  const bad = await decode({ observations: [{ n: 1, variant: 'C' }] });
+  assert.equal(bad.status, 400);
+});
+
+test('ad segments are served only for Periods in the session\'s plan', async t => {
+  const clock = { t: Date.parse('2026-01-01T00:00:00Z') };
+  const { dp } = instance('http://127.0.0.1:1', clock, {
+    ads: {
+      pool: {
+        spot:  { name: 'Spot', asset: 'Clear', start: 'PT0S', duration: 'PT8S' },
+        other: { name: 'Other', asset: 'Clear', start: 'PT8S', duration: 'PT8S' }
+      },
+      schedules: { Clear: { preroll: ['spot'] } }
+    },
+    upstream: async () => ({ status: 200, headers: {}, body: Buffer.from('seg') })
+  });
+  const { url } = await dp.start({ port: 0, host: '127.0.0.1' });
+  t.after(() => dp.stop());
+
+  const { body } = await login(url, 'demo', 'demo123');
+  const p = await proxy(url, 'Clear', body.token);
+  const mpd = await (await fetch(p.location)).text();
+  assert.match(mpd, /<BaseURL>\.\.\/ad\/pre-1\/spot\/<\/BaseURL>/);
+
+  const adBase = new URL('../ad/', baseUrlOf(mpd)).href;
+  const status = async seg => {
+    const res = await fetch(adBase + seg);
+    await res.text();
+    return res.status;
+  };
+  assert.equal(await status('pre-1/spot/v-1.m4s'), 200);
+  assert.equal(await status('pre-2/spot/v-1.m4s'), 404, 'made-up Period');
+  assert.equal(await status('pre-1/other/v-1.m4s'), 404, 'ad not in the plan');
+
+  const tracking = await (await fetch(`${url}/api/ads/tracking?token=${encodeURIComponent(body.token)}`)).json();
+  assert.deepEqual(tracking.ads.map(r => r.period), ['pre-1']);
+});
+
+test('stream limits: 0 is a limit, refused loads register no device, heartbeats report known states', async t => {
+  const clock = { t: Date.parse('2026-01-01T00:00:00Z') };
+  const { dp } = instance('http://127.0.0.1:1', clock, { streams: { max: 1, devices: 0 } });
+  const { url } = await dp.start({ port: 0, host: '127.0.0.1' });
+  t.after(() => dp.stop());
+
+  const load = async (token, device) => {
+    const res = await fetch(`${url}/proxy/Clear?token=${encodeURIComponent(token)}&device=${device}`, { redirect: 'manual' });
+    await res.arrayBuffer();
+    return [res.status, res.headers.get('x-deny-reason')];
+  };
+  const { body } = await login(url, 'demo', 'demo123');
+  assert.deepEqual(await load(body.token, 'tv'), [429, 'device_limit'], 'devices: 0 admits no device');
+
+  dp.users.setLimits('demo', { devices: 5 });
+  assert.equal((await load(body.token, 'tv'))[0], 302);
+  assert.deepEqual(await load(body.token, 'phone'), [429, 'stream_limit']);
+  assert.deepEqual(dp.users.get('demo').devices.map(d => d.id), ['tv'], 'the refused phone is not registered');
+
+  const beat = async state => {
+    const res = await fetch(`${url}/api/playback/heartbeat`, {
+      method: 'POST', headers: { 'content-type': 'application/json', 'x-device-id': 'tv' }, body: JSON.stringify({ token: body.token, state })
+    });
+    await res.arrayBuffer();
+    return res.status;
+  };
+  assert.equal(await beat('paused'), 200);
+  assert.equal(await beat('<script>'), 400, 'states are a fixed vocabulary');
+  assert.equal(await beat(undefined), 200);
+});
+
+test('truncated deliveries count only the bytes actually sent', async t => {
+  const clock = { t: Date.parse('2026-01-01T00:00:00Z') };
+  const { dp } = instance('http://127.0.0.1:1', clock, {
+    users: { packages: {}, accounts: [{ username: 'admin', password: 'admin789', role: 'admin' }] },
+    upstream: async () => ({ status: 200, headers: {}, body: Buffer.alloc(1000, 1) })
+  });
+  const { url } = await dp.start({ port: 0, host: '127.0.0.1' });
+  t.after(() => dp.stop());
+
+  const admin = (await login(url, 'admin', 'admin789')).body.token;
+  const set = await fetch(`${url}/api/admin/impairments/channel/Clear`, {
+    method: 'PUT', headers: { 'content-type': 'application/json', authorization: `Bearer ${admin}` },
+    body: JSON.stringify({ profile: { truncateRate: 1 } })
+  });
+  assert.equal(set.status, 200);
+  await set.text();
+
+  const p = await proxy(url, 'Clear', admin);
+  const segBase = baseUrlOf(await (await fetch(p.location)).text());
+  await assert.rejects(fetch(`${segBase}v-1.m4s`).then(res => res.arrayBuffer()));
+
+  // the route finishes its accounting once the impaired writer settles
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const { total } = await (await fetch(`${url}/api/cache`)).json();
+  assert.ok(total.bytesServed < 900, `counted ${total.bytesServed} of 1000 bytes for a body cut below 90%`);
+});
+
+test('keys of channels encrypted upstream cannot be rotated', async t => {
+  const clock = { t: Date.parse('2026-01-01T00:00:00Z') };
+  const channels = catalog('http://127.0.0.1:1');
+  channels.channels.Packaged = {
+    ...channels.channels.Enc, origin: 'local', contentDir: 'content/Packaged', keys: { '00112233445566778899aabbccddeeff': KEY }
+  };
+  const { dp } = instance('http://127.0.0.1:1', clock, {
+    channels,
+    users: { packages: {}, accounts: [{ username: 'admin', password: 'admin789', role: 'admin' }] }
+  });
+  const { url } = await dp.start({ port: 0, host: '127.0.0.1' });
+  t.after(() => dp.stop());
+
+  const admin = (await login(url, 'admin', 'admin789')).body.token;
+  const post = async (route, payload = {}) => {
+    const res = await fetch(`${url}/api/admin/keys/${route}`, {
+      method: 'POST', headers: { 'content-type': 'application/json', authorization: `Bearer ${admin}` }, body: JSON.stringify(payload)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const refused = await post('Enc/rotate');
+  assert.equal(refused.status, 409);
+  assert.match(refused.body.error, /encrypted upstream/);
+  assert.equal((await post('Enc', { activeFrom: '2026-01-02T00:00:00Z' })).status, 409);
+  assert.equal((await post('Enc')).status, 201, 'a standby key can still be generated to package with');
+  assert.equal((await post('Packaged/rotate')).status, 200);
+
+  channels.channels.Enc.live = { keyRotation: { interval: 'PT10M' } };
+  assert.throws(() => createDashpipe({ channels, ads: null, logger: silent, publicDir: null }), /live\.keyRotation needs locally packaged content/);
+});
+
+test('the live log stream needs an admin session or the metrics token', async t => {
+  const clock = { t: Date.parse('2026-01-01T00:00:00Z') };
+  const { dp } = instance('http://127.0.0.1:1', clock, {
+    metricsToken: 'scrape-me',
+    users: {
+      packages: { basic: ['Clear'] },
+      accounts: [
+        { username: 'demo',  password: 'demo123',  role: 'viewer', packages: ['basic'] },
+        { username: 'admin', password: 'admin789', role: 'admin' }
+      ]
+    }
+  });
+  const { url } = await dp.start({ port: 0, host: '127.0.0.1' });
+  t.after(() => dp.stop());
+
+  /** Open the stream, read its first chunk, hang up. Resolves to [status, first chunk] */
+  const open = async (query, headers = {}) => {
+    const ac = new AbortController();
+    const res = await fetch(`${url}/api/log/stream${query}`, { headers, signal: ac.signal });
+    const first = res.ok ? new TextDecoder().decode((await res.body.getReader().read()).value) : await res.text();
+    ac.abort();
+    return [res.status, first];
+  };
+
+  const viewer = (await login(url, 'demo', 'demo123')).body.token;
+  const admin  = (await login(url, 'admin', 'admin789')).body.token;
+  assert.equal((await open(''))[0], 401);
+  assert.equal((await open(`?token=${viewer}`))[0], 403);
+  assert.equal((await open('', { authorization: 'Bearer wrong' }))[0], 403);
+  assert.deepEqual(await open(`?token=${admin}&type=LOGIN_OK`), [200, 'retry: 3000\n\n']);
+  assert.equal((await open('', { authorization: 'Bearer scrape-me' }))[0], 200);
+});
+
+test('a token refresh keeps the session reference (QoE, ad tracking)', async t => {
+  const clock = { t: Date.parse('2026-01-01T00:00:00Z') };
+  const { dp } = instance('http://127.0.0.1:1', clock);
+  const { url } = await dp.start({ port: 0, host: '127.0.0.1' });
+  t.after(() => dp.stop());
+
+  const { body } = await login(url, 'demo', 'demo123');
+  const beacon = await fetch(`${url}/api/qoe`, {
+    method: 'POST', headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ token: body.token, channel: 'Clear', events: [{ type: 'startup', ms: 800 }] })
+  });
+  assert.equal(beacon.status, 200);
+  await beacon.text();
+  const before = await (await fetch(`${url}/api/qoe/report?token=${encodeURIComponent(body.token)}`)).json();
+
+  const refreshed = await (await fetch(`${url}/token/refresh`, {
+    method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ refreshToken: body.refreshToken })
+  })).json();
+  assert.ok(refreshed.success);
+  assert.notEqual(refreshed.token, body.token);
+
+  const after = await (await fetch(`${url}/api/qoe/report?token=${encodeURIComponent(refreshed.token)}`)).json();
+  assert.equal(after.session, before.session);
+  assert.deepEqual(after.channels, before.channels, 'the pre-refresh history is still this session\'s');
+  const tracking = await (await fetch(`${url}/api/ads/tracking?token=${encodeURIComponent(refreshed.token)}`)).json();
+  assert.equal(tracking.session, before.session);
+});
@@ -0,0 +1,114 @@
+/**
+ * Edge cache: freshness and conditional revalidation against the
+ * origin, and answering players with Range / If-None-Match.
+ *
+ *   npm test
+ */
+
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { createEdgeCache, sendEntry, parseCacheControl } = require('../lib/edge-cache');
+
+const BODY = Buffer.from('0123456789abcdefghij');
+
+/** Just enough of an express response to watch sendEntry */
+function response() {
+  const res = { statusCode: null, headers: {}, body: null };
+  res.set    = (k, v) => { res.headers[k.toLowerCase()] = v; return res; };
+  res.status = code => { res.statusCode = code; return res; };
+  res.send   = body => { res.body = body; return res; };
+  res.end    = () => res;
+  return res;
+}
+
+/** An origin answering BODY with `headers`, 304 to a matching conditional GET */
+function origin(headers) {
+  const calls = [];
+  const fetchOrigin = async conditional => {
+    calls.push(conditional);
+    if (conditional && conditional.etag === headers.etag) return { status: 304, headers: {}, body: Buffer.alloc(0) };
+    return { status: 200, headers, body: BODY };
+  };
+  return { calls, fetchOrigin };
+}
+
+test('Cache-Control directives parse to flags and numbers', () => {
+  assert.deepEqual(parseCacheControl('public, max-age=60, S-MaxAge="300"'), { public: true, 'max-age': 60, 's-maxage': 300 });
+  assert.deepEqual(parseCacheControl(undefined), {});
+});
+
+test('a miss is stored, served fresh, then revalidated with its ETag once stale', async () => {
+  const clock = { t: 0 };
+  const cache = createEdgeCache({ maxBytes: 1024, defaultTtl: 5000, now: () => clock.t });
+  const up = origin({ 'cache-control': 'max-age=10', etag: '"v1"', 'content-type': 'video/iso.segment' });
+
+  const miss = await cache.get('a', up.fetchOrigin);
+  assert.equal(miss.cache, 'MISS');
+  assert.equal(miss.entry.etag, '"v1"');
+  assert.equal((await cache.get('a', up.fetchOrigin)).cache, 'HIT');
+  assert.deepEqual(up.calls, [null]);
+
+  clock.t = 10 * 1000;
+  const again = await cache.get('a', up.fetchOrigin);
+  assert.equal(again.cache, 'REVALIDATED');
+  assert.deepEqual(up.calls[1], { etag: '"v1"', lastModified: null });
+  assert.deepEqual(again.entry.body, BODY);
+  assert.equal(again.entry.expiresAt, 20 * 1000);
+  assert.equal(cache.stats().revalidated, 1);
+});
+
+test('no-store responses bypass the cache; concurrent misses share one origin request', async () => {
+  const cache = createEdgeCache({ maxBytes: 1024, defaultTtl: 5000 });
+  const nostore = origin({ 'cache-control': 'no-store' });
+  assert.equal((await cache.get('p', nostore.fetchOrigin)).cache, 'BYPASS');
+  assert.equal((await cache.get('p', nostore.fetchOrigin)).cache, 'BYPASS');
+  assert.equal(nostore.calls.length, 2);
+
+  const up = origin({});
+  const answers = await Promise.all([cache.get('c', up.fetchOrigin), cache.get('c', up.fetchOrigin)]);
+  assert.deepEqual(answers.map(a => a.cache), ['MISS', 'HIT']);
+  assert.equal(up.calls.length, 1);
+  assert.match(answers[0].entry.etag, /^".+"$/, 'an ETag is made up when the origin sends none');
+});
+
+test('sendEntry answers 200, 304, 206 and 416', async () => {
+  const cache = createEdgeCache({ maxBytes: 1024, defaultTtl: 5000, now: () => 0 });
+  const { entry } = await cache.get('s', origin({ etag: '"v1"', 'cache-control': 'max-age=60' }).fetchOrigin);
+  const send = headers => {
+    const res = response();
+    const sent = sendEntry({ headers }, res, entry, 'HIT', { now: 1000 });
+    return { res, sent };
+  };
+
+  const full = send({});
+  assert.deepEqual([full.res.statusCode, full.sent, full.res.body], [200, 20, BODY]);
+  assert.deepEqual([full.res.headers.etag, full.res.headers['x-cache'], full.res.headers.age], ['"v1"', 'HIT', '1']);
+  assert.equal(full.res.headers['accept-ranges'], 'bytes');
+
+  for (const inm of ['"v1"', 'W/"v1"', '"v0", "v1"', '*']) {
+    const notModified = send({ 'if-none-match': inm });
+    assert.deepEqual([notModified.res.statusCode, notModified.sent], [304, 0], inm);
+  }
+  assert.equal(send({ 'if-none-match': '"v2"' }).res.statusCode, 200);
+
+  const head = send({ range: 'bytes=0-3' });
+  assert.deepEqual([head.res.statusCode, head.sent, head.res.body.toString()], [206, 4, '0123']);
+  assert.equal(head.res.headers['content-range'], 'bytes 0-3/20');
+  assert.equal(send({ range: 'bytes=15-' }).res.body.toString(), 'fghij');
+  assert.equal(send({ range: 'bytes=-5' }).res.body.toString(), 'fghij');
+  assert.equal(send({ range: 'bytes=18-99' }).res.headers['content-range'], 'bytes 18-19/20');
+  assert.equal(send({ range: 'bytes=0-1,4-5' }).res.statusCode, 200, 'multi-range falls back to the full body');
+
+  const unsatisfiable = send({ range: 'bytes=20-' });
+  assert.deepEqual([unsatisfiable.res.statusCode, unsatisfiable.sent], [416, 0]);
+  assert.equal(unsatisfiable.res.headers['content-range'], 'bytes */20');
+});
+
+test('sendEntry reports what an impaired writer really sent', async () => {
+  const cache = createEdgeCache({ maxBytes: 1024, defaultTtl: 5000 });
+  const { entry } = await cache.get('w', origin({}).fetchOrigin);
+  const sent = await sendEntry({ headers: {} }, response(), entry, 'MISS', { write: async (status, body) => body.length - 12 });
+  assert.equal(sent, 8);
+});
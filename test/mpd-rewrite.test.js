@@ -0,0 +1,91 @@
+/**
+ * Upstream MPD rewriting: every transform in the chain, run on one
+ * origin manifest the way the CDN manifest route runs it.
+ *
+ *   npm test
+ */
+
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { rewriteMpd, normalizeChain, DEFAULT_CHAIN } = require('../lib/mpd-rewrite');
+
+const ORIGIN = 'https://origin.example/vod/show/';
+
+const UPSTREAM = `<?xml version="1.0" encoding="UTF-8"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" xmlns:cenc="urn:mpeg:cenc:2013" type="static" mediaPresentationDuration="PT30S">
+  <Location>${ORIGIN}dash.mpd</Location>
+  <BaseURL>${ORIGIN}</BaseURL>
+  <Period id="p0">
+    <AdaptationSet id="1" contentType="video" mimeType="video/mp4">
+      <ContentProtection schemeIdUri="urn:mpeg:dash:mp4protection:2011" value="cenc" cenc:default_KID="9ab40503-e44b-4802-9325-6257542f2299"/>
+      <ContentProtection schemeIdUri="urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed" value="Widevine"/>
+      <SegmentTemplate media="${ORIGIN}video/$RepresentationID$/$Number$.m4s" initialization="video/$RepresentationID$/init.mp4"/>
+      <Representation id="v480" codecs="avc1.4d401e" bandwidth="1000000" width="854" height="480"/>
+      <Representation id="v720" codecs="avc1.4d401f" bandwidth="2500000" width="1280" height="720"/>
+      <Representation id="v1080" codecs="avc1.640028" bandwidth="5000000" width="1920" height="1080"/>
+    </AdaptationSet>
+    <AdaptationSet id="2" contentType="audio" mimeType="audio/mp4">
+      <Representation id="aac" codecs="mp4a.40.2" bandwidth="128000"/>
+      <Representation id="eac3" codecs="ec-3" bandwidth="384000"/>
+    </AdaptationSet>
+    <AdaptationSet id="3" contentType="image" mimeType="image/jpeg">
+      <Representation id="thumbs" bandwidth="10000"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+const ctx = (extra = {}) => ({
+  upstreamUrl: `${ORIGIN}dash.mpd`,
+  segRoot:     ORIGIN,
+  nodes:       [{ id: 'cs5', weight: 2, base: 'http://edge/cdn/T/n/cs5/seg/' }, { id: 'cs7', weight: 1, base: 'http://edge/cdn/T/n/cs7/seg/' }],
+  licUrl:      'http://edge/license?token=T',
+  user:        null,
+  ...extra
+});
+
+test('the default chain points the MPD at our nodes and our license server', () => {
+  const { xml, notes } = rewriteMpd(UPSTREAM, normalizeChain(DEFAULT_CHAIN), ctx());
+
+  assert.ok(!xml.includes('<Location>'), 'players must come back to us');
+  assert.match(xml, /<BaseURL serviceLocation="cs5" dvb:priority="1" dvb:weight="2">http:\/\/edge\/cdn\/T\/n\/cs5\/seg\/<\/BaseURL>/);
+  assert.match(xml, /<BaseURL serviceLocation="cs7" dvb:priority="2" dvb:weight="1">/);
+  assert.match(xml, /media="video\/\$RepresentationID\$\/\$Number\$\.m4s"/, 'absolute segment URLs become relative');
+
+  assert.match(xml, /schemeIdUri="urn:uuid:e2719d58-a985-b3c9-781a-b030af78d30e"/);
+  assert.match(xml, /<dashif:laurl[^>]*>http:\/\/edge\/license\?token=T<\/dashif:laurl>/);
+  assert.ok(!xml.includes('Widevine'));
+
+  assert.ok(!xml.includes('id="eac3"') && !xml.includes('id="thumbs"'));
+  assert.ok(xml.includes('id="aac"') && xml.includes('id="v1080"'));
+  assert.ok(xml.startsWith('<?xml'));
+  assert.match(xml, /<!-- DASHPIPE — rewritten from https:\/\/origin\.example\/vod\/show\/dash\.mpd/);
+  assert.ok(notes.some(n => n.startsWith('clearkey-only: dropped Widevine')));
+  assert.ok(notes.some(n => n.startsWith('drop-unsupported: dropped Representation eac3')));
+});
+
+test('tier-cap keeps a user to their package\'s renditions', () => {
+  const chain = normalizeChain([{ name: 'tier-cap', tiers: { basic: { maxHeight: 720 }, premium: {} } }]);
+  const basic = rewriteMpd(UPSTREAM, chain, ctx({ user: { role: 'viewer', packages: ['basic'] } }));
+  assert.ok(basic.xml.includes('id="v720"') && !basic.xml.includes('id="v1080"'));
+  assert.deepEqual(basic.notes, ['tier-cap: removed v1080 (cap 720p)']);
+
+  for (const user of [{ role: 'viewer', packages: ['basic', 'premium'] }, { role: 'admin', packages: [] }])
+    assert.ok(rewriteMpd(UPSTREAM, chain, ctx({ user })).xml.includes('id="v1080"'), user.role);
+
+  const tiny = normalizeChain([{ name: 'tier-cap', tiers: {}, default: { maxHeight: 240 } }]);
+  const kept = rewriteMpd(UPSTREAM, tiny, ctx()).xml;
+  assert.ok(kept.includes('id="v480"') && !kept.includes('id="v720"'), 'the lowest rendition always stays');
+});
+
+test('segments on another origin and non-MPD documents are refused', () => {
+  assert.throws(() => rewriteMpd(UPSTREAM, normalizeChain(['base-url']), ctx({ segRoot: 'https://other.example/' })), /outside the channel origin/);
+  assert.throws(() => rewriteMpd('<html/>', [], ctx()), /not an MPD/);
+});
+
+test('transform chains are validated', () => {
+  assert.deepEqual(normalizeChain(['license', { name: 'tier-cap', tiers: {} }]), [{ name: 'license' }, { name: 'tier-cap', tiers: {} }]);
+  assert.throws(() => normalizeChain(['base-url', 'minify']), /unknown manifest transform "minify"/);
+  assert.throws(() => normalizeChain('base-url'), /must be an array/);
+});
@@ -0,0 +1,88 @@
+/**
+ * Session store: access/refresh pairs, refresh rotation and reuse
+ * detection, on the memory adapter and an injected clock.
+ *
+ *   npm test
+ */
+
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionStore, createMemoryAdapter } = require('../lib/session-store');
+
+const MIN = 60 * 1000;
+
+function store(clock) {
+  return createSessionStore({
+    adapter:    createMemoryAdapter(),
+    accessTtl:  15 * MIN,
+    refreshTtl: 60 * MIN,
+    maxAge:     240 * MIN,
+    now:        () => clock.t
+  });
+}
+
+test('refresh rotates both tokens and keeps the session id', async () => {
+  const clock = { t: 0 };
+  const s = store(clock);
+  const first = await s.create('demo', '127.0.0.1');
+  assert.ok((await s.check(first.accessToken)).ok);
+
+  clock.t += 10 * MIN;
+  const next = await s.refresh(first.refreshToken);
+  assert.ok(next.ok);
+  assert.equal(next.session.id, first.session.id);
+  assert.notEqual(next.accessToken, first.accessToken);
+  assert.notEqual(next.refreshToken, first.refreshToken);
+
+  assert.deepEqual(await s.check(first.accessToken), { ok: false, reason: 'token not found' });
+  const checked = await s.check(next.accessToken);
+  assert.ok(checked.ok);
+  assert.equal(checked.session.userId, 'demo');
+  assert.equal(checked.session.expiresAt, 25 * MIN);
+});
+
+test('re-using a spent refresh token revokes the session', async () => {
+  const clock = { t: 0 };
+  const s = store(clock);
+  const first = await s.create('demo', '127.0.0.1');
+  const next  = await s.refresh(first.refreshToken);
+  assert.ok(next.ok);
+
+  const reuse = await s.refresh(first.refreshToken);
+  assert.deepEqual(reuse, { ok: false, reason: 'refresh token reused — session revoked' });
+  assert.equal((await s.check(next.accessToken)).ok, false, 'the thief and the owner are both logged out');
+  assert.equal((await s.refresh(next.refreshToken)).ok, false);
+  assert.equal(s.size(), 0);
+});
+
+test('refresh tokens expire, and nothing outlives maxAge', async () => {
+  const clock = { t: 0 };
+  const s = store(clock);
+  const a = await s.create('demo', '127.0.0.1');
+  clock.t = 61 * MIN;
+  assert.deepEqual(await s.refresh(a.refreshToken), { ok: false, reason: 'refresh token expired' });
+
+  clock.t = 0;
+  let { refreshToken } = await s.create('test', '127.0.0.1');
+  let last;
+  for (clock.t = 50 * MIN; clock.t <= 200 * MIN; clock.t += 50 * MIN) {
+    last = await s.refresh(refreshToken);
+    assert.ok(last.ok);
+    refreshToken = last.refreshToken;
+  }
+  assert.equal(last.session.expiresAt, 215 * MIN);
+  assert.equal(last.session.refreshExpiresAt, 240 * MIN, 'capped at createdAt + maxAge');
+  clock.t = 241 * MIN;
+  assert.equal((await s.refresh(refreshToken)).ok, false);
+});
+
+test('malformed and foreign tokens are rejected', async () => {
+  const clock = { t: 0 };
+  const s = store(clock);
+  const { accessToken, refreshToken } = await s.create('demo', '127.0.0.1');
+  assert.equal((await s.refresh('nope')).reason, 'refresh token not found');
+  assert.equal((await s.refresh(accessToken)).reason, 'refresh token not found', 'an access token is not a refresh token');
+  assert.equal((await s.check(refreshToken)).ok, false);
+});
@@ -0,0 +1,118 @@
+/**
+ * Subtitles: SubRip / WebVTT / TTML → WebVTT conversion, and the store
+ * cutting a track into segment-aligned WebVTT files.
+ *
+ *   npm test
+ */
+
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const {
+  createSubtitleStore, parseWebVtt, parseSrt, parseTtml, serializeWebVtt, cuesBetween, formatTimestamp
+} = require('../lib/subtitles');
+
+const SRT = '\uFEFF1\r\n00:00:01,000 --> 00:00:04,500\r\n<font color="red">Hello</font> {\\an8}there\r\n\r\n' +
+            '2\r\n00:00:06,000 --> 00:00:09,800\r\nTwo\r\nlines\r\n';
+
+const VTT = `WEBVTT - sample
+
+STYLE
+::cue { color: #ffe27a; }
+
+NOTE not a cue
+
+intro
+00:01.000 --> 00:04.500 line:85%
+<i>Hola</i>
+
+00:00:06.000 --> 00:00:09.800
+Adiós
+`;
+
+const TTML = `<?xml version="1.0" encoding="UTF-8"?>
+<tt xmlns="http://www.w3.org/ns/ttml" xmlns:ttp="http://www.w3.org/ns/ttml#parameter" ttp:frameRate="25">
+  <body>
+    <div begin="10s">
+      <p begin="2s" dur="1500ms">Offset by <span>the div</span></p>
+    </div>
+    <div>
+      <p xml:id="c1" begin="00:00:01.000" end="00:00:04:12">Un &amp; deux<br/>  trois &lt;3</p>
+      <p begin="20s">no end — skipped</p>
+    </div>
+  </body>
+</tt>`;
+
+test('timestamps format as hh:mm:ss.mmm', () => {
+  assert.equal(formatTimestamp(0), '00:00:00.000');
+  assert.equal(formatTimestamp(3723.4567), '01:02:03.457');
+});
+
+test('SubRip: comma decimals, CRLF and BOM, font and position tags dropped', () => {
+  const { header, cues } = parseSrt(SRT);
+  assert.deepEqual(header, []);
+  assert.deepEqual(cues, [
+    { id: '1', start: 1, end: 4.5, settings: '', text: 'Hello there' },
+    { id: '2', start: 6, end: 9.8, settings: '', text: 'Two\nlines' }
+  ]);
+  assert.equal(serializeWebVtt(header, cues),
+    'WEBVTT\n\n1\n00:00:01.000 --> 00:00:04.500\nHello there\n\n2\n00:00:06.000 --> 00:00:09.800\nTwo\nlines\n');
+});
+
+test('WebVTT: STYLE kept, NOTE dropped, ids and settings preserved', () => {
+  const { header, cues } = parseWebVtt(VTT);
+  assert.deepEqual(header, ['STYLE\n::cue { color: #ffe27a; }']);
+  assert.deepEqual(cues.map(c => [c.id, c.start, c.end, c.settings, c.text]), [
+    ['intro', 1, 4.5, 'line:85%', '<i>Hola</i>'],
+    [null, 6, 9.8, '', 'Adiós']
+  ]);
+  assert.match(serializeWebVtt(header, cues), /^WEBVTT\n\nSTYLE\n::cue \{ color: #ffe27a; \}\n\nintro\n00:00:01\.000 --> 00:00:04\.500 line:85%\n/);
+  assert.throws(() => parseWebVtt('1\n00:01.000 --> 00:02.000\nx'), /missing WEBVTT header/);
+});
+
+test('TTML: clock, frame and offset times, div offsets, <br/> and escaping', () => {
+  const { cues } = parseTtml(TTML);
+  assert.deepEqual(cues, [
+    { id: 'c1', start: 1, end: 4 + 12 / 25, settings: '', text: 'Un &amp; deux\ntrois &lt;3' },
+    { id: null, start: 12, end: 13.5, settings: '', text: 'Offset by the div' }
+  ]);
+  assert.throws(() => parseTtml('<html/>'), /not <tt>/);
+  assert.throws(() => parseTtml('<tt><body><p begin="soon" end="1s">x</p></body></tt>'), /bad TTML time "soon"/);
+});
+
+test('cues crossing a window boundary are clipped into both windows', () => {
+  const cues = [{ id: null, start: 3, end: 5, settings: '', text: 'across' }, { id: null, start: 9, end: 10, settings: '', text: 'later' }];
+  assert.deepEqual(cuesBetween(cues, 0, 4).map(c => [c.start, c.end]), [[3, 4]]);
+  assert.deepEqual(cuesBetween(cues, 4, 8).map(c => [c.start, c.end]), [[4, 5]]);
+  assert.deepEqual(cuesBetween(cues, 5, 9), []);
+});
+
+test('the store serves whole files and segment-aligned windows', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashpipe-subs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'en.srt'), SRT);
+  fs.writeFileSync(path.join(dir, 'de.vtt'), 'not webvtt');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+  const channel = { id: 'Ch', durationSec: 12, subtitles: { dir, mode: 'segments', segmentSec: 4, labels: { en: 'English' } } };
+  const store = createSubtitleStore({ channels: new Map([['Ch', channel]]) });
+  assert.deepEqual(store.list('Ch'), [{ lang: 'en', label: 'English', format: 'srt', cues: 2 }]);
+  assert.match(store.errors[0], /^Ch: de\.vtt: missing WEBVTT header/);
+
+  const [set] = store.adaptationSets(channel);
+  assert.deepEqual([set.mimeType, set.lang, set.segmentDuration, set.representations[0].media], ['text/vtt', 'en', 4000, 'en-$Number$.vtt']);
+
+  const second = await store.fetch(channel, 'en-2.vtt');
+  assert.equal(second.status, 200);
+  assert.equal(second.headers['content-type'], 'text/vtt; charset=utf-8');
+  assert.equal(second.body.toString(),
+    'WEBVTT\n\n1\n00:00:04.000 --> 00:00:04.500\nHello there\n\n2\n00:00:06.000 --> 00:00:08.000\nTwo\nlines\n');
+
+  assert.equal((await store.fetch(channel, 'en.vtt')).body.toString().split('-->').length, 3);
+  for (const name of ['en-0.vtt', 'en-4.vtt', 'fr-1.vtt'])
+    assert.equal((await store.fetch(channel, name)).status, 404, name);
+});